@@ -0,0 +1,17 @@
+'use strict';
+/*
+ * func.js
+ * Version 1.0.1
+ *
+ * Fn (OCI Functions) entrypoint. Runs a non-interactive export for the JSON
+ * invocation payload and returns a JSON result. See lib/handler.js for the
+ * payload and result formats.
+ *
+ * Requires the Fn FDK, which is in package.json with the script's other
+ * dependencies, so that fn build installs it.
+ */
+
+const fdk = require('@fnproject/fdk');
+const handler = require('./lib/handler.js');
+
+fdk.handle(handler.handle);
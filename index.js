@@ -1,11 +1,12 @@
 'use strict';
 /*
  * index.js
- * Version 1.0.2
+ * Version 1.0.16
  *
  * Gets the run arguments and calls the JavaScript that performs the actions.
  *
- * Requires a config file that contains the OCI signing values in this format:
+ * Requires a config file that contains the OCI signing values. This can be a standard
+ * OCI CLI config file (see ociConfig.js), selected with --profile, or a JSON file in this format:
  * {
  *   "privateKeyPath": "<keypath goes here>",
  *   "tenancyId": "<OCI tenancy ID goes here>",
@@ -16,22 +17,58 @@
  *
  * See https://docs.cloud.oracle.com/iaas/Content/API/Concepts/apisigningkey.htm
  * for information about how to get the signing info and private key.
+ * Keep the config file and key out of this directory's git tree. To keep the key
+ * off the disk, load it with --keysource from an environment variable, stdin,
+ * or an OCI Vault secret (see lib/keySource.js).
  *
- * Before running this example, install the necessary dependencies by running
- * npm install http-signature jssha argv inquirer @lifeomic/attempt fs os path
+ * Before running this example, install the dependencies in package.json by running
+ * npm install
  *
  * Run this script with the argument --help to see information about the run parameters,
- * which are set up in scriptArgs.js.
+ * which are set up in scriptArgs.js. Arguments can also be set with ODAEXPORT_<ARGUMENT>
+ * environment variables or in a YAML or JSON run profile (--runprofile); see runProfile.js.
+ * With --non-interactive, the script doesn't prompt for missing arguments, for cron and CI.
+ * With --output json, export, status, download, batch, and doctor print one JSON result document
+ * instead of their messages. The exit code says how the command ended: 0 success, 1 error,
+ * 2 invalid arguments, 3 no data, 4 export failed, 5 timed out, 6 auth error (see lib/outcome.js).
+ * --loglevel, --logformat, and --logfile control the messages (see lib/logger.js).
+ *
+ * Without a command, the script starts an export. These commands work with earlier exports:
+ *   node index.js status <jobId>    shows an export job's status
+ *   node index.js download <jobId>  downloads a finished export job's files
+ *   node index.js list              lists the pending jobs in the job ledger
+ *
+ * These commands work with the export tasks in the ODA instance:
+ *   node index.js tasks             lists the export tasks, filtered by --status, --name, --id, or --olderthan
+ *   node index.js inspect <jobId>   shows an export task's files and their sizes, date range, and error
+ *   node index.js delete [jobId]    deletes an export task, or the finished tasks that match the filters
+ *
+ * To export several ODA instances, each with its own domain and credentials:
+ *   node index.js batch <manifest>  runs the exports in a manifest (see lib/batch.js)
+ *
+ * When the server rejects the credentials (401: Unauthorized):
+ *   node index.js doctor            checks the config, key, fingerprint, domain, clock, and signing (see lib/doctor.js)
+ *
+ * To use the export API from another program, see lib/odaInsightsClient.js.
+ * To try the script without an ODA instance, run the mock server (node mock-server.js)
+ * and pass --baseurl=http://localhost:<port>.
  */
 
 const exportDaInsights = require('./lib/export-da-insights.js');
 const utils = require('./lib/utils.js');
 const scriptArgs = require('./lib/scriptArgs.js');
+const outcome = require('./lib/outcome.js');
+const errors = require('./lib/errors.js');
+const logger = require('./lib/logger.js');
+const keySource = require('./lib/keySource.js');
+const batch = require('./lib/batch.js');
+const doctor = require('./lib/doctor.js');
 const inquirer = require('inquirer');
 
 /*
  * Ask the user to enter any required arguments that weren't
- * provided when the script was invoked.
+ * provided when the script was invoked. In non-interactive mode,
+ * throw an error that lists the missing required arguments instead.
  *
  * Returns a key/value hash that contains all the run argument
  * values - both from the command line and from the prompted questions.
@@ -39,12 +76,21 @@ const inquirer = require('inquirer');
  * @parm options - an array of argv.option objects.
  * @parm parameters - a key/value hash that contains the arguments that
  *   were passed when the user invoked the script.
+ * @parm command - the command that's being run
  *
  */
-const getMissingArguments = async (options, parameters) => {
+const getMissingArguments = async (options, parameters, command) => {
   var parms = parameters;
+  if (parms['non-interactive']) {
+    const missing = scriptArgs.getMissingArguments(options, parms, command);
+    if (missing.length) {
+      throw new errors.InvalidArgumentsError([`These required arguments are missing: ${missing.map((name) => `--${name}`).join(', ')}. ` +
+        'Pass them on the command line, in ODAEXPORT_<ARGUMENT> environment variables, or in the run profile (--runprofile).']);
+    }
+    return parms;
+  }
   try {
-    var questions = scriptArgs.getPromptQuestions(options, parameters);
+    var questions = scriptArgs.getPromptQuestions(options, parameters, command);
     if (questions.length > 0) {
       const answers = await promptForQuestions(questions);
       const answerKeys = Object.keys(answers);
@@ -75,14 +121,91 @@ const promptForQuestions = async (questions) => {
   }
 };
 
+/*
+ * Reports how the command ended and sets the exit code (see lib/outcome.js).
+ * Logs the error, if any. With --output json, also prints the result document.
+ *
+ * @parm command - the command that ran
+ * @parm startedAt - when the command started, as an ISO timestamp
+ * @parm json - true to print the result document
+ * @parm result - (optional) what the command returned
+ * @parm error - (optional) the error, if the command failed
+ */
+const finish = (command, startedAt, json, result, error) => {
+  const document = outcome.createResult(command, startedAt, result, error);
+  if (error) {
+    logger.error((error instanceof errors.OdaExportError) ? error.message : (error.stack || `${error}`));
+  }
+  if (json) {
+    process.stdout.write(`${JSON.stringify(document, null, 2)}\n`);
+  }
+  // Setting exitCode instead of calling process.exit() lets stdout finish writing
+  process.exitCode = document.exitCode;
+};
+
 const run = async () => {
+  const startedAt = new Date().toISOString();
+  let command = 'export';
+  let json = false;
   try {
     const args = await scriptArgs.getArguments();
-    const finalParms = await getMissingArguments(args.options, args.input.options);
-    utils.getConfigData(finalParms.configpath.trim());
-    await exportDaInsights.run(finalParms);
+    command = args.command;
+    try {
+      scriptArgs.applyRunSettings(args, process.env);
+    } catch (err) {
+      throw new errors.InvalidArgumentsError([err.message]);
+    }
+    const output = args.input.options.output;
+    if (output !== undefined && !outcome.OUTPUT_FORMATS.includes(output)) {
+      throw new errors.InvalidArgumentsError([`The output ${output} must be one of: ${outcome.OUTPUT_FORMATS.join(', ')}.`]);
+    }
+    json = (output === 'json');
+    logger.configure(exportDaInsights.getLogOptions(args.input.options));
+    if (json) {
+      // stdout is only for the result document
+      console.log = console.error;
+    }
+    const finalParms = await getMissingArguments(args.options, args.input.options, args.command);
+    // list only reads the job ledger, so it doesn't take a config file, batch reads
+    // each instance's config, and doctor checks the config step by step.
+    // Instance and resource principals can run without one.
+    let config;
+    if (finalParms.keysource !== undefined) {
+      try {
+        keySource.parseKeySource(finalParms.keysource);
+      } catch (err) {
+        throw new errors.InvalidArgumentsError([err.message]);
+      }
+    }
+    if (finalParms.baseurl !== undefined) {
+      try {
+        utils.parseBaseUrl(finalParms.baseurl);
+      } catch (err) {
+        throw new errors.InvalidArgumentsError([err.message]);
+      }
+    }
+    if (!['batch', 'doctor'].includes(args.command) && (finalParms.configpath !== undefined || finalParms.auth !== undefined ||
+      finalParms.domain !== undefined || finalParms.baseurl !== undefined)) {
+      // readConfig throws an InvalidArgumentsError or an AuthError, which sets the exit code
+      config = await utils.readConfig(finalParms.configpath, {
+        profile: finalParms.profile, domain: finalParms.domain, baseUrl: finalParms.baseurl, auth: finalParms.auth,
+        keySource: finalParms.keysource
+      });
+    }
+    const commands = {
+      export: exportDaInsights.run,
+      status: exportDaInsights.status,
+      download: exportDaInsights.download,
+      list: exportDaInsights.list,
+      tasks: exportDaInsights.tasks,
+      inspect: exportDaInsights.inspect,
+      delete: exportDaInsights.deleteTasks,
+      batch: batch.run,
+      doctor: doctor.run
+    };
+    finish(command, startedAt, json, await commands[args.command](finalParms, config));
   } catch (err) {
-    console.log(err);
+    finish(command, startedAt, json, undefined, err);
   }
 };
 
@@ -0,0 +1,310 @@
+'use strict';
+/*
+ * auth.js
+ * Version 1.0.2
+ *
+ * Signers that provide the key ID and private key for signing requests.
+ *
+ *   api_key: a user's API signing key, from the config file
+ *   resource_principal: the resource principal session token (RPST) and
+ *     session key that OCI Functions provides in environment variables
+ *   instance_principal: a security token that's obtained from the identity
+ *     federation endpoint with the instance certificate from the instance
+ *     metadata service
+ *
+ * Each signer has an async getSigningKey() method that returns { keyId, privateKey }.
+ *
+ * The metadata and federation requests go through httpClient.js, so they have
+ * its timeouts, proxy, and retries.
+ *
+ * See https://docs.oracle.com/iaas/Content/Identity/Tasks/callingservicesfrominstances.htm
+ * and https://docs.oracle.com/iaas/Content/Functions/Tasks/functionsaccessingociresources.htm
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const url = require('url');
+const httpClient = require('./httpClient.js');
+const ociUtils = require('./ociUtils.js');
+const ociConfig = require('./ociConfig.js');
+const errors = require('./errors.js');
+
+// Supported authentication types
+const AUTH_TYPES = ['api_key', 'instance_principal', 'resource_principal'];
+exports.AUTH_TYPES = AUTH_TYPES;
+
+// Default instance metadata service (IMDS v2) base URL
+const DEFAULT_METADATA_ENDPOINT = 'http://169.254.169.254/opc/v2';
+
+// Get a new token when the current one expires within this many milliseconds
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+/*
+ * Creates a signer for a user API signing key.
+ *
+ * @param options
+ *   tenancyId, userId, fingerprint: the key ID parts
+ *   privateKey: the unencrypted PEM private key
+ */
+function createApiKeySigner (options) {
+  const signingKey = {
+    keyId: `${options.tenancyId}/${options.userId}/${options.fingerprint}`,
+    privateKey: options.privateKey
+  };
+  return {
+    authType: 'api_key',
+    getSigningKey: async () => signingKey
+  };
+}
+exports.createApiKeySigner = createApiKeySigner;
+
+/*
+ * Gets the expiration time, in milliseconds, of a JWT security token.
+ * Returns 0 if the token can't be decoded, so that it's treated as expired.
+ */
+function getTokenExpiry (token) {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(Buffer.from(payload, 'base64').toString('utf8')).exp * 1000;
+  } catch (err) {
+    return 0;
+  }
+}
+exports.getTokenExpiry = getTokenExpiry;
+
+/*
+ * Returns the value, or the contents of the file if the value is an absolute path.
+ * Resource principal environment variables can contain either.
+ */
+function readValueOrFile (value) {
+  return path.isAbsolute(value) ? fs.readFileSync(value, 'utf8').trim() : value;
+}
+
+/*
+ * Creates a signer for the resource principal of an OCI function, using
+ * these environment variables:
+ *   OCI_RESOURCE_PRINCIPAL_VERSION: 2.2
+ *   OCI_RESOURCE_PRINCIPAL_RPST: the session token, or the path to a file that contains it
+ *   OCI_RESOURCE_PRINCIPAL_PRIVATE_PEM: the session private key, or the path to a file that contains it
+ *   OCI_RESOURCE_PRINCIPAL_PRIVATE_PEM_PASSPHRASE: (optional) the key's passphrase, or the path to a file that contains it
+ *   OCI_RESOURCE_PRINCIPAL_REGION: the function's region
+ *
+ * When the token and key are in files, they're read again when the token is about to expire.
+ *
+ * @param env - (optional) the environment variables. Defaults to process.env.
+ */
+function createResourcePrincipalSigner (env) {
+  const vars = env || process.env;
+  const version = vars.OCI_RESOURCE_PRINCIPAL_VERSION;
+  if (version !== '2.2') {
+    throw new Error(`Resource principal authentication requires OCI_RESOURCE_PRINCIPAL_VERSION 2.2, not ${version}.`);
+  }
+  ['OCI_RESOURCE_PRINCIPAL_RPST', 'OCI_RESOURCE_PRINCIPAL_PRIVATE_PEM'].forEach((name) => {
+    if (!vars[name]) {
+      throw new Error(`Resource principal authentication requires the ${name} environment variable.`);
+    }
+  });
+  let signingKey;
+  let expiresAt = 0;
+  return {
+    authType: 'resource_principal',
+    region: vars.OCI_RESOURCE_PRINCIPAL_REGION,
+    getSigningKey: async () => {
+      if (!signingKey || Date.now() > expiresAt - TOKEN_REFRESH_MARGIN) {
+        const token = readValueOrFile(vars.OCI_RESOURCE_PRINCIPAL_RPST);
+        const passphrase = vars.OCI_RESOURCE_PRINCIPAL_PRIVATE_PEM_PASSPHRASE
+          ? readValueOrFile(vars.OCI_RESOURCE_PRINCIPAL_PRIVATE_PEM_PASSPHRASE)
+          : undefined;
+        const privateKey = ociConfig.decryptPrivateKey(readValueOrFile(vars.OCI_RESOURCE_PRINCIPAL_PRIVATE_PEM), passphrase);
+        signingKey = { keyId: `ST$${token}`, privateKey };
+        expiresAt = getTokenExpiry(token);
+      }
+      return signingKey;
+    }
+  };
+}
+exports.createResourcePrincipalSigner = createResourcePrincipalSigner;
+
+/*
+ * Sends an HTTP or HTTPS request, and retries it if it fails (see httpClient.js).
+ *
+ * Returns the response body as a string
+ *
+ * Rejects with an errors.js HttpError for a non-2xx response.
+ *
+ * @param requestUrl - the full URL
+ * @param options
+ *   method: (optional) defaults to GET
+ *   headers: (optional) request headers
+ *   body: (optional) request body
+ *   signingKey: (optional) { keyId, privateKey } to sign the request with
+ * @param settings - (optional) httpClient.js timeouts and retries
+ */
+function sendRequest (requestUrl, options, settings) {
+  const parsed = url.parse(requestUrl);
+  const method = options.method || 'GET';
+  // Sending a federation request again only gets another token, so every request can be retried
+  return httpClient.withRetries(() => new Promise((resolve, reject) => {
+    const request = httpClient.createRequest({
+      protocol: parsed.protocol,
+      host: parsed.hostname,
+      port: parsed.port,
+      path: parsed.path,
+      method,
+      headers: Object.assign({}, options.headers)
+    }, settings, function (response) {
+      let responseBody = '';
+      response.setEncoding('utf8');
+      response.on('data', function (chunk) {
+        responseBody += chunk;
+      });
+      response.on('end', function () {
+        if (response.statusCode < 300) {
+          resolve(responseBody);
+        } else {
+          reject(new errors.HttpError(`${method} ${requestUrl} failed: ${response.statusCode}: ${response.statusMessage} ${responseBody}`,
+            response.statusCode, { opcRequestId: response.headers['opc-request-id'], retryAfter: response.headers['retry-after'], body: responseBody }));
+        }
+      });
+    });
+    request.on('error', function (error) {
+      // Keep the code, which httpClient.js uses to decide whether to retry
+      const wrapped = new Error(`${method} ${requestUrl} failed: ${error.message}`);
+      wrapped.code = error.code;
+      reject(wrapped);
+    });
+    if (options.signingKey) {
+      ociUtils.sign(request, {
+        keyId: options.signingKey.keyId,
+        privateKey: options.signingKey.privateKey,
+        body: options.body
+      });
+    }
+    (options.body) ? request.end(options.body) : request.end();
+  }), settings, true);
+}
+
+/*
+ * Returns the base64 body of a PEM certificate or key, without the
+ * BEGIN and END lines and line breaks.
+ */
+function pemBody (pem) {
+  return pem.replace(/-----(BEGIN|END)[^-]+-----/g, '').replace(/\s+/g, '');
+}
+
+/*
+ * Gets the tenancy OCID from the instance certificate.
+ * The certificate subject has an OU=opc-tenant:<tenancy OCID> attribute.
+ */
+function getCertificateTenancy (certificatePem) {
+  const der = Buffer.from(pemBody(certificatePem), 'base64');
+  const prefixes = ['opc-tenant:', 'opc-identity:'];
+  for (const prefix of prefixes) {
+    const start = der.indexOf(prefix, 0, 'latin1');
+    if (start > 1) {
+      // The attribute value is a DER string: the byte before it is its length,
+      // or the second byte of a 0x81 long-form length
+      const length = der[start - 1];
+      const value = der.toString('latin1', start, start + length);
+      if (/^opc-[a-z]+:ocid1\.tenancy\./.test(value)) {
+        return value.substr(prefix.length);
+      }
+    }
+  }
+  throw new Error('The instance certificate doesn\'t contain the tenancy OCID.');
+}
+exports.getCertificateTenancy = getCertificateTenancy;
+
+/*
+ * Gets the SHA-256 fingerprint of a PEM certificate, formatted as
+ * colon-separated uppercase hex pairs.
+ */
+function getCertificateFingerprint (certificatePem) {
+  const digest = crypto.createHash('sha256').update(Buffer.from(pemBody(certificatePem), 'base64')).digest('hex');
+  return digest.toUpperCase().match(/../g).join(':');
+}
+exports.getCertificateFingerprint = getCertificateFingerprint;
+
+/*
+ * Creates a signer for the instance principal of a compute instance.
+ *
+ * Gets the instance certificate, its private key, and the intermediate
+ * certificate from the instance metadata service, and exchanges them at the
+ * federation endpoint for a security token for a new session key pair.
+ * Gets a new token when the current one is about to expire.
+ *
+ * @param options - (optional)
+ *   metadataEndpoint: instance metadata service base URL. Defaults to http://169.254.169.254/opc/v2.
+ *   federationEndpoint: federation endpoint URL. Defaults to https://auth.<region>.oraclecloud.com/v1/x509.
+ *   region: (optional) the region. Defaults to the instance's region from the metadata service.
+ *   http: (optional) httpClient.js timeouts and retries for the metadata and federation requests
+ */
+function createInstancePrincipalSigner (options) {
+  const opts = options || {};
+  const metadataEndpoint = (opts.metadataEndpoint || DEFAULT_METADATA_ENDPOINT).replace(/\/$/, '');
+  const metadataHeaders = { Authorization: 'Bearer Oracle' };
+  const getMetadata = (metadataPath) => sendRequest(`${metadataEndpoint}${metadataPath}`, { headers: metadataHeaders }, opts.http);
+  let signingKey;
+  let expiresAt = 0;
+
+  const federate = async () => {
+    const region = opts.region || (await getMetadata('/instance/canonicalRegionName')).trim();
+    const certificate = await getMetadata('/identity/cert.pem');
+    const certificateKey = await getMetadata('/identity/key.pem');
+    const intermediate = await getMetadata('/identity/intermediate.pem');
+    const sessionKeys = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+    const body = JSON.stringify({
+      certificate: pemBody(certificate),
+      publicKey: pemBody(sessionKeys.publicKey),
+      intermediateCertificates: [pemBody(intermediate)],
+      purpose: 'DEFAULT',
+      fingerprintAlgorithm: 'SHA256'
+    });
+    const federationEndpoint = opts.federationEndpoint || `https://auth.${region}.oraclecloud.com/v1/x509`;
+    const response = await sendRequest(federationEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      signingKey: {
+        keyId: `${getCertificateTenancy(certificate)}/fed-x509-sha256/${getCertificateFingerprint(certificate)}`,
+        privateKey: certificateKey
+      }
+    }, opts.http);
+    const token = JSON.parse(response).token;
+    if (!token) {
+      throw new Error(`The federation endpoint ${federationEndpoint} didn't return a security token.`);
+    }
+    signer.region = region;
+    signingKey = { keyId: `ST$${token}`, privateKey: sessionKeys.privateKey };
+    expiresAt = getTokenExpiry(token);
+  };
+
+  // Concurrent requests share one federation call
+  let pending;
+  const signer = {
+    authType: 'instance_principal',
+    region: opts.region,
+    getSigningKey: async () => {
+      if (!signingKey || Date.now() > expiresAt - TOKEN_REFRESH_MARGIN) {
+        if (!pending) {
+          pending = federate().finally(() => {
+            pending = undefined;
+          });
+        }
+        try {
+          await pending;
+        } catch (err) {
+          throw new errors.AuthError(`Can't get an instance principal security token: ${err.message}`);
+        }
+      }
+      return signingKey;
+    }
+  };
+  return signer;
+}
+exports.createInstancePrincipalSigner = createInstancePrincipalSigner;
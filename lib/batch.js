@@ -0,0 +1,272 @@
+'use strict';
+/*
+ * batch.js
+ * Version 1.0.6
+ *
+ * Runs the exports for several ODA instances from a manifest, such as the
+ * dev, test, and prod instances in several regions.
+ *
+ * The manifest is a YAML or JSON file:
+ *
+ *   defaults:                     # (optional) arguments for every instance and export
+ *     configpath: ~/.oci/config
+ *     since: yesterday
+ *   instances:
+ *     - name: prod-ashburn        # the subdirectory of outpath for the instance's files
+ *       domain: oda-<instance ID>-da4.data.digitalassistant.oci.oraclecloud.com
+ *       profile: PROD             # the OCI CLI config file profile
+ *       exports:                  # (optional) defaults to one export with the instance's arguments
+ *         - target: skill
+ *           id: [<skill ID 1>, <skill ID 2>]
+ *           since: 2024-01-01
+ *           until: 2024-01-31
+ *         - name: all             # (optional) the subdirectory for the export's files
+ *           target: instance
+ *           since: last-month
+ *     - name: dev-phoenix
+ *       domain: ...
+ *       configpath: ~/.oci/dev-config
+ *       keysource: env:DEV_API_KEY
+ *
+ * An instance or export can set any export argument (see scriptArgs.EXPORT_ARGUMENTS).
+ * The precedence is: export > instance > command line > defaults, where the command
+ * line also has the environment and run profile values (see runProfile.js), so that
+ * an instance or export's own settings override the others only for it.
+ * Each export's files go in <outpath>/<instance name>/<export name>, or under
+ * <destination>/<instance name>/<export name> in a bucket, where the export
+ * name defaults to its target. The instances can share an incremental export's state
+ * file, which keeps each ODA instance's targets apart by domain (see state.js).
+ *
+ * Up to instanceconcurrency instances (default 2) run at the same time, and each
+ * instance runs its exports one at a time. An instance whose config can't be read,
+ * or an export that fails, is reported in the summary without stopping the others.
+ * The messages are prefixed with the instance name (see logger.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const utils = require('./utils.js');
+const runProfile = require('./runProfile.js');
+const scriptArgs = require('./scriptArgs.js');
+const exportDaInsights = require('./export-da-insights.js');
+const outcome = require('./outcome.js');
+const errors = require('./errors.js');
+const logger = require('./logger.js');
+
+// Export arguments that the manifest can set, and their types
+const ARGUMENTS = scriptArgs.getArgumentTypes(scriptArgs.EXPORT_ARGUMENTS);
+
+// Arguments that are read once for each instance, not for each export
+const INSTANCE_ARGUMENTS = ['configpath', 'auth', 'keysource', 'profile', 'domain', 'baseurl'];
+
+// Default number of instances to export at the same time
+const DEFAULT_INSTANCE_CONCURRENCY = 2;
+
+/*
+ * Checks a manifest section's keys and converts its values to the argument types.
+ *
+ * Returns the arguments
+ *
+ * @param section - the section: defaults, an instance, or an export
+ * @param extraKeys - the keys other than arguments that the section can have
+ * @param where - the section, for the messages
+ * @param problems - the array to add the problems to
+ */
+function getArguments (section, extraKeys, where, problems) {
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    problems.push(`${where} must contain argument names and values.`);
+    return {};
+  }
+  const args = {};
+  Object.keys(section).forEach((key) => {
+    if (extraKeys.includes(key)) {
+      return;
+    }
+    if (!ARGUMENTS[key]) {
+      problems.push(`${where} has an unknown argument: ${key}.`);
+    } else if (section[key] !== undefined && section[key] !== null) {
+      args[key] = runProfile.normalize(section[key], ARGUMENTS[key]);
+    }
+  });
+  return args;
+}
+
+/*
+ * Reads and checks a batch manifest.
+ *
+ * Returns { defaults, instances } where each instance has name, args (its arguments),
+ * and exports, an array of { name, args }
+ *
+ * Throws an InvalidArgumentsError if the manifest can't be read or is invalid.
+ *
+ * @param file - full path to the manifest
+ */
+function readManifest (file) {
+  let manifest;
+  try {
+    manifest = runProfile.readDocument(file, 'batch manifest');
+  } catch (err) {
+    throw new errors.InvalidArgumentsError([err.message]);
+  }
+  const problems = [];
+  if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.instances) || !manifest.instances.length) {
+    throw new errors.InvalidArgumentsError([`The batch manifest ${file} must have a list of instances.`]);
+  }
+  Object.keys(manifest).filter((key) => !['defaults', 'instances'].includes(key)).forEach((key) => {
+    problems.push(`The batch manifest has an unknown section: ${key}.`);
+  });
+  const defaults = (manifest.defaults === undefined) ? {} : getArguments(manifest.defaults, [], 'The defaults', problems);
+  const names = [];
+  const instances = manifest.instances.map((instance, i) => {
+    const name = instance && instance.name;
+    const label = name ? `the instance ${name}` : `instance ${i + 1}`;
+    const where = `${label.charAt(0).toUpperCase()}${label.slice(1)}`;
+    if (!name || !/^[\w.-]+$/.test(`${name}`)) {
+      problems.push(`${where} needs a name that contains only letters, numbers, _, ., and -.`);
+    } else if (names.includes(`${name}`)) {
+      problems.push(`The instance name ${name} is used more than once.`);
+    }
+    names.push(`${name}`);
+    const args = getArguments(instance, ['name', 'exports'], where, problems);
+    const exportSections = (instance && instance.exports !== undefined) ? instance.exports : [{}];
+    if (!Array.isArray(exportSections) || !exportSections.length) {
+      problems.push(`${where} must have a list of exports.`);
+      return { name: `${name}`, args, exports: [] };
+    }
+    const exportNames = [];
+    const exportList = exportSections.map((section, j) => {
+      const exportArgs = getArguments(section, ['name'], `Export ${j + 1} of ${label}`, problems);
+      INSTANCE_ARGUMENTS.filter((key) => exportArgs[key] !== undefined).forEach((key) => {
+        problems.push(`Set ${key} for the instance ${name}, not for one of its exports.`);
+      });
+      // The export's subdirectory: its name, or its target with a number if it's taken
+      const baseName = section && section.name ? `${section.name}` : (exportArgs.target || args.target || defaults.target || 'skill');
+      if (!/^[\w.-]+$/.test(baseName)) {
+        problems.push(`The export name ${baseName} of the instance ${name} can only contain letters, numbers, _, ., and -.`);
+      }
+      let exportName = baseName;
+      for (let n = 2; exportNames.includes(exportName); n++) {
+        exportName = `${baseName}-${n}`;
+      }
+      exportNames.push(exportName);
+      return { name: exportName, args: exportArgs };
+    });
+    return { name: `${name}`, args, exports: exportList };
+  });
+  if (problems.length) {
+    throw new errors.InvalidArgumentsError(problems);
+  }
+  return { defaults, instances };
+}
+exports.readManifest = readManifest;
+
+/*
+ * Runs the exports of one instance.
+ *
+ * Returns { name, domain, outcome, jobs, error }. jobs has the exportData jobs
+ * and, for each export that failed, a job with status ERROR.
+ *
+ * @param instance - the instance from readManifest
+ * @param base - the manifest defaults with the command line arguments over them
+ */
+async function exportInstance (instance, base) {
+  const instanceArgs = Object.assign({}, base, instance.args);
+  const summary = { name: instance.name, domain: instanceArgs.domain, jobs: [] };
+  let config;
+  try {
+    config = await utils.readConfig(instanceArgs.configpath, {
+      profile: instanceArgs.profile, domain: instanceArgs.domain, baseUrl: instanceArgs.baseurl, auth: instanceArgs.auth,
+      keySource: instanceArgs.keysource
+    });
+    summary.domain = config.domain;
+  } catch (error) {
+    const message = error.problems ? error.problems.join(' ') : error.message;
+    logger.error(`Can't read the config for the instance: ${message}`);
+    summary.error = message;
+    summary.jobs.push({ instance: instance.name, status: 'ERROR', error: message });
+    summary.outcome = outcome.getErrorOutcome(error);
+    return summary;
+  }
+  const errorOutcomes = [];
+  for (const exportEntry of instance.exports) {
+    const parameters = Object.assign({}, instanceArgs, exportEntry.args, { 'non-interactive': true });
+    if (parameters.destination) {
+      parameters.destination = `${`${parameters.destination}`.trim().replace(/\/+$/, '')}/${instance.name}/${exportEntry.name}`;
+    } else if (parameters.outpath) {
+      parameters.outpath = path.join(utils.expandHome(parameters.outpath), instance.name, exportEntry.name);
+      fs.mkdirSync(parameters.outpath, { recursive: true });
+    }
+    try {
+      const result = await exportDaInsights.exportData(parameters, exportDaInsights.createClient(config, parameters));
+      result.jobs.forEach((job) => summary.jobs.push(Object.assign({ instance: instance.name, export: exportEntry.name }, job)));
+    } catch (error) {
+      logger.error(`The export ${exportEntry.name} failed: ${error.message}`);
+      summary.jobs.push({ instance: instance.name, export: exportEntry.name, status: 'ERROR', error: error.message });
+      errorOutcomes.push(outcome.getErrorOutcome(error));
+    }
+  }
+  // An export that failed, such as with an AuthError, makes the outcome more specific than ERROR
+  summary.outcome = outcome.combineOutcomes([outcome.getJobsOutcome(summary.jobs)].concat(errorOutcomes));
+  return summary;
+}
+
+/*
+ * Logs the outcome of each instance and its failed exports.
+ *
+ * @param instances - the instance summaries from exportInstance
+ */
+function printSummary (instances) {
+  logger.info('\nBatch summary:');
+  instances.forEach((instance) => {
+    const counts = {};
+    instance.jobs.filter((job) => job.jobId || job.status === 'UP_TO_DATE').forEach((job) => {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    });
+    const statuses = Object.keys(counts).map((status) => `${counts[status]} ${status}`).join(', ');
+    logger.info(`  ${instance.name}${instance.domain ? ` (${instance.domain})` : ''}: ${instance.outcome}` +
+      `${statuses ? ` - ${statuses}` : ''}`);
+    instance.jobs.filter((job) => job.error).forEach((job) => {
+      const what = job.export ? `${job.export}${job.beginDate ? ` ${job.beginDate} to ${job.endDate}` : ''}` : 'config';
+      logger.info(`    ${what}: ${`${job.error}`.split('\n').join(' ')}`);
+    });
+  });
+}
+
+/*
+ * Runs the exports in a batch manifest.
+ *
+ * Returns { jobs, instances, outcome }. jobs has every instance's jobs, each with its instance
+ * and export names, instances has { name, domain, outcome, error } for each instance,
+ * and outcome combines the instances' outcomes (see outcome.combineOutcomes).
+ *
+ * Throws an InvalidArgumentsError if the manifest or the arguments are invalid.
+ *
+ * @param parameters - the script arguments: manifest, instanceconcurrency, and the
+ *   defaults for the export arguments
+ */
+async function run (parameters) {
+  if (!parameters.manifest || !`${parameters.manifest}`.trim().length) {
+    throw new errors.InvalidArgumentsError(['Provide the batch manifest file (manifest).']);
+  }
+  const concurrency = (parameters.instanceconcurrency === undefined) ? DEFAULT_INSTANCE_CONCURRENCY : parameters.instanceconcurrency;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new errors.InvalidArgumentsError([`The instance concurrency ${parameters.instanceconcurrency} must be a whole number greater than 0.`]);
+  }
+  const manifest = readManifest(utils.expandHome(`${parameters.manifest}`.trim()));
+  const base = Object.assign({}, manifest.defaults);
+  Object.keys(ARGUMENTS).filter((name) => parameters[name] !== undefined).forEach((name) => {
+    base[name] = parameters[name];
+  });
+  logger.info(`Exporting ${manifest.instances.length} instance(s), ${concurrency} at a time.`);
+  const instances = await utils.mapWithConcurrency(manifest.instances, concurrency,
+    (instance) => logger.withContext({ instance: instance.name }, () => exportInstance(instance, base)));
+  printSummary(instances);
+  return {
+    jobs: instances.reduce((all, instance) => all.concat(instance.jobs), []),
+    instances: instances.map((instance) => ({
+      name: instance.name, domain: instance.domain, outcome: instance.outcome, error: instance.error
+    })),
+    outcome: outcome.combineOutcomes(instances.map((instance) => instance.outcome))
+  };
+}
+exports.run = run;
@@ -0,0 +1,113 @@
+'use strict';
+/*
+ * csv.js
+ * Version 1.0.0
+ *
+ * Minimal streaming CSV (RFC 4180) parser and row formatter for the
+ * insights tables in the exported ZIP files.
+ *
+ */
+
+const stream = require('stream');
+const StringDecoder = require('string_decoder').StringDecoder;
+
+/*
+ * Transform stream that parses CSV text and emits each record
+ * as an array of field strings. Skips blank lines and a leading
+ * byte order mark.
+ */
+class CsvParser extends stream.Transform {
+  constructor () {
+    super({ readableObjectMode: true });
+    this.decoder = new StringDecoder('utf8');
+    this.field = '';
+    this.record = [];
+    this.inQuotes = false;
+    // true after a quote inside a quoted field, which is either
+    // the first half of an escaped quote ("") or the closing quote
+    this.quotePending = false;
+    this.started = false;
+  }
+
+  _transform (chunk, encoding, callback) {
+    this.parse(this.decoder.write(chunk));
+    callback();
+  }
+
+  _flush (callback) {
+    this.parse(this.decoder.end());
+    this.quotePending = false;
+    this.inQuotes = false;
+    this.endRecord();
+    callback();
+  }
+
+  parse (text) {
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (!this.started) {
+        this.started = true;
+        if (c === '\uFEFF') continue;
+      }
+      if (this.quotePending) {
+        this.quotePending = false;
+        if (c === '"') {
+          this.field += c;
+          continue;
+        }
+        this.inQuotes = false;
+      } else if (this.inQuotes) {
+        if (c === '"') {
+          this.quotePending = true;
+        } else {
+          this.field += c;
+        }
+        continue;
+      }
+      switch (c) {
+        case ',':
+          this.record.push(this.field);
+          this.field = '';
+          break;
+        case '\n':
+          this.endRecord();
+          break;
+        case '\r':
+          break;
+        case '"':
+          if (this.field.length === 0) {
+            this.inQuotes = true;
+            break;
+          }
+          this.field += c;
+          break;
+        default:
+          this.field += c;
+      }
+    }
+  }
+
+  endRecord () {
+    if (this.record.length || this.field.length) {
+      this.record.push(this.field);
+      this.push(this.record);
+    }
+    this.record = [];
+    this.field = '';
+  }
+}
+exports.CsvParser = CsvParser;
+
+/*
+ * Formats an array of values as a CSV line, including the line ending.
+ * Quotes the values that contain commas, quotes, or line breaks.
+ *
+ * @param values
+ */
+function formatRow (values) {
+  return values.map((value) => {
+    const text = (value === undefined || value === null) ? '' : `${value}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\n';
+}
+exports.formatRow = formatRow;
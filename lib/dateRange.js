@@ -0,0 +1,213 @@
+'use strict';
+/*
+ * dateRange.js
+ * Version 1.0.0
+ *
+ * Parses and checks the date range of an export (since and until, or begindate and enddate).
+ * Each end of the range can be:
+ *
+ *   a date: YYYY-MM-DD, which is the whole day
+ *   an ISO-8601 timestamp with a time zone, such as 2024-01-31T18:00:00Z or
+ *     2024-01-31T18:00:00+01:00. It's converted to UTC.
+ *   a relative expression:
+ *     today, yesterday, now
+ *     <n>d, <n>w: the date n days or weeks ago, such as 7d
+ *     <n>h: the time n hours ago
+ *     last-week, last-month: the previous week (Monday to Sunday) or month
+ *     wtd, mtd, ytd: the current week, month, or year to date
+ *
+ * last-week, last-month, wtd, mtd, and ytd are periods. As the begin date, a period
+ * also sets the end date, unless the end date is given.
+ *
+ * Dates and relative expressions are in the local time zone. Set TZ to use another one.
+ */
+
+const utils = require('./utils.js');
+
+// Periods: function (today) that returns { begin, end } as YYYY-MM-DD
+const PERIODS = {
+  'last-week': (today) => {
+    const monday = utils.addDays(today, -daysSinceMonday(today) - 7);
+    return { begin: monday, end: utils.addDays(monday, 6) };
+  },
+  'last-month': (today) => {
+    const parts = today.split('-').map((part) => parseInt(part, 10));
+    return {
+      begin: utils.formatDate(new Date(parts[0], parts[1] - 2, 1)),
+      end: utils.formatDate(new Date(parts[0], parts[1] - 1, 0))
+    };
+  },
+  wtd: (today) => ({ begin: utils.addDays(today, -daysSinceMonday(today)), end: today }),
+  mtd: (today) => ({ begin: `${today.substring(0, 8)}01`, end: today }),
+  ytd: (today) => ({ begin: `${today.substring(0, 5)}01-01`, end: today })
+};
+exports.PERIODS = Object.keys(PERIODS);
+
+/*
+ * Returns the number of days since the last Monday (0 on Monday).
+ *
+ * @param date - YYYY-MM-DD
+ */
+function daysSinceMonday (date) {
+  const parts = date.split('-').map((part) => parseInt(part, 10));
+  // getDay() is 0 for Sunday
+  return (new Date(parts[0], parts[1] - 1, parts[2]).getDay() + 6) % 7;
+}
+
+/*
+ * Returns true if the text is a YYYY-MM-DD date that exists.
+ */
+function isDate (text) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  if (!match) {
+    return false;
+  }
+  const date = new Date(match[1], match[2] - 1, match[3]);
+  return utils.formatDate(date) === text;
+}
+exports.isDate = isDate;
+
+/*
+ * Returns true if the text is a YYYY-MM-DD date.
+ */
+function isDateOnly (value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+/*
+ * Parses one end of a date range.
+ *
+ * Returns { value, end }. value is a YYYY-MM-DD date or a UTC timestamp.
+ * end is the end of the period if the text is a period.
+ *
+ * Throws an error if the text isn't a date, a timestamp with a time zone,
+ * or a relative expression.
+ *
+ * @param text - the argument value
+ * @param now - (optional) the current time, as a Date
+ */
+function parse (text, now) {
+  const current = now || new Date();
+  const today = utils.formatDate(current);
+  const expression = `${text}`.trim().toLowerCase();
+  if (isDateOnly(expression)) {
+    if (!isDate(expression)) {
+      throw new Error(`${text} isn't a valid date.`);
+    }
+    return { value: expression };
+  }
+  if (/^\d{4}-\d{2}-\d{2}t/.test(expression)) {
+    if (!/^\d{4}-\d{2}-\d{2}t\d{2}:\d{2}(:\d{2}(\.\d+)?)?(z|[+-]\d{2}:?\d{2})$/.test(expression)) {
+      throw new Error(`${text} isn't an ISO-8601 timestamp with a time zone, such as 2024-01-31T18:00:00Z or 2024-01-31T18:00:00+01:00.`);
+    }
+    const time = Date.parse(expression.toUpperCase());
+    if (isNaN(time) || !isDate(expression.substring(0, 10))) {
+      throw new Error(`${text} isn't a valid timestamp.`);
+    }
+    return { value: new Date(time).toISOString() };
+  }
+  if (expression === 'today') {
+    return { value: today };
+  }
+  if (expression === 'yesterday') {
+    return { value: utils.addDays(today, -1) };
+  }
+  if (expression === 'now') {
+    return { value: current.toISOString() };
+  }
+  let match = /^(\d+)([dw])$/.exec(expression);
+  if (match) {
+    return { value: utils.addDays(today, -parseInt(match[1], 10) * (match[2] === 'w' ? 7 : 1)) };
+  }
+  match = /^(\d+)h$/.exec(expression);
+  if (match) {
+    return { value: new Date(current.getTime() - parseInt(match[1], 10) * 60 * 60 * 1000).toISOString() };
+  }
+  if (PERIODS[expression]) {
+    const period = PERIODS[expression](today);
+    return { value: period.begin, end: period.end };
+  }
+  throw new Error(`${text} isn't a date (YYYY-MM-DD), a timestamp with a time zone, ` +
+    `or one of: today, yesterday, now, <n>d, <n>w, <n>h, ${Object.keys(PERIODS).join(', ')}.`);
+}
+exports.parse = parse;
+
+/*
+ * Gets the first (isEnd false) or last (isEnd true) millisecond of a date or timestamp.
+ */
+function toTime (value, isEnd) {
+  if (!isDateOnly(value)) {
+    return Date.parse(value);
+  }
+  const parts = value.split('-').map((part) => parseInt(part, 10));
+  return isEnd ? new Date(parts[0], parts[1] - 1, parts[2] + 1).getTime() - 1 : new Date(parts[0], parts[1] - 1, parts[2]).getTime();
+}
+
+/*
+ * Returns true if the value is a timestamp rather than a date.
+ */
+function isTimestamp (value) {
+  return value !== undefined && !isDateOnly(value);
+}
+exports.isTimestamp = isTimestamp;
+
+/*
+ * Parses and checks a date range. Neither end can be in the future,
+ * and the begin date can't be after the end date.
+ * Adds to problems if the range is invalid.
+ *
+ * Returns { beginDate, endDate }, which are YYYY-MM-DD dates, UTC timestamps,
+ * or undefined for the earliest date and today
+ *
+ * @param since - (optional) the begin date, timestamp, or expression
+ * @param until - (optional) the end date, timestamp, or expression
+ * @param problems - the array to add the problems to
+ * @param now - (optional) the current time, as a Date
+ */
+function resolve (since, until, problems, now) {
+  const current = now || new Date();
+  const range = {};
+  let periodEnd;
+  const parseEnd = (type, text) => {
+    if (text === undefined || text === null || !`${text}`.trim().length) {
+      return undefined;
+    }
+    try {
+      return parse(text, current);
+    } catch (err) {
+      problems.push(`The ${type} date ${err.message}`);
+      return undefined;
+    }
+  };
+  const begin = parseEnd('begin', since);
+  if (begin) {
+    range.beginDate = begin.value;
+    periodEnd = begin.end;
+  }
+  const end = parseEnd('end', until);
+  if (end) {
+    // A period as the end date means its last day
+    range.endDate = end.end || end.value;
+  } else if (periodEnd && (until === undefined || until === null || !`${until}`.trim().length)) {
+    range.endDate = periodEnd;
+  }
+  if (range.beginDate && toTime(range.beginDate, false) > current.getTime()) {
+    problems.push(`The begin date ${range.beginDate} is in the future.`);
+  }
+  if (range.endDate && toTime(range.endDate, false) > current.getTime()) {
+    problems.push(`The end date ${range.endDate} is in the future.`);
+  }
+  if (range.beginDate && range.endDate && toTime(range.beginDate, false) > toTime(range.endDate, true)) {
+    problems.push(`The begin date ${range.beginDate} is after the end date ${range.endDate}.`);
+  }
+  return range;
+}
+exports.resolve = resolve;
+
+/*
+ * Describes a date range for messages, such as "2024-01-01 to today".
+ */
+function describe (range) {
+  return `${range.beginDate || 'earliest date'} to ${range.endDate || 'today'}`;
+}
+exports.describe = describe;
@@ -0,0 +1,88 @@
+'use strict';
+/*
+ * errors.js
+ * Version 1.0.2
+ *
+ * Error types that OdaInsightsClient throws (see odaInsightsClient.js),
+ * so that callers can handle each case without parsing messages.
+ *
+ *   HttpError: a request returned a non-2xx status. statusCode is the status.
+ *   ExportFailedError: the export task ended with EXPORT_FAILED. task is the export task.
+ *   NoDataError: the export task ended with NO_DATA. task is the export task.
+ *   TimeoutError: the export task was still running after the last status check.
+ *     task is the last export task status that was returned.
+ *   InvalidArgumentsError: one or more arguments are invalid. problems lists them.
+ *   AuthError: the credentials can't be loaded or used to get a security token.
+ *
+ * All of them extend OdaExportError.
+ */
+
+/*
+ * Base class for the errors that this script throws on purpose.
+ */
+class OdaExportError extends Error {
+  constructor (message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+exports.OdaExportError = OdaExportError;
+
+class HttpError extends OdaExportError {
+  /*
+   * @param message
+   * @param statusCode - the response status
+   * @param details - (optional)
+   *   opcRequestId: the opc-request-id response header
+   *   retryAfter: the Retry-After response header
+   *   body: the response body
+   */
+  constructor (message, statusCode, details) {
+    super(message);
+    const opts = details || {};
+    this.statusCode = statusCode;
+    this.opcRequestId = opts.opcRequestId;
+    this.retryAfter = opts.retryAfter;
+    this.body = opts.body;
+  }
+}
+exports.HttpError = HttpError;
+
+/*
+ * Base class for the errors about an export task's outcome.
+ */
+class ExportTaskError extends OdaExportError {
+  /*
+   * @param message
+   * @param task - the export task resource, which has jobId and status
+   */
+  constructor (message, task) {
+    super(message);
+    this.task = task;
+    this.jobId = task.jobId;
+  }
+}
+exports.ExportTaskError = ExportTaskError;
+
+class ExportFailedError extends ExportTaskError {}
+exports.ExportFailedError = ExportFailedError;
+
+class NoDataError extends ExportTaskError {}
+exports.NoDataError = NoDataError;
+
+class TimeoutError extends ExportTaskError {}
+exports.TimeoutError = TimeoutError;
+
+class InvalidArgumentsError extends OdaExportError {
+  /*
+   * @param problems - a message for each invalid argument
+   */
+  constructor (problems) {
+    super(['One or more arguments are invalid. Correct the values and try again.'].concat(problems).join('\n'));
+    this.problems = problems;
+  }
+}
+exports.InvalidArgumentsError = InvalidArgumentsError;
+
+class AuthError extends OdaExportError {}
+exports.AuthError = AuthError;
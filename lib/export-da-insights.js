@@ -1,284 +1,1127 @@
 'use strict';
 /*
  * export-da-insights.js
- * Version 1.0.1
+ * Version 1.1.12
  *
- * Exports a digital assistant's insights data, optionally for the specified date
- * range, and downloads ZIP files to the specified directory.
+ * Exports the insights data for skills, digital assistants, or the whole instance,
+ * optionally for the specified date range, and downloads ZIP files to the
+ * specified directory.
+ *
+ * With the incremental option, exports each target from the day after its
+ * last successful incremental export (see state.js).
+ *
+ * With the chunk option, splits the date range into day, week, or month windows
+ * and runs a separate export job for each window.
+ *
+ * With the destination option, uploads the ZIP files to an OCI Object Storage
+ * or S3-compatible bucket instead of writing them to outpath (see objectStorage.js).
+ *
+ * With the extract option, also extracts the insights tables from the ZIP files
+ * (see extract.js).
+ *
+ * With the report option, also writes an HTML and a Markdown summary of the data
+ * next to the ZIP files (see report.js).
+ *
+ * With the purge option, the export task deletes the exported data from the
+ * ODA instance (an EXPORT_AND_PURGE task), after the user confirms it.
+ *
+ * The rowsperfile, data, maxwait, polldelay, and maxpolldelay options set the
+ * rows per file, the data to export, and how long and how often to check
+ * whether a job is done. The run profile's targets key can set them for
+ * particular targets (see runProfile.js).
+ *
+ * Also checks the status of, downloads, and lists earlier export jobs,
+ * which are recorded in the job ledger (see ledger.js), and lists, inspects,
+ * and deletes the export tasks in the ODA instance.
+ *
+ * The requests to ODA go through an OdaInsightsClient (see odaInsightsClient.js).
+ * Messages go through the logger, which the caller configures (see logger.js).
+ * exportData doesn't exit or prompt, so other programs can call it with their
+ * own client. The command functions (run, status, download, list, tasks, inspect,
+ * deleteTasks) throw the errors in errors.js, so the caller can choose the exit
+ * code (see outcome.js). run, status, and download return { jobs }, for the
+ * JSON result document. run and deleteTasks ask the user to confirm a purge or
+ * deletion unless the yes argument is given, or fail in non-interactive mode.
  *
  */
 
 /*
  * Dependencies
  */
-const os = require('os');
 const fs = require('fs');
-const retry = require('@lifeomic/attempt').retry;
-const ociUtils = require('./ociUtils');
+const path = require('path');
 const utils = require('./utils.js');
+const ledger = require('./ledger.js');
+const extract = require('./extract.js');
+const report = require('./report.js');
+const state = require('./state.js');
+const objectStorage = require('./objectStorage.js');
+const odaInsightsClient = require('./odaInsightsClient.js');
+const dateRange = require('./dateRange.js');
+const runProfile = require('./runProfile.js');
+const errors = require('./errors.js');
+const logger = require('./logger.js');
+const inquirer = require('inquirer');
 
 /*
  * global variables
  */
 const EXPORTDAINSIGHTS = {
-  // API info
-  basePath: '/api/v1',
-  // Max number of tries to check for export task completion
-  maxStatusRetries: 20,
-  // Active export task statuses
-  activeStatuses: 'SUBMITTED IN_PROGRESS',
-  // task type
-  taskType: 'EXPORT',
-  // Just export the essential data
-  insightsDataExport: true,
-  // maximum number of rows per ZIP file
-  maxFileLength: '100000000'
+  // Default target type
+  defaultTarget: 'skill',
+  // Default number of files to download at the same time
+  downloadConcurrency: 3,
+  // Chunk sizes for splitting a date range into several export jobs
+  chunkUnits: ['day', 'week', 'month'],
+  // Default number of chunk export jobs to run at the same time
+  chunkConcurrency: 2,
+  // Final statuses that mean that the chunk's date range has been exported
+  completeStatuses: ['EXPORT_SUCCEEDED', 'NO_DATA'],
+  // Export task statuses, for the status filter
+  taskStatuses: ['SUBMITTED', 'IN_PROGRESS', 'EXPORT_SUCCEEDED', 'EXPORT_FAILED', 'NO_DATA'],
+  // Arguments that the run profile can set for each target
+  targetSettings: ['rowsperfile', 'data', 'maxwait', 'polldelay', 'maxpolldelay'],
+  // Duration arguments and their export settings
+  durationSettings: { maxwait: 'maxWait', polldelay: 'pollDelay', maxpolldelay: 'maxPollDelay' }
 };
-var DEBUG;
+/*
+ * Gets the client's request timeouts and retries from the script arguments
+ * connecttimeout and readtimeout (seconds) and retries.
+ *
+ * Returns { connectTimeout, readTimeout, maxRetries } in milliseconds.
+ * Arguments that aren't given are undefined, so the client uses its defaults.
+ *
+ * Throws an error if an argument is invalid.
+ *
+ * @param parameters - the script arguments
+ */
+function getHttpOptions (parameters) {
+  const problems = [];
+  ['connecttimeout', 'readtimeout'].forEach((name) => {
+    if (parameters[name] !== undefined && (!Number.isInteger(parameters[name]) || parameters[name] < 1)) {
+      problems.push(`The ${name} ${parameters[name]} must be a whole number of seconds greater than 0.`);
+    }
+  });
+  if (parameters.retries !== undefined && (!Number.isInteger(parameters.retries) || parameters.retries < 0)) {
+    problems.push(`The retries ${parameters.retries} must be a whole number that's 0 or greater.`);
+  }
+  if (problems.length) {
+    throw new errors.InvalidArgumentsError(problems);
+  }
+  return {
+    connectTimeout: (parameters.connecttimeout === undefined) ? undefined : parameters.connecttimeout * 1000,
+    readTimeout: (parameters.readtimeout === undefined) ? undefined : parameters.readtimeout * 1000,
+    maxRetries: parameters.retries
+  };
+}
+exports.getHttpOptions = getHttpOptions;
 
 /*
- * Print message if in debug mode
- * (if user passed --debug as an argument).
+ * Gets the logger settings from the script arguments loglevel, logformat, and logfile.
+ * debug is the same as loglevel debug.
+ *
+ * Returns { level, format, file } for logger.configure()
+ *
+ * @param parameters - the script arguments
  */
-function debug (message) {
-  if (DEBUG) { console.log(message); }
+function getLogOptions (parameters) {
+  return {
+    level: parameters.loglevel || (parameters.debug ? 'debug' : undefined),
+    format: parameters.logformat,
+    file: parameters.logfile
+  };
 }
+exports.getLogOptions = getLogOptions;
 
 /*
- * Handle promise reject
+ * Creates the client for a command, which logs its progress messages.
+ *
+ * @param config - the domain, signer, and region from utils.readConfig()
+ * @param parameters - the script arguments, for the timeouts and retries
  */
-const failureCallback = function (error) {
-  console.error(error);
-  process.exit(1);
-};
+function createClient (config, parameters) {
+  if (!config) {
+    throw new errors.InvalidArgumentsError(['Provide the config file (configpath) or the domain and authentication type (domain and auth).']);
+  }
+  return new odaInsightsClient.OdaInsightsClient(Object.assign({}, config, getHttpOptions(parameters),
+    { log: logger.info, debug: logger.debug }));
+}
+exports.createClient = createClient;
 
 /*
- * Return a promise reject if the  export task
- * is still in progress
+ * Extracts the insights tables from the downloaded ZIP files
+ * and prints the row count of each table.
  *
- * @param exportId
+ * @param files - the downloaded files, as returned by OdaInsightsClient.downloadFiles
+ * @param outDir - the directory that the files are in
+ * @param format - csv or jsonl
+ * @param exportInfo - jobId, target, targetId, beginDate, and endDate of the export
  */
-async function rejectIfRequestActive (exportId) {
+async function extractTables (files, outDir, format, exportInfo) {
   try {
-    const result = await getExportTask(exportId);
-    debug(`rejectIfRequestActive: ${result.status}`);
-    if (EXPORTDAINSIGHTS.activeStatuses.includes(result.status.toUpperCase())) {
-      return Promise.reject(new Error(result));
-    } else {
-      return Promise.resolve(result);
-    }
+    const manifest = await extract.extractExports(files.map((file) => file.path), outDir,
+      Object.assign({ format }, exportInfo));
+    logger.info(`Extracted ${manifest.tables.length} table(s) to ${path.dirname(manifest.file)}:`);
+    manifest.tables.forEach((table) => {
+      logger.info(`  ${table.file}  ${table.rows} row(s)`);
+    });
+    return manifest;
   } catch (error) {
-    failureCallback(error);
+    logger.error('Can\'t extract the insights tables from the ZIP files. The reported error was:');
+    throw error;
   }
 }
 
 /*
- * Monitor task until it ends or has retried getExportTaskStatus()
- * EXPORTDAINSIGHTS.maxStatusRetries times.
+ * Writes the HTML and Markdown reports for the downloaded ZIP files.
  *
- * Uses exponential backoff with up to 60-second pause between retries.
+ * Returns { html, markdown }, the full paths to the report files
  *
- * (Oracle recommends that you implement an exponential back-off, starting from a few seconds to a
- * maximum of 60 seconds.)
+ * @param files - the downloaded files, as returned by OdaInsightsClient.downloadFiles
+ * @param outDir - the directory that the files are in
+ * @param exportInfo - jobId, target, targetId, beginDate, and endDate of the export
+ */
+async function writeReport (files, outDir, exportInfo) {
+  try {
+    const written = await report.createReport(files.map((file) => file.path), outDir, exportInfo);
+    logger.info(`Summarized ${written.summary.conversations} conversation(s) in ${path.basename(written.html)} ` +
+      `and ${path.basename(written.markdown)}.`);
+    return { html: written.html, markdown: written.markdown };
+  } catch (error) {
+    logger.error('Can\'t write the report for the ZIP files. The reported error was:');
+    throw error;
+  }
+}
+
+/*
+ * Gets the extract format from the script arguments.
+ * --extract without a value means csv.
+ * Returns null if extract wasn't requested, and undefined (and adds to problems)
+ * if the argument is invalid.
+ */
+function getExtractFormat (parameters, problems) {
+  if (parameters.extract === undefined || parameters.extract === 'false') {
+    return null;
+  }
+  const format = (parameters.extract === 'true') ? 'csv' : parameters.extract.trim().toLowerCase();
+  if (!extract.FORMATS.includes(format)) {
+    problems.push(`The extract format ${parameters.extract} must be one of: ${extract.FORMATS.join(', ')}.`);
+    return undefined;
+  }
+  return format;
+}
+
+/*
+ * Describes an export target for messages, for example skill 123 or the instance.
+ */
+function describeTarget (target, id) {
+  return (target === 'instance') ? 'the instance' : `${target} ${id}`;
+}
+
+/*
+ * Gets the metadata to set on uploaded objects: the job ID, the target, and the date range.
+ */
+function getObjectMetadata (jobId, target, id, range) {
+  const metadata = { jobid: jobId, target };
+  if (target !== 'instance' && id) {
+    metadata.targetid = id;
+  }
+  metadata.begindate = range.beginDate || 'earliest';
+  metadata.enddate = range.endDate || 'latest';
+  return metadata;
+}
+
+/*
+ * Runs one export task and downloads its files.
  *
- * Returns task resource
+ * Returns { jobId, status, files, error, manifest, report, startedAt, finishedAt } for the export task.
+ * status is the final status. files are the downloaded files, error is the
+ * export task's error, manifest is the extraction manifest file, and report
+ * has the report files.
+ * startedAt and finishedAt are ISO timestamps.
  *
- * @param exportId
+ * @param client - the OdaInsightsClient
+ * @param parameters - the script arguments, and exportSettings from getExportSettings
+ * @param target - skill, assistant, or instance
+ * @param id - ID of the skill or digital assistant. Ignored for instance.
+ * @param range - { beginDate, endDate } of the data to export. Either can be empty.
+ * @param outDir - full path to the directory for the ZIP files, or the object name
+ *   subdirectory if parameters.store is set
+ * @param concurrency - maximum number of simultaneous downloads
  */
-async function waitForTaskCompletion (exportId) {
-  debug('waitForTaskCompletion');
-  const options = {
-    delay: 200,
-    factor: 3,
-    maxAttempts: EXPORTDAINSIGHTS.maxStatusRetries,
-    maxDelay: 60000,
-    handleError (err, context) {
-      if (context.attemptsRemaining < 1) {
-        failureCallback(`Export process is still running.\nYou will have to download the exported data for request ID ${exportId} at a later time.`);
+async function exportTarget (client, parameters, target, id, range, outDir, concurrency) {
+  const startedAt = new Date().toISOString();
+  const settings = parameters.exportSettings || {};
+  const response = await client.startExport({
+    target,
+    id,
+    taskName: parameters.taskname,
+    beginDate: range.beginDate,
+    endDate: range.endDate,
+    purge: parameters.purge,
+    maxFileLength: settings.maxFileLength,
+    data: settings.data
+  });
+  const exportJobId = response.jobId;
+  logger.debug(`Export ID: ${exportJobId}`);
+  ledger.recordJob(parameters.ledger, {
+    jobId: exportJobId,
+    taskName: parameters.taskname,
+    domain: client.domain,
+    target,
+    id,
+    beginDate: range.beginDate,
+    endDate: range.endDate,
+    outDir: parameters.store ? undefined : outDir,
+    destination: parameters.store ? parameters.store.describe(parameters.store.objectName(outDir, '')) : undefined,
+    purge: parameters.purge ? true : undefined,
+    status: response.status
+  });
+  logger.info(`The export job ${exportJobId} for ${describeTarget(target, id)} has started.\nWaiting for the job to finish...`);
+  let taskResource;
+  try {
+    taskResource = await client.waitForExport(exportJobId, {
+      maxWait: settings.maxWait, pollDelay: settings.pollDelay, maxPollDelay: settings.maxPollDelay
+    });
+  } catch (error) {
+    // A job that failed, found no data, or is still running has a status to report
+    if (!(error instanceof errors.ExportTaskError)) {
+      throw error;
+    }
+    taskResource = error.task;
+  }
+  const finalStatus = taskResource.status;
+  const filenames = taskResource.filenames;
+  logger.debug(`exportTarget() final export task status: ${finalStatus.toUpperCase()}`);
+  ledger.updateJob(parameters.ledger, exportJobId, { status: finalStatus });
+  logger.info(finalStatus);
+  const result = { jobId: exportJobId, status: finalStatus, files: [], startedAt };
+  switch (finalStatus.toUpperCase()) {
+    case 'EXPORT_SUCCEEDED': {
+      const upload = parameters.store && {
+        store: parameters.store,
+        metadata: getObjectMetadata(exportJobId, target, id, range)
+      };
+      try {
+        result.files = await client.downloadFiles(exportJobId, outDir, { fileNames: filenames, concurrency, upload });
+      } catch (error) {
+        logger.error('Can\'t download the insights ZIP files. The reported error was:');
+        throw error;
+      }
+      ledger.updateJob(parameters.ledger, exportJobId, { downloaded: true });
+      logger.info(upload
+        ? `The export is done. The files are in ${upload.store.describe(upload.store.objectName(outDir, ''))}.`
+        : `The export is done. The files are in the ${outDir} directory.`);
+      if (parameters.extractFormat) {
+        const manifest = await extractTables(result.files, outDir, parameters.extractFormat, {
+          jobId: exportJobId, target, targetId: id, beginDate: range.beginDate, endDate: range.endDate
+        });
+        result.manifest = manifest.file;
       }
-      if (err.retryable === false) {
-        // We should abort because error indicates that the request is not retryable
-        context.abort();
+      if (parameters.report) {
+        result.report = await writeReport(result.files, outDir, {
+          jobId: exportJobId, target, targetId: id, beginDate: range.beginDate, endDate: range.endDate
+        });
       }
+      break;
     }
-  };
+    case 'EXPORT_FAILED':
+      logger.error(taskResource.error);
+      result.error = taskResource.error;
+      break;
+    case 'NO_DATA':
+      logger.info('There isn\'t any data to export.');
+      if (range.beginDate || range.endDate) {
+        logger.info('Try a different date range.');
+      }
+      break;
+    default:
+      logger.warn(`The export task is still running. You'll have to download the file later. The export task ID = ${exportJobId}\n` +
+        `To check on it, run: node index.js status ${exportJobId}\n` +
+        `To download it when it's done, run: node index.js download ${exportJobId}`);
+  }
+  result.finishedAt = new Date().toISOString();
+  return result;
+}
 
-  try {
-    return await retry(async context => {
-      return rejectIfRequestActive(exportId);
-    }, options);
-  } catch (error) {
-    failureCallback(error);
+/*
+ * Gets the date range for the next incremental export of a target of the client's ODA instance.
+ *
+ * Returns { beginDate, endDate }, or undefined if the target has already
+ * been exported through the end date.
+ */
+function getIncrementalRange (client, parameters, target, id) {
+  const next = state.getNextRange(parameters.statefile, client.domain, target, id, parameters.begindate, parameters.enddate);
+  if (next.upToDate) {
+    logger.info(`${describeTarget(target, id)} has already been exported through ${next.lastEndDate}. Skipping it.`);
+    return undefined;
+  }
+  if (next.lastEndDate && parameters.begindate) {
+    logger.warn(`Ignoring the begin date ${parameters.begindate} for ${describeTarget(target, id)}, ` +
+      `which was last exported through ${next.lastEndDate}.`);
   }
+  logger.info(`Incremental export of ${describeTarget(target, id)}: ${next.beginDate || 'earliest date'} to ${next.endDate}`);
+  return { beginDate: next.beginDate, endDate: next.endDate };
 }
 
 /*
- * Get Export Task
+ * Runs a separate export job for each day, week, or month in the date range,
+ * with up to parameters.chunkconcurrency jobs at a time. Each chunk's files
+ * go in a <beginDate>_<endDate> subdirectory of outDir.
  *
- * Returns response body
+ * A chunk that fails doesn't stop the other chunks.
  *
- * @param exportId
+ * Returns an array of { beginDate, endDate, outDir, jobId, status, error } in date order
+ *
+ * @param client - the OdaInsightsClient
+ * @param parameters - the script arguments
+ * @param target - skill, assistant, or instance
+ * @param id - ID of the skill or digital assistant. Ignored for instance.
+ * @param range - { beginDate, endDate } of the data to export. beginDate is required.
+ * @param outDir - full path to the directory for the chunk subdirectories
+ * @param concurrency - maximum number of simultaneous downloads per chunk
  */
-async function getExportTask (exportId) {
-  try {
-    const options = {
-      host: utils.DOMAIN,
-      path: `${EXPORTDAINSIGHTS.basePath}/bots/insights/dataExports/${encodeURIComponent(exportId)}`
-    };
-    debug(`getExportTask: GET https://${options.host}${options.path}`);
-    return ociUtils.promisifiedSendRequest(options);
-  } catch (err) {
-    failureCallback(err);
+async function exportInChunks (client, parameters, target, id, range, outDir, concurrency) {
+  if (!range.beginDate) {
+    throw new Error(`A begin date is required to split the export of ${describeTarget(target, id)} into chunks.`);
   }
+  const endDate = range.endDate || utils.formatDate(new Date());
+  const chunks = utils.splitDateRange(range.beginDate, endDate, parameters.chunk);
+  logger.info(`Exporting ${describeTarget(target, id)} from ${range.beginDate} to ${endDate} in ${chunks.length} ${parameters.chunk} chunk(s).`);
+  return utils.mapWithConcurrency(chunks, parameters.chunkConcurrency, async (chunk) => {
+    const chunkDir = `${outDir}/${chunk.beginDate}_${chunk.endDate}`;
+    const chunkParameters = Object.assign({}, parameters, {
+      taskname: parameters.taskname ? `${parameters.taskname}-${chunk.beginDate}` : parameters.taskname
+    });
+    const result = Object.assign({ outDir: chunkDir }, chunk);
+    try {
+      if (!parameters.store) {
+        fs.mkdirSync(chunkDir, { recursive: true });
+      }
+      Object.assign(result, await exportTarget(client, chunkParameters, target, id, chunk, chunkDir, concurrency));
+    } catch (error) {
+      logger.warn(`The export of ${describeTarget(target, id)} for ${chunk.beginDate} to ${chunk.endDate} failed: ${error.message}`);
+      result.status = 'ERROR';
+      result.error = error.message;
+    }
+    return result;
+  });
 }
 
 /*
- * Start Export Task
- *
- * Starts instance analytics export task with the specified name and date range.
- *
- * Returns export ID (resource ID)
- *
- * @param taskName: user-defined task name
- * @param beginDate: start date
- * @param endDate: end date@
- * @param purge: (optional) true if want to purge after export. Default = false.
- *   defaule export
- */
-// Query parms: odaId, maxFileLength, since, until
-async function startExportTask (id, taskName, beginDate, endDate) {
-  const body = {};
-  body.name = taskName;
-  body.taskType = EXPORTDAINSIGHTS.taskType;
-  body.insightsDataExport = EXPORTDAINSIGHTS.insightsDataExport;
-  // The double not basically coerces value into its equal boolean form
-  const sinceQueryParm = (!!beginDate)
-    ? `&since=${encodeURIComponent(beginDate)}` : '';
-  const untilQueryParm = (!!endDate)
-    ? `&until=${encodeURIComponent(endDate)}` : '';
-  const options = {
-    host: utils.DOMAIN,
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    //change based on which file you want to download. botId foe Skill ,odaId for digital assistant
-    path: `${EXPORTDAINSIGHTS.basePath}/bots/insights/dataExports?botId=${encodeURIComponent(id)}&maxFileLength=${encodeURIComponent(EXPORTDAINSIGHTS.maxFileLength)}${sinceQueryParm}${untilQueryParm}`
-  };
-  debug(`startExportTask: ${options.method} http://${options.host}${options.path}`);
-  debug(`Headers: ${JSON.stringify(options.headers)}`);
-  debug(`Body: ${JSON.stringify(body)}`);
-  return ociUtils.promisifiedSendRequest(options, JSON.stringify(body));
+ * Prints the outcome of each chunk of a chunked export.
+ *
+ * @param target - skill, assistant, or instance
+ * @param id - ID of the skill or digital assistant
+ * @param results - the results from exportInChunks
+ */
+function printChunkReport (target, id, results) {
+  const groups = [
+    { title: 'Succeeded', statuses: ['EXPORT_SUCCEEDED'] },
+    { title: 'No data', statuses: ['NO_DATA'] },
+    { title: 'Failed', statuses: ['EXPORT_FAILED', 'ERROR'] }
+  ];
+  const grouped = groups.map((group) => group.statuses).reduce((all, statuses) => all.concat(statuses), []);
+  groups.push({ title: 'Still running', filter: (result) => !grouped.includes(result.status.toUpperCase()) });
+  logger.info(`\nChunk report for ${describeTarget(target, id)}:`);
+  groups.forEach((group) => {
+    const matches = results.filter(group.filter || ((result) => group.statuses.includes(result.status.toUpperCase())));
+    logger.info(`  ${group.title}: ${matches.length}`);
+    matches.forEach((result) => {
+      const detail = result.error ? ` - ${result.error.split('\n')[0]}` : (result.jobId ? ` (job ${result.jobId})` : '');
+      logger.info(`    ${result.beginDate} to ${result.endDate}${detail}`);
+    });
+  });
 }
 
 /*
- * Write exported ZIP files to the output directory
+ * Gets the date range from the script arguments since and until, or begindate
+ * and enddate, which are the older names (see dateRange.js).
+ * Adds to problems if the range is invalid.
  *
- * @param exportId
- * @param outDir - full path to the output directory
+ * Returns { beginDate, endDate }, which are dates, UTC timestamps, or undefined
+ */
+function getDateRange (parameters, problems) {
+  if (parameters.since !== undefined && parameters.begindate !== undefined) {
+    problems.push('Provide since or begindate, not both.');
+  }
+  if (parameters.until !== undefined && parameters.enddate !== undefined) {
+    problems.push('Provide until or enddate, not both.');
+  }
+  const range = dateRange.resolve((parameters.since !== undefined) ? parameters.since : parameters.begindate,
+    (parameters.until !== undefined) ? parameters.until : parameters.enddate, problems);
+  if ((parameters.chunk !== undefined || parameters.incremental) &&
+    (dateRange.isTimestamp(range.beginDate) || dateRange.isTimestamp(range.endDate))) {
+    problems.push('The chunk and incremental options export whole days, so the begin and end must be dates, not timestamps.');
+  }
+  return range;
+}
+
+/*
+ * Gets the export settings from the arguments rowsperfile, data, maxwait, polldelay,
+ * and maxpolldelay. Adds to problems if an argument is invalid.
  *
+ * Returns { maxFileLength, data, maxWait, pollDelay, maxPollDelay } for
+ * OdaInsightsClient.startExport and waitForExport. The durations are in milliseconds.
+ * Arguments that aren't given are undefined, so the client uses its defaults.
+ *
+ * @param values - the arguments, from the script arguments or a run profile target
+ * @param problems - the array to add the problems to
+ * @param source - (optional) where the arguments are from, for the messages
  */
+function getExportSettings (values, problems, source) {
+  const from = source ? ` for ${source}` : '';
+  const settings = {};
+  if (values.rowsperfile !== undefined) {
+    const rows = Number(values.rowsperfile);
+    if (!Number.isInteger(rows) || rows < 1) {
+      problems.push(`The rowsperfile ${values.rowsperfile}${from} must be a whole number greater than 0.`);
+    } else {
+      settings.maxFileLength = rows;
+    }
+  }
+  if (values.data !== undefined) {
+    if (!odaInsightsClient.DATA_TYPES.includes(values.data)) {
+      problems.push(`The data ${values.data}${from} must be one of: ${odaInsightsClient.DATA_TYPES.join(', ')}.`);
+    } else {
+      settings.data = values.data;
+    }
+  }
+  Object.keys(EXPORTDAINSIGHTS.durationSettings).forEach((name) => {
+    if (values[name] === undefined) {
+      return;
+    }
+    try {
+      const duration = utils.parseDuration(values[name]);
+      if (duration < 1) {
+        problems.push(`The ${name} ${values[name]}${from} must be longer than 0.`);
+      } else {
+        settings[EXPORTDAINSIGHTS.durationSettings[name]] = duration;
+      }
+    } catch (err) {
+      problems.push(`The ${name}${from} ${err.message}`);
+    }
+  });
+  if (settings.pollDelay && settings.maxPollDelay && settings.pollDelay > settings.maxPollDelay) {
+    problems.push(`The polldelay ${values.polldelay}${from} can't be longer than the maxpolldelay ${values.maxpolldelay}.`);
+  }
+  return settings;
+}
 
-async function writeExportedData (exportId, outDir, fileNames) {
-    //console.log(exportId)
-  let i;
-  for (i = 0; i < fileNames.length; i++) {
-    const options = {
-      encoding: null,
-      host: utils.DOMAIN,
-      path: `${EXPORTDAINSIGHTS.basePath}/bots/insights/dataExports/${encodeURIComponent(exportId)}/files/${encodeURIComponent(fileNames[i])}`
-    };
-    debug(`writeExportedData: GET http://${options.host}${options.path}`);
-    console.log(`Downloading ${outDir.trim()}/${fileNames[i]}`);
-    return ociUtils.promisifiedWriteZipResponse(options, `${outDir.trim()}/${fileNames[i]}`);
+/*
+ * Gets the export settings of each target: the settings from the script arguments,
+ * overridden by the target's settings in the run profile's targets key.
+ * Adds to problems if a setting is invalid.
+ *
+ * Returns a function (id) that returns the settings for a target ID (undefined for instance)
+ *
+ * @param parameters - the script arguments
+ * @param problems - the array to add the problems to
+ */
+function getTargetSettings (parameters, problems) {
+  const general = getExportSettings(parameters, problems);
+  const targets = parameters[runProfile.TARGETS_KEY];
+  const byTarget = {};
+  if (targets !== undefined) {
+    if (typeof targets !== 'object' || targets === null || Array.isArray(targets)) {
+      problems.push(`The run profile's ${runProfile.TARGETS_KEY} must map skill or digital assistant IDs (or instance) to settings.`);
+    } else {
+      Object.keys(targets).forEach((key) => {
+        const values = targets[key] || {};
+        const unknown = Object.keys(values).filter((name) => !EXPORTDAINSIGHTS.targetSettings.includes(name));
+        if (typeof values !== 'object' || Array.isArray(values) || unknown.length) {
+          problems.push(`The run profile settings for ${key} can only be: ${EXPORTDAINSIGHTS.targetSettings.join(', ')}.`);
+          return;
+        }
+        byTarget[key] = Object.assign({}, general, getExportSettings(values, problems, key));
+      });
+    }
   }
+  return (id) => byTarget[(id === undefined) ? 'instance' : id] || general;
 }
 
 /*
- * Main
+ * Splits the id argument into a list of IDs. Also used for the status argument.
+ * The argument is an array when passed on the command line,
+ * and a comma-separated string when entered at a prompt.
+ */
+function parseIds (ids) {
+  if (ids === undefined) {
+    return [];
+  }
+  const list = Array.isArray(ids) ? ids : `${ids}`.split(',');
+  return list.map((id) => id.trim()).filter((id) => id.length);
+}
+
+/*
+ * Runs the export for the script arguments without prompting and without exiting.
  *
- * @parameters - object that contains the user-provided script arguments,
- * which are defined in and processed by scriptArgs.js.
+ * Returns { jobs } where jobs has an entry for each export job (or incremental
+ * target that was already up to date) with these properties:
+ *   target, id, beginDate, endDate, outDir, jobId, status, startedAt, finishedAt,
+ *   files: the downloaded files ({ fileName, path, size, sha256 }). When the
+ *     files are uploaded, path is the object's URL and skipped is true if it already existed.
+ *   error: the export task's error, if any, or why the ID couldn't be exported
+ *     (status ERROR),
+ *   manifest: the extraction manifest file, if the tables were extracted
+ *   report: { html, markdown }, the report files, if the report was written
  *
+ * Throws an error if the arguments are invalid or none of the IDs can be exported.
+ * An ID that can't be exported doesn't stop the export of the others.
+ *
+ * @parameters - object that contains the script arguments,
+ * which are defined in and processed by scriptArgs.js.
+ * @param client - the OdaInsightsClient for the ODA instance
  */
-const run = async (parameters) => {
-  try {
-    DEBUG = (parameters.debug === undefined) ? false : parameters.debug;
-    const zipFilePath =
-    (parameters.outpath.indexOf('~/') === 0)
-      ? parameters.outpath.replace('~', os.homedir())
-      : parameters.outpath;
-    let errorsFound = false;
-    // validate zip file path is a directory
+async function exportData (parameters, client) {
+  const problems = [];
+  if (parameters.destination) {
+    try {
+      objectStorage.parseDestination(parameters.destination);
+    } catch (e) {
+      problems.push(e.message);
+    }
+  } else if (!parameters.outpath || !parameters.outpath.trim().length) {
+    problems.push('Provide the directory for the ZIP files (outpath) or the destination bucket (destination).');
+  }
+  if (parameters.purge && parameters.yes !== true) {
+    problems.push('A purge (purge) deletes the exported data from the ODA instance. Confirm it with the yes argument.');
+  }
+  // When uploading, outDir is just the subdirectory part of the object names
+  const zipFilePath = parameters.destination ? '' : utils.expandHome((parameters.outpath || '').trim());
+  // validate zip file path is a directory
+  if (zipFilePath.length) {
     try {
-      if (!fs.statSync(zipFilePath.trim()).isDirectory()) {
-        console.log(`${zipFilePath} is not a directory.`);
-        errorsFound = true;
+      if (!fs.statSync(zipFilePath).isDirectory()) {
+        problems.push(`${zipFilePath} is not a directory.`);
       }
     } catch (e) {
-      console.log(`${zipFilePath} doesn't exist.`);
-      errorsFound = true;
+      problems.push(`${zipFilePath} doesn't exist.`);
     }
-    // validate begin and end dates are in the right format and are valid dates
-    if (!isDateValid('begin', parameters.begindate)) errorsFound = true;
-    if (!isDateValid('end', parameters.enddate)) errorsFound = true;
-    if (errorsFound) {
-      failureCallback('One or more arguments are invalid. Correct the values and try again.');
+  }
+  const target = (parameters.target === undefined) ? EXPORTDAINSIGHTS.defaultTarget : parameters.target;
+  let ids = parseIds(parameters.id);
+  if (!odaInsightsClient.TARGETS.includes(target)) {
+    problems.push(`The target ${target} must be one of: ${odaInsightsClient.TARGETS.join(', ')}.`);
+  } else if (target === 'instance') {
+    // An instance export covers everything, so there's only one export task
+    ids = [undefined];
+  } else if (!ids.length) {
+    problems.push(`Provide the ID of at least one ${target}.`);
+  }
+  // The rest of the export uses the normalized dates and timestamps
+  const range = getDateRange(parameters, problems);
+  parameters.begindate = range.beginDate;
+  parameters.enddate = range.endDate;
+  const concurrency = getConcurrency(parameters, problems);
+  const getSettings = getTargetSettings(parameters, problems);
+  parameters.extractFormat = getExtractFormat(parameters, problems);
+  if (parameters.extractFormat && parameters.destination) {
+    problems.push('The tables can\'t be extracted (extract) when the files are uploaded to a bucket (destination).');
+  }
+  if (parameters.report && parameters.destination) {
+    problems.push('The report (report) can\'t be written when the files are uploaded to a bucket (destination).');
+  }
+  if (parameters.chunk !== undefined) {
+    if (!EXPORTDAINSIGHTS.chunkUnits.includes(parameters.chunk)) {
+      problems.push(`The chunk ${parameters.chunk} must be one of: ${EXPORTDAINSIGHTS.chunkUnits.join(', ')}.`);
+    } else if (!parameters.begindate && !parameters.incremental) {
+      problems.push('A begin date is required to split the export into chunks.');
     }
-    const response = await startExportTask(parameters.id, parameters.taskname, parameters.begindate, parameters.enddate);
-    const exportJobId = response.jobId;
-    debug(`Export ID: ${exportJobId}`);
-    console.log(`The export job ${exportJobId} has started.\nWaiting for the job to finish...`);
-    const taskResource = await waitForTaskCompletion(exportJobId);
-    const finalStatus = taskResource.status;
-    const filenames = taskResource.filenames;
-    debug(`run() final export task status: ${finalStatus.toUpperCase()}`);
-    console.log(finalStatus);
-    switch (finalStatus.toUpperCase()) {
-       
-      case 'EXPORT_SUCCEEDED': {
-          //console.log('im here')
-        try {
-          await writeExportedData(exportJobId, zipFilePath, filenames);
-        } catch (error) {
-          console.log('Can\'t download the insights ZIP files. The reported error was:');
-          failureCallback(error);
-        }
-        console.log(`The export is done. The files are in the ${zipFilePath} directory.`);
-        break;
+    parameters.chunkConcurrency = (parameters.chunkconcurrency === undefined)
+      ? EXPORTDAINSIGHTS.chunkConcurrency
+      : parameters.chunkconcurrency;
+    if (!Number.isInteger(parameters.chunkConcurrency) || parameters.chunkConcurrency < 1) {
+      problems.push(`The chunk concurrency ${parameters.chunkconcurrency} must be a whole number greater than 0.`);
+    }
+  }
+  if (problems.length) {
+    throw new errors.InvalidArgumentsError(problems);
+  }
+  if (parameters.destination) {
+    parameters.store = client.createStore(parameters.destination, parameters.s3endpoint);
+  }
+  if (!parameters.incremental) {
+    logger.info(`Date range: ${dateRange.describe(range)}`);
+  }
+  const jobs = [];
+  const failures = [];
+  for (const id of ids) {
+    // When exporting several IDs, keep each ID's files in its own subdirectory
+    let outDir = zipFilePath;
+    if (ids.length > 1) {
+      outDir = `${outDir}/${id}`;
+      if (!parameters.store) {
+        fs.mkdirSync(outDir, { recursive: true });
+      }
+    }
+    let range = { beginDate: parameters.begindate, endDate: parameters.enddate };
+    if (parameters.incremental) {
+      range = getIncrementalRange(client, parameters, target, id);
+      if (!range) {
+        jobs.push({ target, id, status: 'UP_TO_DATE' });
+        continue;
+      }
+    }
+    const targetParameters = Object.assign({}, parameters, { exportSettings: getSettings(id) });
+    logger.debug(`Export settings for ${describeTarget(target, id)}: ${JSON.stringify(targetParameters.exportSettings)}`);
+    let results;
+    try {
+      if (parameters.chunk) {
+        results = await exportInChunks(client, targetParameters, target, id, range, outDir, concurrency);
+        printChunkReport(target, id, results);
+      } else {
+        results = [Object.assign({ outDir }, range, await exportTarget(client, targetParameters, target, id, range, outDir, concurrency))];
+      }
+    } catch (error) {
+      // Export the other IDs, and report this one as a job with an error
+      if (ids.length > 1) {
+        logger.error(`The export of ${describeTarget(target, id)} failed: ${error.message}`);
+      }
+      failures.push(error);
+      jobs.push(Object.assign({ target, id, outDir }, range, { status: 'ERROR', error: error.message }));
+      continue;
+    }
+    results.forEach((result) => jobs.push(Object.assign({ target, id }, result)));
+    if (parameters.incremental) {
+      // The files have been downloaded if an export succeeded (a failed download throws),
+      // so it's safe to move the high-water mark to the end of the last chunk
+      // before the first chunk that isn't complete
+      let complete;
+      for (const result of results) {
+        if (!EXPORTDAINSIGHTS.completeStatuses.includes(result.status.toUpperCase())) break;
+        complete = result;
+      }
+      if (complete) {
+        state.advance(parameters.statefile, client.domain, target, id, complete.endDate, complete.jobId);
+        logger.debug(`Incremental export of ${describeTarget(target, id)} is now complete through ${complete.endDate}`);
       }
-      case 'EXPORT_FAILED':
-        console.log(taskResource.error);
-        break;
-      case 'NO_DATA':
-        console.log('There isn\'t any data to export.');
-        if (('begindate' in parameters) || ('enddate' in parameters)) {
-          console.log('Try a different date range.');
-        }
-        break;
-      default:
-        console.log(`The export task is still running. You'll have to download the file later. The export task ID = ${exportJobId}`);
     }
-  } catch (err) {
-    failureCallback(err);
   }
+  // If nothing could be exported, such as when the credentials are rejected, the first error says why
+  if (failures.length && failures.length === jobs.length) {
+    throw failures[0];
+  }
+  return { jobs };
+}
+exports.exportData = exportData;
+
+/*
+ * Main
+ *
+ * Runs the export. Asks the user to confirm a purge.
+ *
+ * Returns the result of exportData, or undefined if the user canceled the purge
+ *
+ * @parameters - object that contains the user-provided script arguments,
+ * which are defined in and processed by scriptArgs.js.
+ * @param config - the domain, signer, and region from utils.readConfig()
+ *
+ */
+const run = async (parameters, config) => {
+  // In non-interactive mode, exportData reports that the purge isn't confirmed
+  if (parameters.purge && !parameters.yes && !parameters['non-interactive']) {
+    parameters.yes = await confirm('The export will delete the exported data from the ODA instance (purge). ' +
+      'The data can only be recovered from the exported files. Continue?');
+    if (!parameters.yes) {
+      logger.info('The export was canceled.');
+      return;
+    }
+  }
+  return await exportData(parameters, createClient(config, parameters));
 };
 exports.run = run;
-function isDateValid (type, date) {
-  if (date !== undefined) {
-    if (date.length) {
-      if (!/^\d\d\d\d-[0-1]\d-[0-3]\d$/.test(date)) {
-        console.log(`The ${type} date ${date} is not in the format YYYY-MM-DD.`);
-        return false;
-      }
-      const d = new Date(date);
-      const dNum = d.getTime();
-      // Test for NaN
-      if (!dNum && dNum !== 0) {
-        console.log(`The ${type} date ${date} is not a valid date.`);
-        return false;
+
+/*
+ * Gets the download concurrency from the script arguments.
+ * Returns undefined and adds to problems if the argument is invalid.
+ */
+function getConcurrency (parameters, problems) {
+  const concurrency = (parameters.concurrency === undefined)
+    ? EXPORTDAINSIGHTS.downloadConcurrency
+    : parameters.concurrency;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    problems.push(`The concurrency ${parameters.concurrency} must be a whole number greater than 0.`);
+    return undefined;
+  }
+  return concurrency;
+}
+
+/*
+ * Gets the result of a status or download command for an earlier export job,
+ * in the form of an exportData job.
+ *
+ * @param task - the export task
+ * @param job - the job's entry in the job ledger, or an empty object
+ */
+function getJobResult (task, job) {
+  return {
+    target: job.target,
+    id: job.id,
+    beginDate: job.beginDate,
+    endDate: job.endDate,
+    jobId: task.jobId,
+    status: task.status,
+    files: [],
+    error: task.error
+  };
+}
+
+/*
+ * status command
+ *
+ * Prints the status of an earlier export job and updates the job ledger.
+ *
+ * Returns { jobs } with the job, whose files have only fileName
+ *
+ * @parameters - the script arguments. Uses jobid and ledger.
+ * @param config - the domain, signer, and region from utils.readConfig()
+ */
+const status = async (parameters, config) => {
+  const jobId = parameters.jobid.trim();
+  const taskResource = await createClient(config, parameters).getExport(jobId);
+  const job = ledger.updateJob(parameters.ledger, jobId, { status: taskResource.status });
+  logger.info(`Export job ${jobId}: ${taskResource.status}`);
+  if (job.target) {
+    logger.info(`Exported data: ${describeTarget(job.target, job.id)}, ${job.beginDate || 'earliest date'} to ${job.endDate || 'today'}`);
+  }
+  switch (taskResource.status.toUpperCase()) {
+    case 'EXPORT_SUCCEEDED':
+      logger.info(`Files: ${(taskResource.filenames || []).join(', ')}`);
+      if (!job.downloaded) {
+        logger.info(`To download the files, run: node index.js download ${jobId}`);
       }
+      break;
+    case 'EXPORT_FAILED':
+      logger.info(taskResource.error);
+      break;
+    case 'NO_DATA':
+      logger.info('There isn\'t any data to export.');
+      break;
+    default:
+      logger.info('The export task is still running.');
+  }
+  const result = getJobResult(taskResource, job);
+  result.files = (taskResource.filenames || []).map((fileName) => ({ fileName }));
+  return { jobs: [result] };
+};
+exports.status = status;
+
+/*
+ * download command
+ *
+ * Downloads the files of an earlier export job that has finished.
+ * If outpath isn't given, uses the directory that was recorded in the ledger for the job.
+ * If destination is given, uploads the files to that bucket instead.
+ *
+ * Returns { jobs } with the job and its downloaded files
+ *
+ * @parameters - the script arguments. Uses jobid, outpath, destination, s3endpoint,
+ *   concurrency, extract, report, and ledger.
+ * @param config - the domain, signer, and region from utils.readConfig()
+ */
+const download = async (parameters, config) => {
+  const jobId = parameters.jobid.trim();
+  const job = ledger.getJob(parameters.ledger, jobId) || {};
+  let outDir = (parameters.outpath && parameters.outpath.trim().length) ? parameters.outpath.trim() : job.outDir;
+  if (parameters.destination) {
+    outDir = '';
+  } else if (outDir === undefined) {
+    throw new errors.InvalidArgumentsError([`Export job ${jobId} isn't in the job ledger. Use --outpath or --destination to say where to put the files.`]);
+  }
+  outDir = utils.expandHome(outDir);
+  const problems = [];
+  const concurrency = getConcurrency(parameters, problems);
+  const extractFormat = getExtractFormat(parameters, problems);
+  if (parameters.destination) {
+    try {
+      objectStorage.parseDestination(parameters.destination);
+    } catch (e) {
+      problems.push(e.message);
     }
+    if (extractFormat) {
+      problems.push('The tables can\'t be extracted (extract) when the files are uploaded to a bucket (destination).');
+    }
+    if (parameters.report) {
+      problems.push('The report (report) can\'t be written when the files are uploaded to a bucket (destination).');
+    }
+  }
+  if (problems.length) {
+    throw new errors.InvalidArgumentsError(problems);
+  }
+  const client = createClient(config, parameters);
+  const taskResource = await client.getExport(jobId);
+  ledger.updateJob(parameters.ledger, jobId, { status: taskResource.status });
+  const result = getJobResult(taskResource, job);
+  switch (taskResource.status.toUpperCase()) {
+    case 'EXPORT_SUCCEEDED':
+      if (parameters.destination) {
+        const store = client.createStore(parameters.destination, parameters.s3endpoint);
+        const metadata = getObjectMetadata(jobId, job.target || 'unknown', job.id, job);
+        result.files = await client.downloadFiles(jobId, outDir, { fileNames: taskResource.filenames, concurrency, upload: { store, metadata } });
+        const destination = store.describe(store.objectName(outDir, ''));
+        ledger.updateJob(parameters.ledger, jobId, { downloaded: true, destination });
+        logger.info(`The upload is done. The files are in ${destination}.`);
+        break;
+      }
+      fs.mkdirSync(outDir, { recursive: true });
+      result.files = await client.downloadFiles(jobId, outDir, { fileNames: taskResource.filenames, concurrency });
+      ledger.updateJob(parameters.ledger, jobId, { downloaded: true, outDir });
+      logger.info(`The download is done. The files are in the ${outDir} directory.`);
+      if (extractFormat) {
+        const manifest = await extractTables(result.files, outDir, extractFormat, {
+          jobId, target: job.target, targetId: job.id, beginDate: job.beginDate, endDate: job.endDate
+        });
+        result.manifest = manifest.file;
+      }
+      if (parameters.report) {
+        result.report = await writeReport(result.files, outDir, {
+          jobId, target: job.target, targetId: job.id, beginDate: job.beginDate, endDate: job.endDate
+        });
+      }
+      break;
+    case 'EXPORT_FAILED':
+      logger.error(`Export job ${jobId} failed, so there aren't any files to download.`);
+      logger.error(taskResource.error);
+      break;
+    case 'NO_DATA':
+      logger.info(`Export job ${jobId} didn't find any data to export.`);
+      break;
+    default:
+      logger.info(`Export job ${jobId} is still running (${taskResource.status}). Try again later.`);
+  }
+  return { jobs: [result] };
+};
+exports.download = download;
+
+/*
+ * list command
+ *
+ * Lists the jobs in the job ledger that are still running or that haven't
+ * been downloaded. Lists all the jobs if parameters.all is true.
+ *
+ * @parameters - the script arguments. Uses all and ledger.
+ */
+const list = async (parameters) => {
+  const jobs = ledger.listJobs(parameters.ledger, parameters.all);
+  if (!jobs.length) {
+    logger.info(parameters.all ? 'The job ledger is empty.' : 'There aren\'t any pending export jobs.');
+    return;
   }
-  return true;
+  jobs.forEach((job) => {
+    const downloaded = (job.status && job.status.toUpperCase() === 'EXPORT_SUCCEEDED')
+      ? (job.downloaded ? ', downloaded' : ', not downloaded') : '';
+    logger.info(`${job.jobId}  ${job.status || 'UNKNOWN'}${downloaded}`);
+    logger.info(`  ${job.taskName ? `${job.taskName}: ` : ''}${job.target ? describeTarget(job.target, job.id) : 'unknown target'}, ` +
+      `${job.beginDate || 'earliest date'} to ${job.endDate || 'today'}, started ${job.createdAt}`);
+  });
+};
+exports.list = list;
+
+/*
+ * Asks the user a yes/no question.
+ *
+ * Returns true if the user answered yes
+ */
+async function confirm (message) {
+  const answers = await inquirer.prompt([{ name: 'confirmed', type: 'confirm', message, default: false }]);
+  return answers.confirmed;
 }
+
+/*
+ * Gets the export task filters from the script arguments target, id, status, name, and olderthan.
+ * Adds to problems if an argument is invalid.
+ *
+ * Returns { target, id, statuses, name, olderThan } for OdaInsightsClient.listExports and filterByAge
+ */
+function getTaskFilters (parameters, problems) {
+  const target = parameters.target || EXPORTDAINSIGHTS.defaultTarget;
+  const ids = parseIds(parameters.id);
+  const statuses = parseIds(parameters.status).map((taskStatus) => taskStatus.toUpperCase());
+  if (!odaInsightsClient.TARGETS.includes(target)) {
+    problems.push(`The target ${target} must be one of: ${odaInsightsClient.TARGETS.join(', ')}.`);
+  }
+  if (ids.length > 1) {
+    problems.push('Provide only one skill or digital assistant ID (id).');
+  }
+  statuses.filter((taskStatus) => !EXPORTDAINSIGHTS.taskStatuses.includes(taskStatus)).forEach((taskStatus) => {
+    problems.push(`The status ${taskStatus} must be one of: ${EXPORTDAINSIGHTS.taskStatuses.join(', ')}.`);
+  });
+  if (parameters.olderthan !== undefined && (!Number.isInteger(parameters.olderthan) || parameters.olderthan < 0)) {
+    problems.push(`The olderthan ${parameters.olderthan} must be a whole number of days that's 0 or greater.`);
+  }
+  return { target, id: ids[0], statuses, name: parameters.name, olderThan: parameters.olderthan };
+}
+
+/*
+ * Gets when an export task was created, from the task or, if the task
+ * doesn't say, from the job ledger.
+ *
+ * Returns a Date, or undefined if it isn't known
+ */
+function getTaskCreated (task, job) {
+  const created = task.createdOn || (job && job.createdAt);
+  return created ? new Date(created) : undefined;
+}
+
+/*
+ * Keeps the export tasks that were created more than olderThan days ago.
+ * Tasks whose creation time isn't known are left out.
+ *
+ * @param tasks - the export tasks
+ * @param olderThan - the number of days, or undefined to keep all the tasks
+ * @param ledgerPath - the job ledger path
+ */
+function filterByAge (tasks, olderThan, ledgerPath) {
+  if (olderThan === undefined) {
+    return tasks;
+  }
+  const cutoff = Date.now() - olderThan * 24 * 60 * 60 * 1000;
+  return tasks.filter((task) => {
+    const created = getTaskCreated(task, ledger.getJob(ledgerPath, task.jobId));
+    return created !== undefined && created.getTime() < cutoff;
+  });
+}
+
+/*
+ * Prints a one-line summary of each export task.
+ */
+function printTasks (tasks, ledgerPath) {
+  tasks.forEach((task) => {
+    const created = getTaskCreated(task, ledger.getJob(ledgerPath, task.jobId));
+    logger.info(`${task.jobId}  ${task.status}  ${task.taskType || 'EXPORT'}  created ${created ? created.toISOString() : 'unknown'}`);
+    logger.info(`  ${task.name || '(no name)'}, ${(task.filenames || []).length} file(s)${task.error ? `, error: ${task.error}` : ''}`);
+  });
+}
+
+/*
+ * tasks command
+ *
+ * Lists the export tasks in the ODA instance, newest first, including the
+ * ones that weren't started by this script.
+ *
+ * @parameters - the script arguments. Uses the filters target, id, status, name, and olderthan.
+ * @param config - the domain, signer, and region from utils.readConfig()
+ */
+const tasks = async (parameters, config) => {
+  const problems = [];
+  const filters = getTaskFilters(parameters, problems);
+  if (problems.length) {
+    throw new errors.InvalidArgumentsError(problems);
+  }
+  const client = createClient(config, parameters);
+  const found = filterByAge(await client.listExports(filters), filters.olderThan, parameters.ledger);
+  if (!found.length) {
+    logger.info('There aren\'t any export tasks that match.');
+    return;
+  }
+  logger.info(`Found ${found.length} export task(s) in ${client.domain}:`);
+  printTasks(found, parameters.ledger);
+};
+exports.tasks = tasks;
+
+/*
+ * inspect command
+ *
+ * Prints the details of an export task: its name, status, date range,
+ * files and their sizes, and error. The date range and target come from
+ * the job ledger if the task doesn't include them.
+ *
+ * @parameters - the script arguments. Uses jobid and ledger.
+ * @param config - the domain, signer, and region from utils.readConfig()
+ */
+const inspect = async (parameters, config) => {
+  const jobId = parameters.jobid.trim();
+  const client = createClient(config, parameters);
+  const task = await client.getExport(jobId);
+  const job = ledger.getJob(parameters.ledger, jobId) || {};
+  const created = getTaskCreated(task, job);
+  const beginDate = task.since || job.beginDate;
+  const endDate = task.until || job.endDate;
+  logger.info(`Export job ${jobId}`);
+  logger.info(`  Name: ${task.name || job.taskName || '(no name)'}`);
+  logger.info(`  Status: ${task.status}`);
+  logger.info(`  Task type: ${task.taskType || 'EXPORT'}`);
+  logger.info(`  Created: ${created ? created.toISOString() : 'unknown'}`);
+  if (job.target) {
+    logger.info(`  Exported data: ${describeTarget(job.target, job.id)}`);
+  }
+  logger.info(`  Date range: ${beginDate || 'earliest date'} to ${endDate || 'today'}`);
+  if (task.error) {
+    logger.info(`  Error: ${task.error}`);
+  }
+  const files = await client.getFileSizes(jobId, task.filenames);
+  if (files.length) {
+    logger.info('  Files:');
+    files.forEach((file) => {
+      logger.info(`    ${file.fileName}  ${(file.size === undefined) ? 'size unknown' : utils.formatBytes(file.size)}`);
+    });
+    const total = files.reduce((sum, file) => sum + (file.size || 0), 0);
+    logger.info(`  Total: ${utils.formatBytes(total)}`);
+  }
+  if (job.outDir || job.destination) {
+    logger.info(`  Download location: ${job.destination || job.outDir}${job.downloaded ? ' (downloaded)' : ''}`);
+  }
+};
+exports.inspect = inspect;
+
+/*
+ * delete command
+ *
+ * Deletes the export tasks, and their files, from the ODA instance: the task
+ * with the job ID, or the finished tasks that match the filters. Lists the
+ * tasks and asks the user to confirm unless the yes argument is given.
+ * Deleted jobs are marked DELETED in the job ledger.
+ *
+ * @parameters - the script arguments. Uses jobid, or the filters target, id,
+ *   status, name, and olderthan, and yes and ledger.
+ * @param config - the domain, signer, and region from utils.readConfig()
+ */
+const deleteTasks = async (parameters, config) => {
+  const problems = [];
+  const filters = getTaskFilters(parameters, problems);
+  const jobId = (parameters.jobid || '').trim();
+  if (!jobId && !filters.id && !filters.statuses.length && !filters.name && filters.olderThan === undefined) {
+    problems.push('Provide the job ID or at least one filter (id, status, name, or olderthan) to choose the export tasks to delete.');
+  }
+  if (problems.length) {
+    throw new errors.InvalidArgumentsError(problems);
+  }
+  const client = createClient(config, parameters);
+  const found = jobId
+    ? [await client.getExport(jobId)]
+    : filterByAge(await client.listExports(filters), filters.olderThan, parameters.ledger);
+  const running = found.filter((task) => odaInsightsClient.ACTIVE_STATUSES.includes(`${task.status}`.toUpperCase()));
+  const toDelete = found.filter((task) => !running.includes(task));
+  running.forEach((task) => logger.warn(`Export job ${task.jobId} is still running (${task.status}), so it can't be deleted.`));
+  if (!toDelete.length) {
+    logger.info('There aren\'t any export tasks to delete.');
+    return;
+  }
+  logger.info(`These ${toDelete.length} export task(s) and their files will be deleted from ${client.domain}:`);
+  printTasks(toDelete, parameters.ledger);
+  if (!parameters.yes && parameters['non-interactive']) {
+    throw new errors.InvalidArgumentsError(['Nothing was deleted. Pass yes to confirm the deletion in non-interactive mode.']);
+  }
+  if (!parameters.yes && !(await confirm('Delete them? This can\'t be undone.'))) {
+    logger.info('Nothing was deleted.');
+    return;
+  }
+  const failed = [];
+  for (const task of toDelete) {
+    try {
+      await client.deleteExport(task.jobId);
+      if (ledger.getJob(parameters.ledger, task.jobId)) {
+        ledger.updateJob(parameters.ledger, task.jobId, { status: 'DELETED' });
+      }
+      logger.info(`Deleted export job ${task.jobId}.`);
+    } catch (err) {
+      failed.push(task.jobId);
+      logger.error(`Export job ${task.jobId} wasn't deleted: ${err.message}`);
+    }
+  }
+  if (failed.length) {
+    throw new Error(`${failed.length} of ${toDelete.length} export task(s) weren't deleted.`);
+  }
+};
+exports.deleteTasks = deleteTasks;
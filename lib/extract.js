@@ -0,0 +1,247 @@
+'use strict';
+/*
+ * extract.js
+ * Version 1.0.3
+ *
+ * Extracts the insights CSV tables from exported ZIP files and writes each
+ * table, merged across all the ZIP files, as CSV or newline-delimited JSON.
+ *
+ * The output files go in the extracted subdirectory of the output directory
+ * and are named <targetId>_<beginDate>_<endDate>_<table>.<csv|jsonl>.
+ * A <targetId>_<beginDate>_<endDate>_manifest.json file records the source
+ * ZIP files and each table's file, columns, and row count.
+ *
+ * A table's columns are the columns of all its files. When a file has columns
+ * that the earlier files of the table didn't, they're added at the end, and the
+ * earlier rows get empty values (null in JSONL) for them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const events = require('events');
+const readline = require('readline');
+const stream = require('stream');
+const yauzl = require('yauzl');
+const csv = require('./csv.js');
+const logger = require('./logger.js');
+
+// Supported output formats
+const FORMATS = ['csv', 'jsonl'];
+exports.FORMATS = FORMATS;
+
+/*
+ * Gets the table name for a CSV file in a ZIP file.
+ * Files for the same table that are split into parts,
+ * such as conversations_1.csv and conversations_2.csv, get the same name.
+ *
+ * @param entryName - the file's path in the ZIP file
+ */
+function getTableName (entryName) {
+  return path.basename(entryName, path.extname(entryName))
+    .toLowerCase()
+    .replace(/([_.-](part)?\d+)+$/, '')
+    .replace(/[^a-z0-9_]+/g, '_');
+}
+exports.getTableName = getTableName;
+
+/*
+ * Gets the prefix of the file names for an export: <targetId>_<beginDate>_<endDate>
+ *
+ * @param options - target, targetId, beginDate, and endDate of the export
+ */
+function getFilePrefix (options) {
+  return [
+    (options.target === 'instance' || !options.targetId) ? 'instance' : options.targetId,
+    options.beginDate || 'earliest',
+    options.endDate || 'latest'
+  ].join('_');
+}
+exports.getFilePrefix = getFilePrefix;
+
+/*
+ * Calls fn for each CSV file in a ZIP file, one at a time.
+ *
+ * @param zipFile - full path to the ZIP file
+ * @param fn - async function (entryName, readStream)
+ */
+function forEachCsvEntry (zipFile, fn) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(zipFile, { lazyEntries: true }, function (err, zip) {
+      if (err) {
+        reject(new Error(`Can't open ${zipFile}: ${err.message}`));
+        return;
+      }
+      zip.on('error', reject);
+      zip.on('end', resolve);
+      zip.on('entry', function (entry) {
+        if (/\/$/.test(entry.fileName) || path.extname(entry.fileName).toLowerCase() !== '.csv') {
+          zip.readEntry();
+          return;
+        }
+        zip.openReadStream(entry, function (err, readStream) {
+          if (err) {
+            reject(err);
+            return;
+          }
+          fn(entry.fileName, readStream).then(() => zip.readEntry(), (error) => {
+            zip.close();
+            reject(error);
+          });
+        });
+      });
+      zip.readEntry();
+    });
+  });
+}
+exports.forEachCsvEntry = forEachCsvEntry;
+
+/*
+ * Writes text to a stream, waiting for the stream to drain when its buffer is full.
+ */
+async function writeLine (out, text) {
+  if (!out.write(text)) {
+    await events.once(out, 'drain');
+  }
+}
+
+/*
+ * Rewrites a table's file with all its columns, after a later file added columns.
+ * The rows that were written before have the columns that were known then, which
+ * are the first columns, so they're padded to the others.
+ *
+ * @param table - the table, with file and columns
+ * @param format - csv or jsonl
+ */
+async function padTable (table, format) {
+  const tempFile = `${table.file}.tmp`;
+  const out = fs.createWriteStream(tempFile);
+  const input = fs.createReadStream(table.file);
+  if (format === 'csv') {
+    const rows = new csv.CsvParser();
+    stream.pipeline(input, rows, () => {});
+    let header = true;
+    for await (const row of rows) {
+      await writeLine(out, csv.formatRow(header ? table.columns : table.columns.map((column, i) => row[i])));
+      header = false;
+    }
+  } else {
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+      if (line.length) {
+        const record = JSON.parse(line);
+        await writeLine(out, `${JSON.stringify(table.columns.reduce((obj, column) => {
+          obj[column] = (record[column] === undefined) ? null : record[column];
+          return obj;
+        }, {}))}\n`);
+      }
+    }
+  }
+  await new Promise((resolve, reject) => {
+    out.on('error', reject);
+    out.end(resolve);
+  });
+  fs.renameSync(tempFile, table.file);
+}
+
+/*
+ * Extracts and merges the insights tables in the exported ZIP files.
+ *
+ * Returns the manifest object, which is also written to the manifest file.
+ *
+ * @param zipFiles - full paths to the exported ZIP files
+ * @param outDir - the directory that the ZIP files are in
+ * @param options
+ *   format: csv or jsonl
+ *   target: skill, assistant, or instance
+ *   targetId: ID of the skill or digital assistant. Ignored for an instance export.
+ *   beginDate: begin date of the exported data, if any
+ *   endDate: end date of the exported data, if any
+ *   jobId: the export job ID
+ */
+async function extractExports (zipFiles, outDir, options) {
+  const extractDir = path.join(outDir, 'extracted');
+  fs.mkdirSync(extractDir, { recursive: true });
+  const prefix = getFilePrefix(options);
+  const tables = {};
+
+  const writeEntry = async (zipFile, entryName, readStream) => {
+    const tableName = getTableName(entryName);
+    const rows = new csv.CsvParser();
+    // pipeline passes read errors on to the parser, which ends the loop below
+    stream.pipeline(readStream, rows, () => {});
+    let columns;
+    for await (const row of rows) {
+      if (!columns) {
+        columns = row;
+        if (!tables[tableName]) {
+          const file = path.join(extractDir, `${prefix}_${tableName}.${options.format}`);
+          tables[tableName] = { name: tableName, file, columns, padded: false, rows: 0, sources: [], out: fs.createWriteStream(file) };
+          if (options.format === 'csv') {
+            await writeLine(tables[tableName].out, csv.formatRow(columns));
+          }
+        } else if (columns.join(',') !== tables[tableName].columns.join(',')) {
+          const table = tables[tableName];
+          const added = columns.filter((column) => !table.columns.includes(column));
+          if (added.length) {
+            table.columns = table.columns.concat(added);
+            table.padded = true;
+          }
+          logger.warn(`${entryName} in ${zipFile} has different columns than the other ${tableName} files. ` +
+            'Its values are matched to the columns by name' +
+            (added.length ? `, and its other columns (${added.join(', ')}) are added to the table.` : '.'));
+        }
+        tables[tableName].sources.push(`${path.basename(zipFile)}:${entryName}`);
+        continue;
+      }
+      const table = tables[tableName];
+      const record = {};
+      columns.forEach((column, i) => {
+        record[column] = row[i];
+      });
+      const line = (options.format === 'csv')
+        ? csv.formatRow(table.columns.map((column) => record[column]))
+        : `${JSON.stringify(table.columns.reduce((obj, column) => {
+          obj[column] = (record[column] === undefined) ? null : record[column];
+          return obj;
+        }, {}))}\n`;
+      await writeLine(table.out, line);
+      table.rows++;
+    }
+  };
+
+  try {
+    for (const zipFile of zipFiles) {
+      await forEachCsvEntry(zipFile, (entryName, readStream) => writeEntry(zipFile, entryName, readStream));
+    }
+  } finally {
+    await Promise.all(Object.keys(tables).map((name) => {
+      const out = tables[name].out;
+      return new Promise((resolve) => out.end(resolve));
+    }));
+  }
+  for (const name of Object.keys(tables).filter((tableName) => tables[tableName].padded)) {
+    await padTable(tables[name], options.format);
+  }
+
+  const manifest = {
+    jobId: options.jobId,
+    target: options.target,
+    targetId: (options.target === 'instance') ? undefined : options.targetId,
+    beginDate: options.beginDate,
+    endDate: options.endDate,
+    format: options.format,
+    createdAt: new Date().toISOString(),
+    sources: zipFiles.map((zipFile) => path.basename(zipFile)),
+    tables: Object.keys(tables).sort().map((name) => ({
+      name,
+      file: path.basename(tables[name].file),
+      columns: tables[name].columns,
+      rows: tables[name].rows,
+      sources: tables[name].sources
+    }))
+  };
+  const manifestFile = path.join(extractDir, `${prefix}_manifest.json`);
+  fs.writeFileSync(manifestFile, JSON.stringify(manifest, null, 2));
+  manifest.file = manifestFile;
+  return manifest;
+}
+exports.extractExports = extractExports;
@@ -0,0 +1,153 @@
+'use strict';
+/*
+ * handler.js
+ * Version 1.0.14
+ *
+ * Non-interactive handler for running an export as an Fn (OCI Functions)
+ * function invocation. See func.js.
+ *
+ * The invocation payload is a JSON object with the same names as the script
+ * arguments (see scriptArgs.js), for example:
+ * {
+ *   "target": "skill",
+ *   "id": ["<skill ID>"],
+ *   "begindate": "2024-01-01",
+ *   "enddate": "2024-01-31",
+ *   "outpath": "/tmp/odaexport",
+ *   "domain": "<ODA instance domain>"
+ * }
+ *
+ * Payload values can be strings, such as "concurrency": "4" and "incremental": "false",
+ * which are converted to the arguments' types as for configuration variables.
+ * Arguments that aren't in the payload are taken from the function's
+ * configuration variables, named ODAEXPORT_<ARGUMENT>, such as ODAEXPORT_DOMAIN,
+ * and then from the run profile file (runprofile), if there is one.
+ * since and until can also set the date range, with timestamps and relative
+ * expressions such as yesterday and last-month (see dateRange.js).
+ * auth defaults to resource_principal and outpath defaults to /tmp/odaexport.
+ * The job ledger and incremental state files default to the .odaexport
+ * subdirectory of outpath. Set destination (such as oci://<bucket>/<prefix>)
+ * to upload the ZIP files to a bucket instead of keeping them in outpath,
+ * which doesn't outlive the invocation. A purge (purge: true) also requires
+ * "yes": true, because the function can't ask for confirmation. Set loglevel
+ * (and logformat json) to log the HTTP requests with their opc-request-id values.
+ * The run profile's targets key sets the export settings for particular targets.
+ *
+ * Returns a JSON result instead of printing:
+ * {
+ *   "status": "OK" | "ERROR",
+ *   "outcome": "SUCCESS" | "NO_DATA" | "EXPORT_FAILED" | ...,
+ *   "exitCode": 0,
+ *   "startedAt": "<ISO timestamp>",
+ *   "finishedAt": "<ISO timestamp>",
+ *   "jobs": [{ "target", "id", "beginDate", "endDate", "jobId", "status", "files", "error" }],
+ *   "error": "<message, if the export couldn't run>"
+ * }
+ * outcome and exitCode are the same as the script's (see outcome.js). status is OK
+ * only when the outcome is SUCCESS or NO_DATA, so a job that failed, timed out,
+ * or couldn't be downloaded makes the invocation report an error.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const exportDaInsights = require('./export-da-insights.js');
+const utils = require('./utils.js');
+const odaInsightsClient = require('./odaInsightsClient.js');
+const runProfile = require('./runProfile.js');
+const scriptArgs = require('./scriptArgs.js');
+const outcome = require('./outcome.js');
+const errors = require('./errors.js');
+const logger = require('./logger.js');
+
+// Arguments that the payload can set, and their types
+const PARAMETERS = scriptArgs.getArgumentTypes(scriptArgs.EXPORT_ARGUMENTS.concat(['runprofile', 'loglevel', 'logformat', 'logfile', 'debug']));
+
+const DEFAULTS = {
+  auth: 'resource_principal',
+  outpath: '/tmp/odaexport'
+};
+
+/*
+ * Gets the export arguments from the payload, the configuration variables,
+ * the run profile (runprofile or ODAEXPORT_RUNPROFILE), and the defaults,
+ * in that order of precedence (see runProfile.js).
+ *
+ * @param payload - the parsed invocation payload
+ * @param env - the environment, which contains the function's configuration variables
+ */
+function getParameters (payload, env) {
+  const definitions = Object.keys(PARAMETERS).map((name) => ({ name, type: PARAMETERS[name] }));
+  const given = {};
+  Object.keys(PARAMETERS).forEach((name) => {
+    if (payload[name] !== undefined && payload[name] !== null) {
+      given[name] = runProfile.normalize(payload[name], PARAMETERS[name]);
+    }
+  });
+  const profilePath = given.runprofile || env[runProfile.envName('runprofile')];
+  let profile;
+  if (profilePath) {
+    profile = runProfile.readRunProfile(profilePath);
+    runProfile.checkNames(profile, Object.keys(PARAMETERS), profilePath);
+  }
+  const parameters = runProfile.resolveArguments(definitions, given, env, profile);
+  Object.keys(DEFAULTS).forEach((name) => {
+    if (parameters[name] === undefined) {
+      parameters[name] = DEFAULTS[name];
+    }
+  });
+  // The home directory isn't writable in a function
+  const stateDir = path.join(parameters.outpath, '.odaexport');
+  parameters.ledger = parameters.ledger || path.join(stateDir, 'jobs.json');
+  parameters.statefile = parameters.statefile || path.join(stateDir, 'state.json');
+  return parameters;
+}
+exports.getParameters = getParameters;
+
+/*
+ * Function handler
+ *
+ * Returns the JSON result
+ *
+ * @param input - the invocation payload, as an object or a JSON string
+ */
+async function handle (input) {
+  const startedAt = new Date().toISOString();
+  try {
+    const payload = (typeof input === 'string')
+      ? (input.trim().length ? JSON.parse(input) : {})
+      : (input || {});
+    const parameters = getParameters(payload, process.env);
+    logger.configure(exportDaInsights.getLogOptions(parameters));
+    fs.mkdirSync(parameters.outpath, { recursive: true });
+    // readConfig throws an InvalidArgumentsError or an AuthError, which sets the outcome
+    const config = await utils.readConfig(parameters.configpath, {
+      profile: parameters.profile, domain: parameters.domain, baseUrl: parameters.baseurl, auth: parameters.auth,
+      keySource: parameters.keysource
+    });
+    const client = new odaInsightsClient.OdaInsightsClient(Object.assign({ log: logger.info, debug: logger.debug }, config,
+      exportDaInsights.getHttpOptions(parameters)));
+    const result = await exportDaInsights.exportData(parameters, client);
+    const jobsOutcome = outcome.getJobsOutcome(result.jobs);
+    return {
+      status: ['SUCCESS', 'NO_DATA'].includes(jobsOutcome) ? 'OK' : 'ERROR',
+      outcome: jobsOutcome,
+      exitCode: outcome.EXIT_CODES[jobsOutcome],
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      jobs: result.jobs
+    };
+  } catch (err) {
+    logger.error((err instanceof errors.OdaExportError) ? err.message : (err.stack || `${err}`));
+    const errorOutcome = outcome.getErrorOutcome(err);
+    return {
+      status: 'ERROR',
+      outcome: errorOutcome,
+      exitCode: outcome.EXIT_CODES[errorOutcome],
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      jobs: [],
+      error: err.message
+    };
+  }
+}
+exports.handle = handle;
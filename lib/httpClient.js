@@ -0,0 +1,282 @@
+'use strict';
+/*
+ * httpClient.js
+ * Version 1.0.2
+ *
+ * Connection handling and retries for the HTTP requests to ODA and Object Storage,
+ * and for the instance principal's metadata and federation requests (see auth.js):
+ *
+ *   - Keep-alive agents, so that status checks and downloads reuse connections.
+ *   - HTTPS requests go through the proxy in HTTPS_PROXY (or https_proxy), except
+ *     for hosts that match NO_PROXY (or no_proxy), a comma-separated list of host
+ *     names, domain suffixes such as .example.com, or * for all hosts.
+ *   - Connect and read timeouts.
+ *   - Retries with exponential backoff for 429 and 5xx responses and network errors.
+ *     A Retry-After response header sets the delay. Requests that aren't idempotent
+ *     (POST) are only retried when the server didn't process them (429 or a refused connection).
+ *   - Each request is logged at the debug level with its method, path, status, duration
+ *     (until the response headers arrive), and opc-request-id, and its headers at the
+ *     trace level, with the credentials redacted (see logger.js).
+ *
+ * The settings object that the functions take has these optional properties:
+ *   connectTimeout: milliseconds to wait for a connection. Default = 10 seconds.
+ *   readTimeout: milliseconds to wait for data from the server. Default = 60 seconds.
+ *   maxRetries: number of times to retry a failed request. Default = 4.
+ *   onRetry: function (error, retry, delay) that's called before each retry
+ */
+
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const url = require('url');
+const logger = require('./logger.js');
+
+const DEFAULTS = {
+  connectTimeout: 10000,
+  readTimeout: 60000,
+  maxRetries: 4,
+  // Backoff delays, in milliseconds
+  retryDelay: 1000,
+  maxRetryDelay: 30000,
+  // Longest Retry-After delay to honor, in milliseconds
+  maxRetryAfter: 300000
+};
+exports.DEFAULTS = DEFAULTS;
+
+// Statuses that mean that the request can be tried again
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+// Network error codes that mean that the request can be tried again
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ENETUNREACH', 'EHOSTUNREACH'];
+
+/*
+ * An HTTPS agent that connects through a proxy with CONNECT tunnels.
+ * It keeps the tunnels alive for reuse.
+ */
+class TunnelingAgent extends https.Agent {
+  /*
+   * @param proxyUrl - the proxy URL, such as http://proxy.example.com:80
+   */
+  constructor (proxyUrl) {
+    super({ keepAlive: true });
+    this.proxy = url.parse(proxyUrl.indexOf('://') === -1 ? `http://${proxyUrl}` : proxyUrl);
+  }
+
+  // Node calls this with a callback when it needs a new connection
+  createConnection (options, callback) {
+    const proxyTransport = (this.proxy.protocol === 'https:') ? https : http;
+    const target = `${options.host}:${options.port || 443}`;
+    const headers = { Host: target };
+    if (this.proxy.auth) {
+      headers['Proxy-Authorization'] = `Basic ${Buffer.from(decodeURIComponent(this.proxy.auth)).toString('base64')}`;
+    }
+    const connectRequest = proxyTransport.request({
+      host: this.proxy.hostname,
+      port: this.proxy.port || ((this.proxy.protocol === 'https:') ? 443 : 80),
+      method: 'CONNECT',
+      path: target,
+      headers,
+      agent: false
+    });
+    connectRequest.once('connect', (response, socket) => {
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        const error = new Error(`The proxy ${this.proxy.host} refused the connection to ${target}: ${response.statusCode}`);
+        error.code = 'ECONNREFUSED';
+        callback(error);
+        return;
+      }
+      const tlsOptions = Object.assign({}, options, { socket, servername: options.servername || options.host });
+      delete tlsOptions.path;
+      callback(null, tls.connect(tlsOptions));
+    });
+    connectRequest.once('error', (error) => callback(error));
+    connectRequest.end();
+  }
+}
+
+/*
+ * Returns true if a host is in the NO_PROXY list.
+ */
+function isNoProxyHost (host, noProxy) {
+  return (noProxy || '').split(',').map((entry) => entry.trim().toLowerCase()).filter((entry) => entry.length)
+    .some((entry) => {
+      if (entry === '*') {
+        return true;
+      }
+      const name = entry.replace(/:\d+$/, '').replace(/^\*?\./, '');
+      return host === name || host.endsWith(`.${name}`);
+    });
+}
+exports.isNoProxyHost = isNoProxyHost;
+
+const agents = {};
+
+/*
+ * Gets the shared keep-alive agent for a host.
+ *
+ * @param protocol - http: or https:
+ * @param host - the host name
+ * @param env - (optional) the environment variables. Defaults to process.env.
+ */
+function getAgent (protocol, host, env) {
+  const vars = env || process.env;
+  if (protocol === 'http:') {
+    agents.http = agents.http || new http.Agent({ keepAlive: true });
+    return agents.http;
+  }
+  const proxy = vars.HTTPS_PROXY || vars.https_proxy;
+  if (proxy && !isNoProxyHost(`${host}`.toLowerCase(), vars.NO_PROXY || vars.no_proxy)) {
+    agents[proxy] = agents[proxy] || new TunnelingAgent(proxy);
+    return agents[proxy];
+  }
+  agents.https = agents.https || new https.Agent({ keepAlive: true });
+  return agents.https;
+}
+exports.getAgent = getAgent;
+
+/*
+ * Creates an error for a timeout, which can be retried.
+ */
+function timeoutError (message) {
+  const error = new Error(message);
+  error.code = 'ETIMEDOUT';
+  return error;
+}
+
+/*
+ * Logs a request's outcome when the response headers arrive or the request fails.
+ */
+function traceRequest (request, options) {
+  const startedAt = Date.now();
+  const method = options.method || 'GET';
+  const host = options.host || options.hostname;
+  request.once('response', (response) => {
+    const fields = {
+      method,
+      host,
+      path: options.path,
+      status: response.statusCode,
+      durationMs: Date.now() - startedAt,
+      opcRequestId: response.headers['opc-request-id']
+    };
+    logger.debug(`${method} ${host}${options.path} ${response.statusCode} ${fields.durationMs} ms, ` +
+      `opc-request-id: ${fields.opcRequestId || 'none'}`, fields);
+    if (logger.isEnabled('trace')) {
+      logger.trace(`Request headers: ${JSON.stringify(logger.redactHeaders(request.getHeaders()))}`);
+      logger.trace(`Response headers: ${JSON.stringify(logger.redactHeaders(response.headers))}`);
+    }
+  });
+  request.once('error', (error) => {
+    const durationMs = Date.now() - startedAt;
+    logger.debug(`${method} ${host}${options.path} failed after ${durationMs} ms: ${error.message}`,
+      { method, host, path: options.path, durationMs, error: error.message, code: error.code });
+  });
+}
+
+/*
+ * Creates an HTTP or HTTPS request that uses the shared agent for its host
+ * and the connect and read timeouts. The request is logged (see traceRequest).
+ *
+ * Returns the request, which the caller ends
+ *
+ * @param options - request options. protocol defaults to https:.
+ * @param settings - (optional) connectTimeout and readTimeout
+ * @param callback - function (response)
+ */
+function createRequest (options, settings, callback) {
+  const opts = settings || {};
+  const protocol = options.protocol || 'https:';
+  const transport = (protocol === 'http:') ? http : https;
+  const connectTimeout = opts.connectTimeout || DEFAULTS.connectTimeout;
+  const readTimeout = opts.readTimeout || DEFAULTS.readTimeout;
+  const requestOptions = Object.assign({ agent: getAgent(protocol, options.host || options.hostname) }, options);
+  // The transport is chosen by protocol
+  delete requestOptions.protocol;
+  const request = transport.request(requestOptions, callback);
+  traceRequest(request, options);
+  const connectTimer = setTimeout(() => {
+    request.destroy(timeoutError(`Can't connect to ${options.host || options.hostname} within ${connectTimeout / 1000} seconds.`));
+  }, connectTimeout);
+  request.once('socket', (socket) => {
+    if (request.reusedSocket) {
+      clearTimeout(connectTimer);
+      return;
+    }
+    socket.once(socket.encrypted ? 'secureConnect' : 'connect', () => clearTimeout(connectTimer));
+  });
+  request.once('close', () => clearTimeout(connectTimer));
+  request.setTimeout(readTimeout, () => {
+    request.destroy(timeoutError(`${options.host || options.hostname} didn't send any data for ${readTimeout / 1000} seconds.`));
+  });
+  return request;
+}
+exports.createRequest = createRequest;
+
+/*
+ * Returns true if a failed request can be tried again.
+ *
+ * @param error - the error. Has statusCode if the server responded,
+ *   code for a network error, or retryable: true for a failed transfer.
+ * @param idempotent - true if sending the request again has the same effect
+ */
+function isRetryable (error, idempotent) {
+  if (error.statusCode === 429 || error.code === 'ECONNREFUSED') {
+    return true;
+  }
+  if (!idempotent) {
+    return false;
+  }
+  return RETRYABLE_STATUSES.includes(error.statusCode) || RETRYABLE_CODES.includes(error.code) || error.retryable === true;
+}
+exports.isRetryable = isRetryable;
+
+/*
+ * Gets the delay before a retry: the Retry-After value, if the server sent
+ * one, or an exponential backoff delay with jitter.
+ *
+ * @param error - the error, with retryAfter if the response had a Retry-After header
+ * @param retry - the retry number, starting at 1
+ */
+function getRetryDelay (error, retry) {
+  if (error.retryAfter) {
+    const seconds = Number(error.retryAfter);
+    const delay = isNaN(seconds) ? Date.parse(error.retryAfter) - Date.now() : seconds * 1000;
+    if (!isNaN(delay)) {
+      return Math.min(Math.max(delay, 0), DEFAULTS.maxRetryAfter);
+    }
+  }
+  const backoff = Math.min(DEFAULTS.retryDelay * Math.pow(2, retry - 1), DEFAULTS.maxRetryDelay);
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+exports.getRetryDelay = getRetryDelay;
+
+/*
+ * Calls fn until it succeeds, it fails with an error that can't be retried,
+ * or it has been retried settings.maxRetries times.
+ *
+ * Returns the result of fn
+ *
+ * @param fn - async function (attempt) that sends the request. attempt starts at 0.
+ * @param settings - (optional) maxRetries and onRetry
+ * @param idempotent - true if sending the request again has the same effect
+ */
+async function withRetries (fn, settings, idempotent) {
+  const opts = settings || {};
+  const maxRetries = (opts.maxRetries === undefined) ? DEFAULTS.maxRetries : opts.maxRetries;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryable(error, idempotent)) {
+        throw error;
+      }
+      const delay = getRetryDelay(error, attempt + 1);
+      if (opts.onRetry) {
+        opts.onRetry(error, attempt + 1, delay);
+      }
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+exports.withRetries = withRetries;
@@ -0,0 +1,246 @@
+'use strict';
+/*
+ * keySource.js
+ * Version 1.0.1
+ *
+ * Gets an API signing key's PEM private key from somewhere other than a key file,
+ * so that the key doesn't have to be on disk. The key source is one of:
+ *
+ *   env:<NAME>           the environment variable NAME. It can contain the PEM key,
+ *                        the PEM key with \n for the line breaks, or the PEM key in base64.
+ *   stdin                the standard input, for example piped from a secrets manager's CLI
+ *   vault:<secret OCID>  an OCI Vault secret whose content is the PEM key. The secret is read
+ *                        with the resource principal in an OCI function (if
+ *                        OCI_RESOURCE_PRINCIPAL_VERSION is set) or else the instance principal,
+ *                        from https://secrets.vault.<region>.oci.oraclecloud.com or the
+ *                        config file's secrets endpoint, such as a local stub for testing.
+ *
+ * Also checks the files that contain credentials: a key file that the group or other
+ * users can read is refused, like ssh does, and a config or key file in a git
+ * working tree gets a warning unless git ignores it.
+ *
+ * See https://docs.oracle.com/iaas/api/#/en/secretretrieval/20190301/SecretBundle/GetSecretBundle
+ */
+
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+const childProcess = require('child_process');
+const auth = require('./auth.js');
+const ociUtils = require('./ociUtils.js');
+const logger = require('./logger.js');
+
+// Key source types
+const SOURCES = ['env', 'stdin', 'vault'];
+exports.SOURCES = SOURCES;
+
+/*
+ * Parses a key source.
+ *
+ * Returns { type, name } where name is the environment variable name or the secret OCID
+ *
+ * Throws an error if the text isn't a key source.
+ *
+ * @param text - env:<NAME>, stdin, or vault:<secret OCID>
+ */
+function parseKeySource (text) {
+  const match = /^(env|stdin|vault)(:(.*))?$/.exec(`${text}`.trim());
+  const type = match && match[1];
+  const name = match && match[3] && match[3].trim();
+  const valid = match && ((type === 'stdin') ? !name : Boolean(name)) &&
+    (type !== 'vault' || /^ocid1\.vaultsecret\./.test(name));
+  if (!valid) {
+    throw new Error(`The key source ${text} must be env:<environment variable>, stdin, or vault:<secret OCID>.`);
+  }
+  return { type, name };
+}
+exports.parseKeySource = parseKeySource;
+
+/*
+ * Gets the PEM key from key content: a PEM key, a PEM key with escaped
+ * line breaks, or a base64 PEM key.
+ *
+ * Throws an error if the content doesn't contain a PEM key.
+ *
+ * @param content - the key content
+ * @param description - where the content is from, for the message
+ */
+function toPem (content, description) {
+  let text = `${content || ''}`.trim();
+  if (!/-----BEGIN/.test(text) && /^[A-Za-z0-9+/=\s]+$/.test(text)) {
+    text = Buffer.from(text, 'base64').toString('utf8').trim();
+  }
+  if (!/-----BEGIN [A-Z ]*PRIVATE KEY-----/.test(text)) {
+    throw new Error(`${description} doesn't contain a PEM private key.`);
+  }
+  return text.includes('\n') ? text : text.replace(/\\n/g, '\n');
+}
+exports.toPem = toPem;
+
+/*
+ * Reads all of a stream, such as the standard input.
+ *
+ * Throws an error if the stream is a terminal, because the key has to be piped in.
+ */
+function readStream (input) {
+  if (input.isTTY) {
+    return Promise.reject(new Error('The key source stdin requires the key to be piped to the script.'));
+  }
+  return new Promise((resolve, reject) => {
+    let text = '';
+    input.setEncoding('utf8');
+    input.on('data', (chunk) => {
+      text += chunk;
+    });
+    input.on('end', () => resolve(text));
+    input.on('error', reject);
+  });
+}
+
+/*
+ * Reads the content of an OCI Vault secret.
+ *
+ * Returns the decoded secret content
+ *
+ * @param secretId - the secret OCID
+ * @param options
+ *   signer: (optional) the signer. Defaults to the resource principal in an OCI function,
+ *     or else the instance principal.
+ *   region: (optional) the region. Defaults to the signer's region.
+ *   secretsEndpoint: (optional) the Vault secrets service URL.
+ *     Defaults to https://secrets.vault.<region>.oci.oraclecloud.com.
+ *   metadataEndpoint, federationEndpoint: (optional) for the instance principal. See auth.js.
+ *   env: (optional) the environment variables. Defaults to process.env.
+ */
+async function readVaultSecret (secretId, options) {
+  const env = options.env || process.env;
+  const signer = options.signer || (env.OCI_RESOURCE_PRINCIPAL_VERSION
+    ? auth.createResourcePrincipalSigner(env)
+    : auth.createInstancePrincipalSigner({
+      region: options.region,
+      metadataEndpoint: options.metadataEndpoint,
+      federationEndpoint: options.federationEndpoint
+    }));
+  let endpoint = options.secretsEndpoint;
+  if (!endpoint) {
+    // The instance principal's region is known once it has a token
+    await signer.getSigningKey();
+    const region = options.region || signer.region;
+    if (!region) {
+      throw new Error(`Can't read the Vault secret ${secretId} without the region. Add it to the config file.`);
+    }
+    endpoint = `https://secrets.vault.${region}.oci.oraclecloud.com`;
+  }
+  const parsed = url.parse(endpoint.replace(/\/$/, ''));
+  const requestOptions = {
+    protocol: parsed.protocol,
+    host: parsed.hostname,
+    port: parsed.port,
+    path: `${parsed.pathname === '/' ? '' : parsed.pathname}/20190301/secretbundles/${encodeURIComponent(secretId)}?stage=CURRENT`
+  };
+  let bundle;
+  try {
+    bundle = await ociUtils.promisifiedSendRequest(requestOptions, undefined, signer);
+  } catch (err) {
+    throw new Error(`Can't read the Vault secret ${secretId}: ${err.message}`);
+  }
+  if (typeof bundle === 'string') {
+    bundle = JSON.parse(bundle);
+  }
+  const content = bundle.secretBundleContent;
+  if (!content || content.contentType !== 'BASE64' || !content.content) {
+    throw new Error(`The Vault secret ${secretId} doesn't have base64 content.`);
+  }
+  return Buffer.from(content.content, 'base64').toString('utf8');
+}
+exports.readVaultSecret = readVaultSecret;
+
+/*
+ * Gets a PEM private key from a key source.
+ *
+ * Returns the PEM key, which can still be encrypted
+ *
+ * Throws an error if the key can't be read.
+ *
+ * @param source - env:<NAME>, stdin, or vault:<secret OCID>
+ * @param options - (optional)
+ *   env: the environment variables. Defaults to process.env.
+ *   stdin: the stream for stdin. Defaults to process.stdin.
+ *   region, secretsEndpoint, metadataEndpoint, federationEndpoint, signer: for readVaultSecret
+ */
+async function loadPrivateKey (source, options) {
+  const opts = options || {};
+  const env = opts.env || process.env;
+  const keySource = parseKeySource(source);
+  switch (keySource.type) {
+    case 'env':
+      if (!env[keySource.name]) {
+        throw new Error(`The environment variable ${keySource.name} for the private key isn't set.`);
+      }
+      return toPem(env[keySource.name], `The environment variable ${keySource.name}`);
+    case 'stdin':
+      return toPem(await readStream(opts.stdin || process.stdin), 'The standard input');
+    default:
+      return toPem(await readVaultSecret(keySource.name, Object.assign({ env }, opts)), `The Vault secret ${keySource.name}`);
+  }
+}
+exports.loadPrivateKey = loadPrivateKey;
+
+/*
+ * Throws an error if the group or other users can access a key file.
+ * File modes don't apply on Windows.
+ *
+ * @param keyFile - full path to the key file
+ */
+function checkKeyFile (keyFile) {
+  if (process.platform === 'win32') {
+    return;
+  }
+  const mode = fs.statSync(keyFile).mode & 0o777;
+  if (mode & 0o077) {
+    throw new Error(`The key file ${keyFile} can be accessed by other users (mode ${mode.toString(8).padStart(4, '0')}). ` +
+      `Run: chmod 600 ${keyFile}`);
+  }
+}
+exports.checkKeyFile = checkKeyFile;
+
+/*
+ * Gets the git working tree that a file is in.
+ *
+ * Returns the working tree's directory, or undefined if the file isn't in one
+ */
+function findGitTree (file) {
+  let dir = path.dirname(path.resolve(file));
+  for (;;) {
+    if (fs.existsSync(path.join(dir, '.git'))) {
+      return dir;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return undefined;
+    }
+    dir = parent;
+  }
+}
+exports.findGitTree = findGitTree;
+
+/*
+ * Logs a warning if a file with credentials is in a git working tree
+ * and git doesn't ignore it, so that it could be committed.
+ *
+ * @param file - full path to the file
+ * @param description - what the file is, such as config file
+ */
+function warnIfInGitTree (file, description) {
+  const tree = findGitTree(file);
+  if (!tree) {
+    return;
+  }
+  // git check-ignore exits with 0 if the file is ignored. Without git, warn anyway.
+  const check = childProcess.spawnSync('git', ['check-ignore', '-q', path.resolve(file)], { cwd: tree, stdio: 'ignore' });
+  if (check.status !== 0) {
+    logger.warn(`The ${description} ${file} is in the git working tree ${tree}. ` +
+      'Add it to .gitignore, or move it out of the tree, so that it isn\'t committed.');
+  }
+}
+exports.warnIfInGitTree = warnIfInGitTree;
@@ -0,0 +1,159 @@
+'use strict';
+/*
+ * ledger.js
+ * Version 1.0.3
+ *
+ * Keeps a local record of the export jobs that this script starts, so that
+ * jobs that were still running, or weren't downloaded, can be checked on
+ * and downloaded later.
+ *
+ * The ledger is a JSON file with this format:
+ * {
+ *   "jobs": [
+ *     {
+ *       "jobId": "<export job ID>",
+ *       "taskName": "<task name>",
+ *       "domain": "<ODA domain>",
+ *       "target": "skill | assistant | instance",
+ *       "id": "<skill or digital assistant ID>",
+ *       "beginDate": "YYYY-MM-DD",
+ *       "endDate": "YYYY-MM-DD",
+ *       "outDir": "<directory for the ZIP files>",
+ *       "destination": "<bucket URL for the ZIP files, if they were uploaded>",
+ *       "purge": true if the export task deleted the exported data from the instance,
+ *       "status": "<last known export task status, or DELETED if the task was deleted>",
+ *       "downloaded": false,
+ *       "createdAt": "<ISO timestamp>",
+ *       "updatedAt": "<ISO timestamp>"
+ *     }
+ *   ]
+ * }
+ */
+
+const fs = require('fs');
+const utils = require('./utils.js');
+
+const DEFAULT_LEDGER_PATH = '~/.odaexport/jobs.json';
+
+// Export task statuses after which the job won't change anymore.
+// DELETED means that the delete command deleted the task.
+const FINAL_STATUSES = ['EXPORT_SUCCEEDED', 'EXPORT_FAILED', 'NO_DATA', 'DELETED'];
+
+/*
+ * Resolves the ledger path, expanding ~/ to the home directory.
+ *
+ * @param ledgerPath - (optional) ledger file path. Defaults to ~/.odaexport/jobs.json.
+ */
+function resolvePath (ledgerPath) {
+  return utils.expandHome((ledgerPath && ledgerPath.trim().length) ? ledgerPath.trim() : DEFAULT_LEDGER_PATH);
+}
+
+/*
+ * Reads the ledger. Returns an empty ledger if the file doesn't exist yet.
+ *
+ * @param ledgerPath - (optional) ledger file path
+ */
+function read (ledgerPath) {
+  const ledgerFile = resolvePath(ledgerPath);
+  if (!fs.existsSync(ledgerFile)) {
+    return { jobs: [] };
+  }
+  try {
+    const ledger = JSON.parse(fs.readFileSync(ledgerFile, 'utf8'));
+    if (!Array.isArray(ledger.jobs)) {
+      ledger.jobs = [];
+    }
+    return ledger;
+  } catch (err) {
+    throw new Error(`Can't read the job ledger ${ledgerFile}: ${err.message}`);
+  }
+}
+
+/*
+ * Writes the ledger.
+ *
+ * @param ledgerPath - (optional) ledger file path
+ * @param ledger - the ledger object
+ */
+function write (ledgerPath, ledger) {
+  utils.writeJsonFile(resolvePath(ledgerPath), ledger);
+}
+
+/*
+ * Adds a job to the ledger.
+ *
+ * Returns the recorded job
+ *
+ * @param ledgerPath - (optional) ledger file path
+ * @param job - job properties. jobId is required.
+ */
+function recordJob (ledgerPath, job) {
+  const ledger = read(ledgerPath);
+  const now = new Date().toISOString();
+  const entry = Object.assign({ downloaded: false, createdAt: now }, job, { updatedAt: now });
+  ledger.jobs = ledger.jobs.filter((j) => j.jobId !== job.jobId);
+  ledger.jobs.push(entry);
+  write(ledgerPath, ledger);
+  return entry;
+}
+exports.recordJob = recordJob;
+
+/*
+ * Updates a job in the ledger. Adds the job if it isn't in the ledger,
+ * for example, when it was started from another computer.
+ *
+ * Returns the updated job
+ *
+ * @param ledgerPath - (optional) ledger file path
+ * @param jobId
+ * @param changes - the job properties to set
+ */
+function updateJob (ledgerPath, jobId, changes) {
+  const ledger = read(ledgerPath);
+  const now = new Date().toISOString();
+  let entry = ledger.jobs.find((j) => j.jobId === jobId);
+  if (!entry) {
+    entry = { jobId, downloaded: false, createdAt: now };
+    ledger.jobs.push(entry);
+  }
+  Object.assign(entry, changes, { updatedAt: now });
+  write(ledgerPath, ledger);
+  return entry;
+}
+exports.updateJob = updateJob;
+
+/*
+ * Gets a job from the ledger.
+ *
+ * Returns the job, or undefined if it isn't in the ledger
+ *
+ * @param ledgerPath - (optional) ledger file path
+ * @param jobId
+ */
+function getJob (ledgerPath, jobId) {
+  return read(ledgerPath).jobs.find((j) => j.jobId === jobId);
+}
+exports.getJob = getJob;
+
+/*
+ * Returns true if the job is still running or its files haven't been downloaded.
+ */
+function isPending (job) {
+  if (!job.status || !FINAL_STATUSES.includes(job.status.toUpperCase())) {
+    return true;
+  }
+  return job.status.toUpperCase() === 'EXPORT_SUCCEEDED' && !job.downloaded;
+}
+exports.isPending = isPending;
+
+/*
+ * Lists the jobs in the ledger, oldest first.
+ *
+ * @param ledgerPath - (optional) ledger file path
+ * @param all - true to list all jobs, false to list only pending jobs
+ */
+function listJobs (ledgerPath, all) {
+  const jobs = read(ledgerPath).jobs;
+  return all ? jobs : jobs.filter(isPending);
+}
+exports.listJobs = listJobs;
@@ -0,0 +1,170 @@
+'use strict';
+/*
+ * logger.js
+ * Version 1.0.1
+ *
+ * The script's logger. Messages have a level: error, warn, info, debug, or trace.
+ * Only the messages at or above the configured level (default: info) are printed:
+ * error and warn to stderr, the others to stdout.
+ *
+ *   info: the progress messages
+ *   debug: each HTTP request's method, path, status, duration, and opc-request-id
+ *   trace: also the request and response headers
+ *
+ * In the json format, each message is printed as a line like
+ *   {"time":"<ISO timestamp>","level":"debug","message":"...","method":"GET","status":200,...}
+ * With a log file, the messages are also appended to the file: as JSON lines, or
+ * in the text format with the time and level in front.
+ *
+ * Authorization headers, security tokens, signatures, private keys, and proxy
+ * passwords are always redacted, so that the log can be attached to a support ticket.
+ *
+ * Code that runs in withContext() logs the context's fields with each message, such as
+ * the ODA instance of a batch export. In the text format, the values are a [prefix].
+ */
+
+const fs = require('fs');
+const os = require('os');
+const asyncHooks = require('async_hooks');
+const errors = require('./errors.js');
+
+const LEVELS = ['error', 'warn', 'info', 'debug', 'trace'];
+exports.LEVELS = LEVELS;
+
+const FORMATS = ['text', 'json'];
+exports.FORMATS = FORMATS;
+
+// Headers whose values are credentials
+const SECRET_HEADERS = ['authorization', 'proxy-authorization', 'x-amz-security-token', 'opc-obo-token', 'cookie', 'set-cookie'];
+
+const REDACTED = '[REDACTED]';
+
+const settings = {
+  level: 'info',
+  format: 'text',
+  file: undefined
+};
+
+// The fields of the current withContext() call
+const contexts = new asyncHooks.AsyncLocalStorage();
+
+/*
+ * Sets the level, format, and log file.
+ *
+ * Throws an InvalidArgumentsError if a setting is invalid or the log file can't be opened.
+ *
+ * @param options - (optional)
+ *   level: error, warn, info, debug, or trace. Default = info.
+ *   format: text or json. Default = text.
+ *   file: full path to a file to append the messages to
+ */
+function configure (options) {
+  const opts = options || {};
+  const problems = [];
+  if (opts.level !== undefined && !LEVELS.includes(opts.level)) {
+    problems.push(`The loglevel ${opts.level} must be one of: ${LEVELS.join(', ')}.`);
+  }
+  if (opts.format !== undefined && !FORMATS.includes(opts.format)) {
+    problems.push(`The logformat ${opts.format} must be one of: ${FORMATS.join(', ')}.`);
+  }
+  const file = (opts.file && opts.file.indexOf('~/') === 0) ? opts.file.replace('~', os.homedir()) : opts.file;
+  if (file) {
+    try {
+      fs.closeSync(fs.openSync(file, 'a'));
+    } catch (err) {
+      problems.push(`The log file ${file} can't be opened: ${err.message}`);
+    }
+  }
+  if (problems.length) {
+    throw new errors.InvalidArgumentsError(problems);
+  }
+  settings.level = opts.level || 'info';
+  settings.format = opts.format || 'text';
+  settings.file = file;
+}
+exports.configure = configure;
+
+/*
+ * Returns true if messages at the level are logged.
+ */
+function isEnabled (level) {
+  return LEVELS.indexOf(level) <= LEVELS.indexOf(settings.level);
+}
+exports.isEnabled = isEnabled;
+
+/*
+ * Removes credentials from text: signatures, security tokens, private keys,
+ * and the user name and password in URLs.
+ */
+function redact (text) {
+  return `${text}`
+    .replace(/-----BEGIN ([A-Z ]*)PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+      `-----BEGIN $1PRIVATE KEY-----${REDACTED}-----END $1PRIVATE KEY-----`)
+    .replace(/(signature=")[^"]*"/gi, `$1${REDACTED}"`)
+    .replace(/\bST\$[\w.-]+/g, `ST$${REDACTED}`)
+    .replace(/\b(Bearer|Basic) [\w.~+/=-]+/g, `$1 ${REDACTED}`)
+    .replace(/(\/\/)[^/@\s:]+:[^/@\s]+@/g, `$1${REDACTED}@`);
+}
+exports.redact = redact;
+
+/*
+ * Returns a copy of headers with the values of the credential headers replaced.
+ */
+function redactHeaders (headers) {
+  const redacted = {};
+  Object.keys(headers || {}).forEach((name) => {
+    redacted[name] = SECRET_HEADERS.includes(name.toLowerCase()) ? REDACTED : headers[name];
+  });
+  return redacted;
+}
+exports.redactHeaders = redactHeaders;
+
+/*
+ * Runs a function with fields that are added to the messages that it logs,
+ * including the ones from its async calls.
+ *
+ * Returns the function's result
+ *
+ * @param fields - the fields, such as { instance: 'prod' }
+ * @param fn - the function
+ */
+function withContext (fields, fn) {
+  return contexts.run(Object.assign({}, contexts.getStore(), fields), fn);
+}
+exports.withContext = withContext;
+
+/*
+ * Logs a message.
+ *
+ * @param level - the message's level
+ * @param message - the message
+ * @param fields - (optional) values for the JSON format, such as { method, path, status }
+ */
+function log (level, message, fields) {
+  if (!isEnabled(level)) {
+    return;
+  }
+  const time = new Date().toISOString();
+  const context = contexts.getStore();
+  const prefix = context ? `[${Object.keys(context).map((key) => context[key]).join(' ')}] ` : '';
+  const text = redact(`${message}`.split('\n').map((part) => `${prefix}${part}`).join('\n'));
+  const line = (settings.format === 'json')
+    ? redact(JSON.stringify(Object.assign({ time, level, message: redact(message) }, context, fields)))
+    : text;
+  if (level === 'error' || level === 'warn') {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+  if (settings.file) {
+    const fileLine = (settings.format === 'json') ? line : `${time} ${level.toUpperCase()} ${text}`;
+    fs.appendFileSync(settings.file, `${fileLine}\n`);
+  }
+}
+exports.log = log;
+
+exports.error = (message, fields) => log('error', message, fields);
+exports.warn = (message, fields) => log('warn', message, fields);
+exports.info = (message, fields) => log('info', message, fields);
+exports.debug = (message, fields) => log('debug', message, fields);
+exports.trace = (message, fields) => log('trace', message, fields);
@@ -0,0 +1,832 @@
+'use strict';
+/*
+ * mockServer.js
+ * Version 1.0.5
+ *
+ * A mock of the ODA insights data export API, for trying the script and the
+ * client without an ODA instance. See mock-server.js for the command that runs it.
+ * It implements:
+ *
+ *   POST   /api/v1/bots/insights/dataExports                       starts an export task
+ *   GET    /api/v1/bots/insights/dataExports                       lists the export tasks
+ *   GET    /api/v1/bots/insights/dataExports/{jobId}               gets an export task
+ *   DELETE /api/v1/bots/insights/dataExports/{jobId}               deletes an export task
+ *   GET    /api/v1/bots/insights/dataExports/{jobId}/files/{name}  downloads a ZIP file (HEAD and Range too)
+ *   GET    /20190301/secretbundles/{secretId}                      reads an OCI Vault secret from secrets
+ *
+ * Each request must be signed the way OCI requires (see checkSignature), or it gets 401.
+ *
+ * It also stands in for the services that the instance principal signer calls (see auth.js),
+ * with a generated instance certificate whose tenancy is tenancyId:
+ *
+ *   GET    /opc/v2/instance/canonicalRegionName                    the region (instance metadata)
+ *   GET    /opc/v2/identity/{cert,key,intermediate}.pem            the instance certificate and its key
+ *   POST   /v1/x509                                                exchanges the certificate for a security token
+ *
+ * The metadata requests need the Authorization: Bearer Oracle header, and the federation
+ * request must be signed with the instance certificate's key. API requests that are signed
+ * with a security token are verified with the session key that the token was issued for.
+ *
+ * What an export task does is set by its scenario. The task's name picks the scenario
+ * when it starts with the scenario's name, such as --taskname=no-data-january;
+ * the other tasks get the default scenario. The built-in scenarios are in SCENARIOS,
+ * and a scenario file (YAML or JSON) can add others or change them:
+ *
+ *   default: slow                  # (optional) the scenario for the other tasks
+ *   scenarios:
+ *     slow:
+ *       statuses: [SUBMITTED, IN_PROGRESS, IN_PROGRESS, IN_PROGRESS, EXPORT_SUCCEEDED]
+ *       files: 2                   # number of ZIP files, at least
+ *       rows: 500                  # rows in the conversations table, split across the files
+ *       throttle: 1                # requests of each kind that get 429 before one succeeds
+ *       retryAfter: 2              # the 429 responses' Retry-After, in seconds
+ *       truncate: true             # cut off the first download of each file halfway
+ *       error: Out of space.       # the error of an EXPORT_FAILED task
+ *
+ * Each status check moves the task to the next status in statuses, and the last one stays.
+ * The ZIP files are generated, with conversations.csv and messages.csv in each one, and
+ * maxFileLength limits the conversations per file like the real API. The conversations
+ * start an hour apart from the task's since date, and have a mix of channels, outcomes,
+ * and intents, some of them unresolved.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const url = require('url');
+const runProfile = require('./runProfile.js');
+const errors = require('./errors.js');
+
+const BASE_PATH = '/api/v1/bots/insights/dataExports';
+const METADATA_PATH = '/opc/v2';
+const FEDERATION_PATH = '/v1/x509';
+const SECRETS_PATH = '/20190301/secretbundles';
+
+// The instance principal's tenancy and region, and how long its security tokens last
+const INSTANCE_DEFAULTS = {
+  tenancyId: 'ocid1.tenancy.oc1..mock',
+  region: 'us-ashburn-1',
+  tokenLifetime: 20 * 60 * 1000
+};
+
+// The generated conversations' outcomes, and their users' utterances and intents
+const OUTCOMES = ['COMPLETED', 'COMPLETED', 'INCOMPLETE', 'COMPLETED', 'ESCALATED'];
+const UTTERANCES = [
+  ['I want a large pizza', 'OrderPizza'],
+  ['Where is my order?', 'TrackOrder'],
+  ['Do you sell "gift cards", too?', 'unresolvedIntent'],
+  ['Cancel my order', 'CancelOrder'],
+  ['What are your opening hours?', 'unresolvedIntent'],
+  ['I want a small pizza', 'OrderPizza']
+];
+
+// Export task statuses
+const STATUSES = ['SUBMITTED', 'IN_PROGRESS', 'EXPORT_SUCCEEDED', 'EXPORT_FAILED', 'NO_DATA'];
+
+// Scenario settings and their defaults
+const SCENARIO_DEFAULTS = {
+  statuses: ['SUBMITTED', 'IN_PROGRESS', 'EXPORT_SUCCEEDED'],
+  files: 1,
+  rows: 20,
+  throttle: 0,
+  retryAfter: 1,
+  truncate: false,
+  error: 'The export failed because of an internal error.'
+};
+
+// Built-in scenarios
+const SCENARIOS = {
+  success: {},
+  'no-data': { statuses: ['SUBMITTED', 'IN_PROGRESS', 'NO_DATA'] },
+  failed: { statuses: ['SUBMITTED', 'IN_PROGRESS', 'EXPORT_FAILED'] },
+  'multi-file': { files: 3, rows: 60 },
+  'rate-limited': { throttle: 2 },
+  truncated: { truncate: true, rows: 2000 }
+};
+exports.SCENARIOS = SCENARIOS;
+
+// Headers that OCI requires in the signature, and the extra ones for requests with a body
+const SIGNED_HEADERS = ['(request-target)', 'host', 'date'];
+const SIGNED_BODY_HEADERS = ['content-length', 'content-type', 'x-content-sha256'];
+
+// How far the date header can be from the server's clock, in milliseconds
+const MAX_CLOCK_SKEW = 5 * 60 * 1000;
+
+/*
+ * Checks a scenario's settings and adds the defaults.
+ *
+ * Returns the scenario
+ *
+ * @param name - the scenario name
+ * @param settings - the scenario settings
+ * @param problems - the array to add the problems to
+ */
+function resolveScenario (name, settings, problems) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    problems.push(`The scenario ${name} must contain settings.`);
+    return Object.assign({ name }, SCENARIO_DEFAULTS);
+  }
+  Object.keys(settings).filter((key) => !(key in SCENARIO_DEFAULTS)).forEach((key) => {
+    problems.push(`The scenario ${name} has an unknown setting: ${key}.`);
+  });
+  const scenario = Object.assign({ name }, SCENARIO_DEFAULTS, settings);
+  if (!Array.isArray(scenario.statuses) || !scenario.statuses.length ||
+    scenario.statuses.some((status) => !STATUSES.includes(status))) {
+    problems.push(`The statuses of the scenario ${name} must be a list of: ${STATUSES.join(', ')}.`);
+  }
+  ['files', 'rows', 'throttle', 'retryAfter'].forEach((key) => {
+    if (!Number.isInteger(scenario[key]) || scenario[key] < (key === 'files' ? 1 : 0)) {
+      problems.push(`The ${key} of the scenario ${name} must be a whole number${key === 'files' ? ' greater than 0' : ''}.`);
+    }
+  });
+  return scenario;
+}
+
+/*
+ * Reads a scenario file.
+ *
+ * Returns { defaultScenario, scenarios }
+ *
+ * Throws an InvalidArgumentsError if the file can't be read or is invalid.
+ *
+ * @param file - full path to the YAML or JSON file
+ */
+function readScenarios (file) {
+  let document;
+  try {
+    document = runProfile.readDocument(file, 'scenario file');
+  } catch (err) {
+    throw new errors.InvalidArgumentsError([err.message]);
+  }
+  if (!document || typeof document !== 'object' || !document.scenarios || typeof document.scenarios !== 'object') {
+    throw new errors.InvalidArgumentsError([`The scenario file ${file} must have a scenarios section.`]);
+  }
+  const problems = Object.keys(document).filter((key) => !['default', 'scenarios'].includes(key))
+    .map((key) => `The scenario file has an unknown section: ${key}.`);
+  if (problems.length) {
+    throw new errors.InvalidArgumentsError(problems);
+  }
+  return { defaultScenario: document.default, scenarios: document.scenarios };
+}
+exports.readScenarios = readScenarios;
+
+/*
+ * Parses an Authorization header: Signature version="1",keyId="...",algorithm="rsa-sha256",...
+ *
+ * Returns the parameters, or undefined if it isn't a signature
+ */
+function parseAuthorization (header) {
+  const match = /^Signature\s+(.*)$/.exec(header || '');
+  if (!match) {
+    return undefined;
+  }
+  const parameters = {};
+  const pattern = /(\w+)="([^"]*)"/g;
+  let parameter;
+  while ((parameter = pattern.exec(match[1])) !== null) {
+    parameters[parameter[1]] = parameter[2];
+  }
+  return parameters;
+}
+
+/*
+ * Checks a request's signature the way OCI does: the Authorization header is a version 1
+ * rsa-sha256 signature that covers (request-target), host, and date, and also
+ * content-length, content-type, and x-content-sha256 for a request with a body.
+ * The body must match x-content-sha256, and the date must be within 5 minutes.
+ *
+ * Returns a message that says what's wrong, or undefined if the signature is valid
+ *
+ * @param request - the request
+ * @param body - the request body, as a Buffer
+ * @param options
+ *   publicKey: (optional) the KeyObject to verify the signature with. Without it,
+ *     everything except the signature itself is checked.
+ *   keyId: (optional) the keyId that the signature must have
+ *   clockOffset: (optional) how far the server's clock is ahead of the local clock, in milliseconds
+ */
+function checkSignature (request, body, options) {
+  const signature = parseAuthorization(request.headers.authorization);
+  if (!signature) {
+    return 'The request doesn\'t have a signature in the Authorization header.';
+  }
+  const missing = ['version', 'keyId', 'algorithm', 'headers', 'signature'].filter((name) => !signature[name]);
+  if (missing.length) {
+    return `The Authorization header doesn't have: ${missing.join(', ')}.`;
+  }
+  if (signature.version !== '1' || signature.algorithm !== 'rsa-sha256') {
+    return `The signature must be version 1 with rsa-sha256, not version ${signature.version} with ${signature.algorithm}.`;
+  }
+  if (options.keyId && signature.keyId !== options.keyId) {
+    return `The key ${signature.keyId} isn't the key that the server accepts.`;
+  }
+  const signedHeaders = signature.headers.toLowerCase().split(/\s+/);
+  const hasBody = ['POST', 'PUT', 'PATCH'].includes(request.method);
+  const unsigned = SIGNED_HEADERS.concat(hasBody ? SIGNED_BODY_HEADERS : [])
+    .filter((name) => !signedHeaders.includes(name) && !(name === 'date' && signedHeaders.includes('x-date')));
+  if (unsigned.length) {
+    return `The signature doesn't cover these headers: ${unsigned.join(', ')}.`;
+  }
+  const notSent = signedHeaders.filter((name) => name !== '(request-target)' && request.headers[name] === undefined);
+  if (notSent.length) {
+    return `The signed headers aren't in the request: ${notSent.join(', ')}.`;
+  }
+  const date = Date.parse(request.headers['x-date'] || request.headers.date);
+  if (isNaN(date) || Math.abs(Date.now() + (options.clockOffset || 0) - date) > MAX_CLOCK_SKEW) {
+    return `The date ${request.headers['x-date'] || request.headers.date} isn't within 5 minutes of the server's clock.`;
+  }
+  if (hasBody) {
+    if (parseInt(request.headers['content-length'], 10) !== body.length) {
+      return `The content-length ${request.headers['content-length']} doesn't match the body's ${body.length} bytes.`;
+    }
+    if (request.headers['x-content-sha256'] !== crypto.createHash('sha256').update(body).digest('base64')) {
+      return 'The x-content-sha256 header doesn\'t match the body.';
+    }
+  }
+  if (options.publicKey) {
+    const signingString = signedHeaders.map((name) => {
+      return (name === '(request-target)') ? `(request-target): ${request.method.toLowerCase()} ${request.url}` : `${name}: ${request.headers[name]}`;
+    }).join('\n');
+    const verified = crypto.verify('RSA-SHA256', Buffer.from(signingString), options.publicKey,
+      Buffer.from(signature.signature, 'base64'));
+    if (!verified) {
+      return `The signature doesn't match the key ${signature.keyId}.`;
+    }
+  }
+  return undefined;
+}
+exports.checkSignature = checkSignature;
+
+/*
+ * Gets the public key to verify signatures with.
+ *
+ * @param pem - a PEM public key, or the PEM private key (unencrypted) of the API signing key
+ */
+function toPublicKey (pem) {
+  return crypto.createPublicKey(/PRIVATE KEY/.test(pem) ? crypto.createPrivateKey(pem) : pem);
+}
+exports.toPublicKey = toPublicKey;
+
+/*
+ * Encodes an ASN.1 DER element.
+ *
+ * @param tag - the tag byte
+ * @param contents - the Buffers that make up the contents
+ */
+function der (tag, ...contents) {
+  const body = Buffer.concat(contents);
+  // A length over 127 is the number of length bytes (with the high bit set) and then the length
+  const lengthBytes = [];
+  for (let n = (body.length > 0x7F) ? body.length : 0; n > 0; n = Math.floor(n / 256)) {
+    lengthBytes.unshift(n % 256);
+  }
+  const length = lengthBytes.length
+    ? Buffer.from([0x80 | lengthBytes.length].concat(lengthBytes))
+    : Buffer.from([body.length]);
+  return Buffer.concat([Buffer.from([tag]), length, body]);
+}
+
+// DER object identifiers: sha256WithRSAEncryption, and the commonName and organizationalUnitName attributes
+const OID_SHA256_RSA = Buffer.from('06092a864886f70d01010b', 'hex');
+const OID_COMMON_NAME = Buffer.from('0603550403', 'hex');
+const OID_ORGANIZATIONAL_UNIT = Buffer.from('060355040b', 'hex');
+
+/*
+ * Creates an X.509 certificate that's valid for a day.
+ *
+ * Returns the PEM certificate
+ *
+ * @param subject - { commonName, organizationalUnit (optional) }
+ * @param publicKey - the subject's public KeyObject
+ * @param issuer - { subject, privateKey } of the issuer, or of the subject for a self-signed certificate
+ */
+function createCertificate (subject, publicKey, issuer) {
+  const name = (attributes) => der(0x30, ...[[OID_COMMON_NAME, attributes.commonName], [OID_ORGANIZATIONAL_UNIT, attributes.organizationalUnit]]
+    .filter((attribute) => attribute[1])
+    .map((attribute) => der(0x31, der(0x30, attribute[0], der(0x0C, Buffer.from(attribute[1]))))));
+  const utcTime = (time) => der(0x17, Buffer.from(new Date(time).toISOString().replace(/^\d\d|[-:T]|\.\d+/g, '')));
+  const algorithm = der(0x30, OID_SHA256_RSA, Buffer.from([0x05, 0x00]));
+  const tbs = der(0x30,
+    der(0xA0, der(0x02, Buffer.from([2]))),
+    der(0x02, Buffer.concat([Buffer.from([1]), crypto.randomBytes(8)])),
+    algorithm,
+    name(issuer.subject),
+    der(0x30, utcTime(Date.now() - 60 * 60 * 1000), utcTime(Date.now() + 24 * 60 * 60 * 1000)),
+    name(subject),
+    publicKey.export({ type: 'spki', format: 'der' }));
+  const signature = crypto.sign('sha256', tbs, issuer.privateKey);
+  const certificate = der(0x30, tbs, algorithm, der(0x03, Buffer.from([0]), signature));
+  return `-----BEGIN CERTIFICATE-----\n${certificate.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`;
+}
+
+/*
+ * Creates an instance identity like the one in the instance metadata service: an intermediate
+ * certificate, and an instance certificate and key with OU=opc-tenant:<tenancy ID> in the subject.
+ *
+ * Returns { certificate, privateKey, intermediate, keyId }, where the certificate and keys
+ * are PEM and keyId is the one that the federation request must be signed with
+ *
+ * @param tenancyId - the tenancy OCID
+ */
+function createInstanceIdentity (tenancyId) {
+  const generate = () => crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const intermediateKeys = generate();
+  const intermediateSubject = { commonName: 'Mock Intermediate CA' };
+  const intermediate = createCertificate(intermediateSubject, intermediateKeys.publicKey,
+    { subject: intermediateSubject, privateKey: intermediateKeys.privateKey });
+  const instanceKeys = generate();
+  const certificate = createCertificate({ commonName: 'ocid1.instance.oc1..mock', organizationalUnit: `opc-tenant:${tenancyId}` },
+    instanceKeys.publicKey, { subject: intermediateSubject, privateKey: intermediateKeys.privateKey });
+  const fingerprint = crypto.createHash('sha256').update(Buffer.from(pemBody(certificate), 'base64')).digest('hex')
+    .toUpperCase().match(/../g).join(':');
+  return {
+    certificate,
+    privateKey: instanceKeys.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    intermediate,
+    keyId: `${tenancyId}/fed-x509-sha256/${fingerprint}`
+  };
+}
+
+/*
+ * Returns the base64 body of a PEM certificate or key.
+ */
+function pemBody (pem) {
+  return pem.replace(/-----(BEGIN|END)[^-]+-----/g, '').replace(/\s+/g, '');
+}
+
+/*
+ * Creates a JWT security token that expires after the lifetime.
+ */
+function createToken (subject, lifetime) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+  const payload = { sub: subject, jti: crypto.randomBytes(8).toString('hex'), exp: Math.floor((Date.now() + lifetime) / 1000) };
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(payload)}.mock`;
+}
+
+// CRC-32 table for the ZIP files
+const CRC_TABLE = Array.from({ length: 256 }, (value, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+  }
+  return c >>> 0;
+});
+
+/*
+ * Returns the CRC-32 checksum of a Buffer.
+ */
+function crc32 (buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/*
+ * Creates a ZIP file with uncompressed (stored) entries.
+ *
+ * Returns the ZIP file as a Buffer
+ *
+ * @param entries - array of { name, data } where data is a Buffer
+ */
+function createZip (entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  entries.forEach((entry) => {
+    const name = Buffer.from(entry.name);
+    const crc = crc32(entry.data);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(entry.data.length, 18);
+    local.writeUInt32LE(entry.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(entry.data.length, 20);
+    central.writeUInt32LE(entry.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    localParts.push(local, name, entry.data);
+    centralParts.push(central, name);
+    offset += local.length + name.length + entry.data.length;
+  });
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat(localParts.concat([centralDirectory, end]));
+}
+exports.createZip = createZip;
+
+/*
+ * Generates an export task's ZIP files: conversations.csv and messages.csv in each one,
+ * with the conversations split across the files.
+ *
+ * Returns an array of { name, data, md5, etag }
+ */
+function generateFiles (task, scenario) {
+  const maxFileLength = parseInt(task.maxFileLength, 10) || scenario.rows || 1;
+  const count = Math.max(scenario.files, Math.ceil(scenario.rows / maxFileLength));
+  const perFile = Math.ceil(scenario.rows / count);
+  const targetId = task.botId || task.odaId || 'instance';
+  const start = Date.parse(`${(task.since || '2024-01-01').substring(0, 10)}T00:00:00Z`);
+  const csvField = (text) => (/[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+  const files = [];
+  for (let n = 0; n < count; n++) {
+    const conversations = ['CONVERSATION_ID,TARGET_ID,CHANNEL,OUTCOME,CREATED_ON'];
+    const messages = ['CONVERSATION_ID,MESSAGE_ID,DIRECTION,TEXT,INTENT,CREATED_ON'];
+    for (let row = n * perFile; row < Math.min((n + 1) * perFile, scenario.rows); row++) {
+      const conversationId = `${task.jobId}-c${row + 1}`;
+      const createdOn = new Date(start + row * 3600000).toISOString().replace('.000', '');
+      const utterance = UTTERANCES[row % UTTERANCES.length];
+      conversations.push(`${conversationId},${targetId},${row % 3 ? 'web' : 'slack'},${OUTCOMES[row % OUTCOMES.length]},${createdOn}`);
+      messages.push(`${conversationId},${conversationId}-m1,INBOUND,${csvField(utterance[0])},${utterance[1]},${createdOn}`);
+      messages.push(`${conversationId},${conversationId}-m2,OUTBOUND,How can I help?,,${createdOn}`);
+    }
+    const data = createZip([
+      { name: 'conversations.csv', data: Buffer.from(`${conversations.join('\n')}\n`) },
+      { name: 'messages.csv', data: Buffer.from(`${messages.join('\n')}\n`) }
+    ]);
+    const md5 = crypto.createHash('md5').update(data);
+    files.push({
+      name: `${task.jobId}_${n + 1}.zip`,
+      data,
+      md5: md5.copy().digest('base64'),
+      etag: `"${md5.digest('hex')}"`
+    });
+  }
+  return files;
+}
+
+/*
+ * Creates a mock ODA insights data export server.
+ *
+ * Returns an object with
+ *   server: the http.Server
+ *   tasks: the export tasks, by job ID
+ *   listen(port, host): starts the server. Resolves with its base URL, such as http://127.0.0.1:8080.
+ *     Port 0 picks a free port.
+ *   close(): stops the server
+ *
+ * Throws an InvalidArgumentsError if a scenario is invalid.
+ *
+ * @param options - (optional)
+ *   scenarios: scenarios to add to SCENARIOS or to replace them, by name
+ *   defaultScenario: the scenario for the tasks whose names don't pick one. Default = success.
+ *   publicKey: a PEM public key, or the PEM private key, to verify the signatures with.
+ *     Without it, the signatures' headers, body hash, and date are checked but not the signature.
+ *   keyId: (optional) the only keyId to accept, such as <tenancy ID>/<user ID>/<key fingerprint>
+ *   instance: (optional) { tenancyId, region, tokenLifetime (milliseconds) } of the instance
+ *     principal stand-in. See INSTANCE_DEFAULTS.
+ *   secrets: (optional) the contents of the Vault secrets, such as a PEM key, by secret OCID
+ *   clockOffset: (optional) how far the server's clock is ahead of the local clock, in milliseconds,
+ *     for trying a skewed clock. It moves the Date header and the dates that signatures must have.
+ *   log: (optional) function (message) that's called for each request
+ */
+function createMockServer (options) {
+  const opts = options || {};
+  const log = opts.log || (() => {});
+  const problems = [];
+  const scenarios = {};
+  const definitions = Object.assign({}, SCENARIOS, opts.scenarios);
+  Object.keys(definitions).forEach((name) => {
+    scenarios[name] = resolveScenario(name, definitions[name], problems);
+  });
+  const defaultScenario = opts.defaultScenario || 'success';
+  if (!scenarios[defaultScenario]) {
+    problems.push(`The default scenario ${defaultScenario} must be one of: ${Object.keys(scenarios).join(', ')}.`);
+  }
+  let publicKey;
+  if (opts.publicKey) {
+    try {
+      publicKey = toPublicKey(opts.publicKey);
+    } catch (err) {
+      problems.push(`The key for verifying signatures isn't a PEM public key or unencrypted private key: ${err.message}`);
+    }
+  }
+  if (problems.length) {
+    throw new errors.InvalidArgumentsError(problems);
+  }
+  // The longest name first, so that no-data-2 doesn't pick no-data if both exist
+  const scenarioNames = Object.keys(scenarios).sort((a, b) => b.length - a.length);
+  const tasks = {};
+  const instance = Object.assign({}, INSTANCE_DEFAULTS, opts.instance);
+  // The instance identity is generated when it's first requested, because generating keys is slow
+  let identity;
+  const getIdentity = () => {
+    identity = identity || createInstanceIdentity(instance.tenancyId);
+    return identity;
+  };
+  // The session public keys of the security tokens that the federation endpoint issued, by token
+  const sessions = {};
+  // The number of 429 responses so far, by request kind and job or scenario
+  const throttled = {};
+  let jobCount = 0;
+  let requestCount = 0;
+
+  const send = (response, statusCode, body, headers) => {
+    const text = (body === undefined) ? '' : JSON.stringify(body);
+    response.writeHead(statusCode, Object.assign({
+      'opc-request-id': response.requestId,
+      'content-length': Buffer.byteLength(text)
+    }, text ? { 'content-type': 'application/json' } : {}, headers));
+    response.end(text);
+  };
+  const sendError = (response, statusCode, title, detail, headers) => {
+    send(response, statusCode, { status: statusCode, title, detail }, headers);
+  };
+  const sendText = (response, text) => {
+    response.writeHead(200, { 'content-type': 'text/plain', 'content-length': Buffer.byteLength(text) });
+    response.end(text);
+  };
+  const isThrottled = (response, scenario, key) => {
+    throttled[key] = throttled[key] || 0;
+    if (throttled[key] >= scenario.throttle) {
+      return false;
+    }
+    throttled[key]++;
+    sendError(response, 429, 'Too Many Requests', `Too many requests. Try again in ${scenario.retryAfter} seconds.`,
+      { 'retry-after': `${scenario.retryAfter}` });
+    return true;
+  };
+  const taskResource = (task) => {
+    const resource = Object.assign({}, task.resource, { status: task.scenario.statuses[task.step] });
+    if (resource.status === 'EXPORT_SUCCEEDED') {
+      task.files = task.files || generateFiles(task.resource, task.scenario);
+      resource.filenames = task.files.map((file) => file.name);
+    } else if (resource.status === 'EXPORT_FAILED') {
+      resource.error = task.scenario.error;
+    }
+    return resource;
+  };
+
+  const startExport = (request, response, query, body) => {
+    let payload;
+    try {
+      payload = JSON.parse(body.toString('utf8') || '{}');
+    } catch (err) {
+      sendError(response, 400, 'Bad Request', `The request body isn't JSON: ${err.message}`);
+      return;
+    }
+    if (!['EXPORT', 'EXPORT_AND_PURGE'].includes(payload.taskType)) {
+      sendError(response, 400, 'Bad Request', `The taskType ${payload.taskType} must be EXPORT or EXPORT_AND_PURGE.`);
+      return;
+    }
+    const name = `${payload.name || ''}`;
+    const scenario = scenarios[scenarioNames.find((scenarioName) => name.startsWith(scenarioName)) || defaultScenario];
+    if (isThrottled(response, scenario, `start ${scenario.name}`)) {
+      return;
+    }
+    const jobId = `mock-${++jobCount}`;
+    const resource = {
+      jobId,
+      name: payload.name,
+      taskType: payload.taskType,
+      insightsDataExport: payload.insightsDataExport,
+      botId: query.botId,
+      odaId: query.odaId,
+      since: query.since,
+      until: query.until,
+      maxFileLength: query.maxFileLength,
+      createdOn: new Date().toISOString()
+    };
+    tasks[jobId] = { resource, scenario, step: 0, downloads: {} };
+    log(`Started ${jobId} (${name || 'no name'}) with the scenario ${scenario.name}`);
+    send(response, 200, taskResource(tasks[jobId]));
+  };
+
+  const listExports = (response, query) => {
+    const limit = parseInt(query.limit, 10) || 100;
+    const offset = parseInt(query.offset, 10) || 0;
+    const matching = Object.keys(tasks).reverse().map((jobId) => taskResource(tasks[jobId]))
+      .filter((resource) => (!query.botId || resource.botId === query.botId) && (!query.odaId || resource.odaId === query.odaId));
+    const items = matching.slice(offset, offset + limit);
+    send(response, 200, { items, offset, limit, count: items.length, hasMore: offset + items.length < matching.length });
+  };
+
+  const getExport = (response, task) => {
+    if (isThrottled(response, task.scenario, `status ${task.resource.jobId}`)) {
+      return;
+    }
+    const resource = taskResource(task);
+    task.step = Math.min(task.step + 1, task.scenario.statuses.length - 1);
+    send(response, 200, resource);
+  };
+
+  const deleteExport = (response, task) => {
+    if (['SUBMITTED', 'IN_PROGRESS'].includes(task.scenario.statuses[task.step])) {
+      sendError(response, 409, 'Conflict', `The export task ${task.resource.jobId} is still running.`);
+      return;
+    }
+    delete tasks[task.resource.jobId];
+    send(response, 204);
+  };
+
+  const getFile = (request, response, task, fileName) => {
+    const file = (task.files || []).find((candidate) => candidate.name === fileName);
+    if (!file) {
+      sendError(response, 404, 'Not Found', `The export task ${task.resource.jobId} doesn't have the file ${fileName}.`);
+      return;
+    }
+    if (request.method === 'GET' && isThrottled(response, task.scenario, `file ${task.resource.jobId} ${fileName}`)) {
+      return;
+    }
+    const headers = { 'content-type': 'application/zip', etag: file.etag, 'accept-ranges': 'bytes', 'opc-request-id': response.requestId };
+    const range = /^bytes=(\d+)-$/.exec(request.headers.range || '');
+    const ifRange = request.headers['if-range'];
+    if (range && (!ifRange || ifRange === file.etag)) {
+      const start = parseInt(range[1], 10);
+      if (start >= file.data.length) {
+        sendError(response, 416, 'Range Not Satisfiable', `The file ${fileName} has ${file.data.length} bytes.`,
+          { 'content-range': `bytes */${file.data.length}` });
+        return;
+      }
+      response.writeHead(206, Object.assign(headers, {
+        'content-length': file.data.length - start,
+        'content-range': `bytes ${start}-${file.data.length - 1}/${file.data.length}`
+      }));
+      response.end(file.data.slice(start));
+      return;
+    }
+    response.writeHead(200, Object.assign(headers, { 'content-length': file.data.length, 'content-md5': file.md5 }));
+    if (request.method === 'GET' && task.scenario.truncate && !task.downloads[fileName]) {
+      // Send half of the file and drop the connection, like a network failure
+      task.downloads[fileName] = true;
+      log(`Cutting off the download of ${fileName}`);
+      response.write(file.data.slice(0, Math.floor(file.data.length / 2)), () => response.socket.destroy());
+      return;
+    }
+    response.end(file.data);
+  };
+
+  const getMetadata = (request, response, metadataPath) => {
+    if (request.headers.authorization !== 'Bearer Oracle') {
+      sendError(response, 401, 'Unauthorized', 'Instance metadata requests need the Authorization: Bearer Oracle header.');
+      return;
+    }
+    const values = {
+      '/instance/canonicalRegionName': () => instance.region,
+      '/identity/cert.pem': () => getIdentity().certificate,
+      '/identity/key.pem': () => getIdentity().privateKey,
+      '/identity/intermediate.pem': () => getIdentity().intermediate
+    };
+    if (request.method !== 'GET' || !values[metadataPath]) {
+      sendError(response, 404, 'Not Found', `There's no ${METADATA_PATH}${metadataPath} metadata.`);
+      return;
+    }
+    sendText(response, values[metadataPath]());
+  };
+
+  const federate = (request, response, body) => {
+    const problem = checkSignature(request, body, {
+      publicKey: toPublicKey(getIdentity().privateKey), keyId: getIdentity().keyId, clockOffset: opts.clockOffset
+    });
+    if (problem) {
+      log(`Rejected the federation request's signature: ${problem}`);
+      sendError(response, 401, 'Unauthorized', problem);
+      return;
+    }
+    let payload;
+    try {
+      payload = JSON.parse(body.toString('utf8'));
+    } catch (err) {
+      sendError(response, 400, 'Bad Request', `The request body isn't JSON: ${err.message}`);
+      return;
+    }
+    if (payload.certificate !== pemBody(getIdentity().certificate) ||
+      !(payload.intermediateCertificates || []).includes(pemBody(getIdentity().intermediate))) {
+      sendError(response, 401, 'Unauthorized', 'The certificate or the intermediate certificate isn\'t the instance\'s.');
+      return;
+    }
+    let sessionKey;
+    try {
+      sessionKey = crypto.createPublicKey({ key: Buffer.from(payload.publicKey || '', 'base64'), format: 'der', type: 'spki' });
+    } catch (err) {
+      sendError(response, 400, 'Bad Request', `The publicKey isn't a base64 DER public key: ${err.message}`);
+      return;
+    }
+    const token = createToken('ocid1.instance.oc1..mock', instance.tokenLifetime);
+    sessions[token] = sessionKey;
+    log('Issued a security token to the instance principal');
+    send(response, 200, { token });
+  };
+
+  const getSecretBundle = (request, response, secretId) => {
+    const secrets = opts.secrets || {};
+    if (request.method !== 'GET') {
+      sendError(response, 405, 'Method Not Allowed', `${request.method} isn't supported for secret bundles.`);
+      return;
+    }
+    if (!Object.prototype.hasOwnProperty.call(secrets, secretId)) {
+      sendError(response, 404, 'NotAuthorizedOrNotFound', `There's no secret ${secretId}.`);
+      return;
+    }
+    send(response, 200, {
+      secretId,
+      versionNumber: 1,
+      stages: ['CURRENT', 'LATEST'],
+      secretBundleContent: { contentType: 'BASE64', content: Buffer.from(`${secrets[secretId]}`).toString('base64') }
+    });
+  };
+
+  const route = (request, response, body) => {
+    const parsed = url.parse(request.url, true);
+    if (parsed.pathname.indexOf(`${SECRETS_PATH}/`) === 0) {
+      getSecretBundle(request, response, decodeURIComponent(parsed.pathname.slice(SECRETS_PATH.length + 1)));
+      return;
+    }
+    if (parsed.pathname.indexOf(BASE_PATH) !== 0) {
+      sendError(response, 404, 'Not Found', `There's no ${parsed.pathname} resource.`);
+      return;
+    }
+    const parts = parsed.pathname.slice(BASE_PATH.length).split('/').filter((part) => part.length).map(decodeURIComponent);
+    if (!parts.length) {
+      if (request.method === 'POST') {
+        startExport(request, response, parsed.query, body);
+      } else if (request.method === 'GET') {
+        listExports(response, parsed.query);
+      } else {
+        sendError(response, 405, 'Method Not Allowed', `${request.method} isn't supported for ${parsed.pathname}.`);
+      }
+      return;
+    }
+    const task = tasks[parts[0]];
+    if (!task) {
+      sendError(response, 404, 'Not Found', `There's no export task ${parts[0]}.`);
+      return;
+    }
+    if (parts.length === 1 && request.method === 'GET') {
+      getExport(response, task);
+    } else if (parts.length === 1 && request.method === 'DELETE') {
+      deleteExport(response, task);
+    } else if (parts.length === 3 && parts[1] === 'files' && ['GET', 'HEAD'].includes(request.method)) {
+      getFile(request, response, task, parts[2]);
+    } else {
+      sendError(response, 405, 'Method Not Allowed', `${request.method} isn't supported for ${parsed.pathname}.`);
+    }
+  };
+
+  const server = http.createServer((request, response) => {
+    const chunks = [];
+    request.on('data', (chunk) => chunks.push(chunk));
+    request.on('end', () => {
+      const body = Buffer.concat(chunks);
+      response.requestId = `mock-request-${++requestCount}`;
+      if (opts.clockOffset) {
+        response.setHeader('date', new Date(Date.now() + opts.clockOffset).toUTCString());
+      }
+      response.on('close', () => log(`${request.method} ${request.url} ${response.statusCode}`));
+      const pathname = url.parse(request.url).pathname;
+      if (pathname.indexOf(`${METADATA_PATH}/`) === 0) {
+        getMetadata(request, response, pathname.slice(METADATA_PATH.length));
+        return;
+      }
+      if (pathname === FEDERATION_PATH && request.method === 'POST') {
+        federate(request, response, body);
+        return;
+      }
+      // A request with a security token is verified with the token's session key
+      const keyId = (parseAuthorization(request.headers.authorization) || {}).keyId || '';
+      const sessionKey = (keyId.indexOf('ST$') === 0) ? sessions[keyId.slice(3)] : undefined;
+      const problem = checkSignature(request, body,
+        Object.assign(sessionKey ? { publicKey: sessionKey } : { publicKey, keyId: opts.keyId }, { clockOffset: opts.clockOffset }));
+      if (problem) {
+        log(`Rejected the signature of ${request.method} ${request.url}: ${problem}`);
+        sendError(response, 401, 'Unauthorized', problem);
+        return;
+      }
+      try {
+        route(request, response, body);
+      } catch (err) {
+        sendError(response, 500, 'Internal Server Error', err.message);
+      }
+    });
+  });
+
+  return {
+    server,
+    tasks,
+    listen (port, host) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port || 0, host || '127.0.0.1', () => {
+          const address = server.address();
+          resolve(`http://${address.address.includes(':') ? `[${address.address}]` : address.address}:${address.port}`);
+        });
+      });
+    },
+    close () {
+      return new Promise((resolve) => server.close(() => resolve()));
+    }
+  };
+}
+exports.createMockServer = createMockServer;
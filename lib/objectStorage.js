@@ -0,0 +1,548 @@
+'use strict';
+/*
+ * objectStorage.js
+ * Version 1.0.5
+ *
+ * Uploads exported files to a bucket instead of writing them to a local directory.
+ *
+ * Destinations:
+ *   oci://<bucket>/<prefix>
+ *   oci://<bucket>@<namespace>/<prefix>
+ *     OCI Object Storage in the config file's region. The requests are signed
+ *     with the same signer as the ODA requests. The namespace is looked
+ *     up if it isn't given.
+ *   s3://<bucket>/<prefix>
+ *     An S3-compatible store at the s3endpoint URL, such as the OCI Amazon S3
+ *     Compatibility API (https://<namespace>.compat.objectstorage.<region>.oraclecloud.com).
+ *     The requests are signed with AWS Signature Version 4, using the
+ *     AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_SESSION_TOKEN (optional),
+ *     and AWS_REGION (defaults to us-east-1) environment variables.
+ *
+ * The prefix is optional. Each file's object name is <prefix>/<subdirectory>/<file name>,
+ * where the subdirectory is the one that the file would have been written to under outpath.
+ *
+ * Files are streamed through memory one part at a time. A file that's larger
+ * than PART_SIZE is uploaded with a multipart upload. An object that already
+ * exists with the same size as the file isn't uploaded again.
+ *
+ * Requests use the keep-alive agents, proxy, timeouts, and retries in httpClient.js.
+ *
+ * See https://docs.oracle.com/iaas/Content/Object/Tasks/usingmultipartuploads.htm
+ * and https://docs.aws.amazon.com/AmazonS3/latest/API/sig-v4-authenticating-requests.html
+ */
+
+const url = require('url');
+const crypto = require('crypto');
+const ociUtils = require('./ociUtils.js');
+const httpClient = require('./httpClient.js');
+
+// Size of each part of a multipart upload. Smaller files are uploaded with one request.
+const PART_SIZE = 16 * 1024 * 1024;
+
+// Supported destination URL schemes
+const SCHEMES = ['oci', 's3'];
+exports.SCHEMES = SCHEMES;
+
+/*
+ * Parses a destination URL.
+ *
+ * Returns { scheme, bucket, namespace, prefix }
+ *
+ * Throws an error if the URL isn't a valid destination.
+ *
+ * @param destination - oci://<bucket>[@<namespace>]/<prefix> or s3://<bucket>/<prefix>
+ */
+function parseDestination (destination) {
+  const match = /^([a-z0-9]+):\/\/([^/@]+)(@([^/]+))?(\/(.*))?$/.exec((destination || '').trim());
+  if (!match || !SCHEMES.includes(match[1])) {
+    throw new Error(`The destination ${destination} must be oci://<bucket>/<prefix> or s3://<bucket>/<prefix>.`);
+  }
+  if (match[1] === 's3' && match[4]) {
+    throw new Error(`The destination ${destination} can't have a namespace. Put it in the s3endpoint URL.`);
+  }
+  return {
+    scheme: match[1],
+    bucket: match[2],
+    namespace: match[4],
+    prefix: (match[6] || '').replace(/^\/+|\/+$/g, '')
+  };
+}
+exports.parseDestination = parseDestination;
+
+/*
+ * Joins object name parts with /, ignoring empty parts and extra slashes.
+ */
+function joinObjectName (...parts) {
+  return parts.map((part) => (part || '').replace(/^\/+|\/+$/g, ''))
+    .filter((part) => part.length)
+    .join('/');
+}
+
+/*
+ * Encodes a string for a URL the way AWS Signature Version 4 requires (RFC 3986).
+ */
+function encodeRfc3986 (value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/*
+ * Gets the canonical query string of AWS Signature Version 4: the parameters
+ * sorted by name and encoded, such as partNumber=1&uploadId=abc.
+ *
+ * @param query - the query parameters, as { <name>: <value> }
+ */
+function getCanonicalQuery (query) {
+  return Object.keys(query || {}).sort()
+    .map((key) => `${encodeRfc3986(key)}=${encodeRfc3986(query[key])}`)
+    .join('&');
+}
+
+/*
+ * Signs a request with AWS Signature Version 4.
+ *
+ * Returns the request's headers with host, x-amz-content-sha256, x-amz-date,
+ * x-amz-security-token (if there's a session token), and Authorization
+ *
+ * @param request
+ *   method: the HTTP method
+ *   host: the Host header
+ *   path: the URI-encoded path
+ *   query: (optional) the query parameters, as { <name>: <value> }
+ *   headers: (optional) the other headers to sign
+ *   body: (optional) the body, as a string or Buffer
+ * @param credentials
+ *   accessKeyId, secretAccessKey, sessionToken (optional), and region
+ * @param now - (optional) the signing time, as a Date. Defaults to now.
+ */
+function signV4 (request, credentials, now) {
+  const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+  const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+  const amzDate = (now || new Date()).toISOString().replace(/[-:]|\.\d{3}/g, '');
+  const date = amzDate.substr(0, 8);
+  const allHeaders = Object.assign({}, request.headers, {
+    host: request.host,
+    'x-amz-content-sha256': sha256(request.body || ''),
+    'x-amz-date': amzDate
+  });
+  if (credentials.sessionToken) {
+    allHeaders['x-amz-security-token'] = credentials.sessionToken;
+  }
+  const headerNames = Object.keys(allHeaders).map((name) => name.toLowerCase()).sort();
+  const lowerHeaders = Object.keys(allHeaders).reduce((lower, name) => {
+    lower[name.toLowerCase()] = `${allHeaders[name]}`.trim();
+    return lower;
+  }, {});
+  const signedHeaders = headerNames.join(';');
+  const canonicalRequest = [
+    request.method,
+    request.path,
+    getCanonicalQuery(request.query),
+    headerNames.map((name) => `${name}:${lowerHeaders[name]}\n`).join(''),
+    signedHeaders,
+    lowerHeaders['x-amz-content-sha256']
+  ].join('\n');
+  const scope = `${date}/${credentials.region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${credentials.secretAccessKey}`, date), credentials.region), 's3'), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  return Object.assign({}, allHeaders, {
+    Authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  });
+}
+exports.signV4 = signV4;
+
+/*
+ * Sends an HTTP or HTTPS request.
+ *
+ * Returns { statusCode, headers, body } for any status. body is a string.
+ * 429 and 5xx responses and network errors are retried first (see httpClient.js);
+ * POST requests are only retried when the server didn't process them.
+ *
+ * @param requestUrl - the full URL
+ * @param options
+ *   method: (optional) defaults to GET
+ *   headers: (optional) request headers
+ *   body: (optional) request body, as a string or Buffer
+ *   sign: (optional) function (request) that signs the request
+ *   http: (optional) httpClient.js timeouts and retries
+ */
+function sendRequest (requestUrl, options) {
+  const method = options.method || 'GET';
+  return httpClient.withRetries(async () => {
+    const response = await sendRequestOnce(requestUrl, options);
+    if (response.statusCode === 429 || response.statusCode >= 500) {
+      const error = new Error(`${method} ${requestUrl} failed: ${response.statusCode}`);
+      error.statusCode = response.statusCode;
+      error.retryAfter = response.headers['retry-after'];
+      error.response = response;
+      throw error;
+    }
+    return response;
+  }, options.http, method !== 'POST').catch((error) => {
+    // checkResponse reports the status after the last retry
+    if (error.response) {
+      return error.response;
+    }
+    throw error;
+  });
+}
+
+function sendRequestOnce (requestUrl, options) {
+  const parsed = url.parse(requestUrl);
+  return new Promise((resolve, reject) => {
+    const request = httpClient.createRequest({
+      protocol: parsed.protocol,
+      host: parsed.hostname,
+      port: parsed.port,
+      path: parsed.path,
+      method: options.method || 'GET',
+      headers: options.headers || {}
+    }, options.http, function (response) {
+      let responseBody = '';
+      response.setEncoding('utf8');
+      response.on('data', function (chunk) {
+        responseBody += chunk;
+      });
+      response.on('end', function () {
+        resolve({ statusCode: response.statusCode, headers: response.headers, body: responseBody });
+      });
+    });
+    request.on('error', function (error) {
+      reject(Object.assign(new Error(`${options.method || 'GET'} ${requestUrl} failed: ${error.message}`), { code: error.code }));
+    });
+    if (options.sign) {
+      options.sign(request);
+    }
+    (options.body) ? request.end(options.body) : request.end();
+  });
+}
+
+/*
+ * Throws an error if the response doesn't have a 2xx status.
+ */
+function checkResponse (response, description) {
+  if (response.statusCode >= 300) {
+    throw new Error(`${description} failed: ${response.statusCode}: ${response.body.trim().substr(0, 500)}`);
+  }
+  return response;
+}
+
+/*
+ * Creates an OCI Object Storage store.
+ *
+ * @param target - the parsed destination
+ * @param options
+ *   signer: the signer (see auth.js)
+ *   region: the region
+ *   endpoint: (optional) the Object Storage URL. Defaults to https://objectstorage.<region>.oraclecloud.com.
+ *   http: (optional) httpClient.js timeouts and retries
+ */
+function createOciStore (target, options) {
+  const signer = options.signer;
+  const region = options.region || signer.region;
+  const endpoint = (options.endpoint || `https://objectstorage.${region}.oraclecloud.com`).replace(/\/$/, '');
+  if (!options.endpoint && !region) {
+    throw new Error('An oci:// destination requires the region. Add it to the config file.');
+  }
+  let namespace = target.namespace;
+  let namespaceLookup;
+
+  const send = async (method, requestPath, body, headers, excludeBody) => {
+    const signingKey = await signer.getSigningKey();
+    return sendRequest(`${endpoint}${requestPath}`, {
+      method,
+      http: options.http,
+      headers: Object.assign(body && !excludeBody ? { 'Content-Type': 'application/json' } : {}, headers),
+      body,
+      sign: (request) => {
+        if (excludeBody) {
+          request.setHeader('Content-Length', body ? Buffer.byteLength(body) : 0);
+        }
+        ociUtils.sign(request, {
+          keyId: signingKey.keyId,
+          privateKey: signingKey.privateKey,
+          body: excludeBody ? undefined : body,
+          excludeBody
+        });
+      }
+    });
+  };
+
+  const bucketPath = async () => {
+    if (!namespace) {
+      // Concurrent uploads share one lookup
+      namespaceLookup = namespaceLookup || send('GET', '/n/').then((response) => {
+        return JSON.parse(checkResponse(response, 'Getting the Object Storage namespace').body);
+      });
+      namespace = await namespaceLookup;
+    }
+    return `/n/${encodeURIComponent(namespace)}/b/${encodeURIComponent(target.bucket)}`;
+  };
+
+  const metadataHeaders = (metadata) => Object.keys(metadata).reduce((headers, key) => {
+    headers[`opc-meta-${key}`] = metadata[key];
+    return headers;
+  }, {});
+
+  return {
+    describe: (objectName) => `oci://${target.bucket}${namespace ? `@${namespace}` : ''}/${objectName}`,
+    headObject: async (objectName) => {
+      const response = await send('HEAD', `${await bucketPath()}/o/${encodeURIComponent(objectName)}`);
+      if (response.statusCode === 404) {
+        return null;
+      }
+      checkResponse(response, `Checking for ${objectName}`);
+      return { size: parseInt(response.headers['content-length'], 10) };
+    },
+    putObject: async (objectName, data, metadata) => {
+      const headers = Object.assign({ 'Content-MD5': crypto.createHash('md5').update(data).digest('base64') }, metadataHeaders(metadata));
+      checkResponse(await send('PUT', `${await bucketPath()}/o/${encodeURIComponent(objectName)}`, data, headers, true),
+        `Uploading ${objectName}`);
+    },
+    createMultipartUpload: async (objectName, metadata) => {
+      const body = JSON.stringify({ object: objectName, metadata: metadataHeaders(metadata) });
+      const response = checkResponse(await send('POST', `${await bucketPath()}/u`, body), `Starting the upload of ${objectName}`);
+      return JSON.parse(response.body).uploadId;
+    },
+    uploadPart: async (objectName, uploadId, partNumber, data) => {
+      const query = `uploadId=${encodeURIComponent(uploadId)}&uploadPartNum=${partNumber}`;
+      const headers = { 'Content-MD5': crypto.createHash('md5').update(data).digest('base64') };
+      const response = checkResponse(
+        await send('PUT', `${await bucketPath()}/u/${encodeURIComponent(objectName)}?${query}`, data, headers, true),
+        `Uploading part ${partNumber} of ${objectName}`);
+      return response.headers.etag;
+    },
+    commitMultipartUpload: async (objectName, uploadId, parts) => {
+      const body = JSON.stringify({ partsToCommit: parts.map((part) => ({ partNum: part.partNumber, etag: part.etag })) });
+      checkResponse(await send('POST', `${await bucketPath()}/u/${encodeURIComponent(objectName)}?uploadId=${encodeURIComponent(uploadId)}`, body),
+        `Committing the upload of ${objectName}`);
+    },
+    abortMultipartUpload: async (objectName, uploadId) => {
+      await send('DELETE', `${await bucketPath()}/u/${encodeURIComponent(objectName)}?uploadId=${encodeURIComponent(uploadId)}`);
+    }
+  };
+}
+
+/*
+ * Creates a store for an S3-compatible API.
+ *
+ * @param target - the parsed destination
+ * @param options
+ *   endpoint: the service URL. Buckets are addressed by path (<endpoint>/<bucket>/<object>).
+ *   env: (optional) the environment variables. Defaults to process.env.
+ *   http: (optional) httpClient.js timeouts and retries
+ */
+function createS3Store (target, options) {
+  const env = options.env || process.env;
+  if (!options.endpoint) {
+    throw new Error('An s3:// destination requires the s3endpoint URL.');
+  }
+  if (!env.AWS_ACCESS_KEY_ID || !env.AWS_SECRET_ACCESS_KEY) {
+    throw new Error('An s3:// destination requires the AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY environment variables.');
+  }
+  const parsedEndpoint = url.parse(options.endpoint.replace(/\/$/, ''));
+  const host = parsedEndpoint.host;
+  const basePath = (parsedEndpoint.pathname || '').replace(/\/$/, '');
+  const credentials = {
+    accessKeyId: env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+    sessionToken: env.AWS_SESSION_TOKEN,
+    region: env.AWS_REGION || env.AWS_DEFAULT_REGION || 'us-east-1'
+  };
+
+  const objectPath = (objectName) => `${basePath}/${encodeRfc3986(target.bucket)}/${objectName.split('/').map(encodeRfc3986).join('/')}`;
+
+  const send = (method, objectName, query, body, headers) => {
+    const canonicalPath = objectPath(objectName);
+    const canonicalQuery = getCanonicalQuery(query);
+    const requestHeaders = Object.assign(signV4({ method, host, path: canonicalPath, query, headers, body }, credentials), {
+      'Content-Length': body ? Buffer.byteLength(body) : 0
+    });
+    delete requestHeaders.host;
+    return sendRequest(`${parsedEndpoint.protocol}//${host}${canonicalPath}${canonicalQuery ? `?${canonicalQuery}` : ''}`, {
+      method,
+      http: options.http,
+      headers: requestHeaders,
+      body
+    });
+  };
+
+  const metadataHeaders = (metadata) => Object.keys(metadata).reduce((headers, key) => {
+    headers[`x-amz-meta-${key}`] = metadata[key];
+    return headers;
+  }, {});
+
+  const xmlValue = (xml, element) => {
+    const match = new RegExp(`<${element}>([^<]*)</${element}>`).exec(xml);
+    return match ? match[1] : undefined;
+  };
+
+  return {
+    describe: (objectName) => `s3://${target.bucket}/${objectName}`,
+    headObject: async (objectName) => {
+      const response = await send('HEAD', objectName, {});
+      if (response.statusCode === 404) {
+        return null;
+      }
+      checkResponse(response, `Checking for ${objectName}`);
+      return { size: parseInt(response.headers['content-length'], 10) };
+    },
+    putObject: async (objectName, data, metadata) => {
+      const headers = Object.assign({ 'Content-MD5': crypto.createHash('md5').update(data).digest('base64') }, metadataHeaders(metadata));
+      checkResponse(await send('PUT', objectName, {}, data, headers), `Uploading ${objectName}`);
+    },
+    createMultipartUpload: async (objectName, metadata) => {
+      const response = checkResponse(await send('POST', objectName, { uploads: '' }, undefined, metadataHeaders(metadata)),
+        `Starting the upload of ${objectName}`);
+      return xmlValue(response.body, 'UploadId');
+    },
+    uploadPart: async (objectName, uploadId, partNumber, data) => {
+      const headers = { 'Content-MD5': crypto.createHash('md5').update(data).digest('base64') };
+      const response = checkResponse(await send('PUT', objectName, { partNumber: `${partNumber}`, uploadId }, data, headers),
+        `Uploading part ${partNumber} of ${objectName}`);
+      return response.headers.etag;
+    },
+    commitMultipartUpload: async (objectName, uploadId, parts) => {
+      const body = '<CompleteMultipartUpload>' +
+        parts.map((part) => `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${part.etag}</ETag></Part>`).join('') +
+        '</CompleteMultipartUpload>';
+      const response = checkResponse(await send('POST', objectName, { uploadId }, body, { 'Content-Type': 'application/xml' }),
+        `Committing the upload of ${objectName}`);
+      // The response can have a 200 status and still contain an error
+      if (/<Error>/.test(response.body)) {
+        throw new Error(`Committing the upload of ${objectName} failed: ${xmlValue(response.body, 'Message') || response.body}`);
+      }
+    },
+    abortMultipartUpload: async (objectName, uploadId) => {
+      await send('DELETE', objectName, { uploadId });
+    }
+  };
+}
+
+/*
+ * Creates the store for a destination URL.
+ *
+ * Returns the store, with these methods:
+ *   objectName(subdirectory, fileName): the object name for a file
+ *   describe(objectName): the object's URL, for messages
+ *   headObject(objectName): { size } of the object, or null if it doesn't exist
+ *   putObject, createMultipartUpload, uploadPart, commitMultipartUpload, abortMultipartUpload
+ *
+ * @param destination - the destination URL (see parseDestination)
+ * @param options
+ *   signer: the signer (see auth.js), for an oci:// destination
+ *   region: (optional) the region, for an oci:// destination. Defaults to the signer's region.
+ *   endpoint: (optional) the Object Storage URL, for an oci:// destination
+ *   s3endpoint: the S3-compatible service URL, for an s3:// destination
+ *   http: (optional) httpClient.js timeouts and retries
+ */
+function createStore (destination, options) {
+  const target = parseDestination(destination);
+  const store = (target.scheme === 's3')
+    ? createS3Store(target, { endpoint: options.s3endpoint, http: options.http })
+    : createOciStore(target, { signer: options.signer, region: options.region, endpoint: options.endpoint, http: options.http });
+  store.objectName = (subdirectory, fileName) => joinObjectName(target.prefix, subdirectory, fileName);
+  return store;
+}
+exports.createStore = createStore;
+
+/*
+ * Uploads a download stream to an object.
+ *
+ * Skips the upload if the object already exists and has the same size as the
+ * stream's content-length. Checks that the stream's size and MD5 checksum
+ * (if the source sent one) are correct before the object is created.
+ * A download that fails that check can be retried (error.retryable is true).
+ * The source's read timeout (see httpClient.createRequest) is suspended while
+ * a part uploads, because the source isn't read then.
+ *
+ * Returns { objectName, url, size, sha256, skipped }. sha256 isn't set for a skipped object.
+ *
+ * @param store - the store from createStore
+ * @param objectName - the object name
+ * @param source - the download response
+ * @param metadata - object metadata, as { <key>: <value> }. Keys are lowercase.
+ * @param onProgress - (optional) function (receivedBytes, totalBytes) that's called
+ *   as data arrives. totalBytes is undefined if the response has no content-length.
+ */
+async function uploadStream (store, objectName, source, metadata, onProgress) {
+  const totalBytes = parseInt(source.headers['content-length'], 10) || undefined;
+  const expectedMd5 = source.headers['content-md5'] || source.headers['opc-content-md5'];
+  if (totalBytes !== undefined) {
+    const existing = await store.headObject(objectName);
+    if (existing && existing.size === totalBytes) {
+      source.destroy();
+      return { objectName, url: store.describe(objectName), size: totalBytes, skipped: true };
+    }
+  }
+  const sha256 = crypto.createHash('sha256');
+  const md5 = crypto.createHash('md5');
+  let receivedBytes = 0;
+  let buffers = [];
+  let bufferedBytes = 0;
+  let uploadId;
+  const parts = [];
+  const uploadBufferedPart = async () => {
+    const data = Buffer.concat(buffers, bufferedBytes);
+    buffers = [];
+    bufferedBytes = 0;
+    if (!uploadId) {
+      uploadId = await store.createMultipartUpload(objectName, metadata);
+    }
+    const partNumber = parts.length + 1;
+    parts.push({ partNumber, etag: await store.uploadPart(objectName, uploadId, partNumber, data) });
+  };
+  // The source's idle timer would run out while a slow upload holds back the download
+  const withoutReadTimeout = async (fn) => {
+    const socket = source.socket;
+    const timeout = socket && socket.timeout;
+    if (timeout) {
+      socket.setTimeout(0);
+    }
+    try {
+      await fn();
+    } finally {
+      if (timeout && !socket.destroyed) {
+        socket.setTimeout(timeout);
+      }
+    }
+  };
+  try {
+    // The loop doesn't read more data while a part is uploading
+    for await (const chunk of source) {
+      sha256.update(chunk);
+      md5.update(chunk);
+      receivedBytes += chunk.length;
+      buffers.push(chunk);
+      bufferedBytes += chunk.length;
+      if (onProgress) {
+        onProgress(receivedBytes, totalBytes);
+      }
+      if (bufferedBytes >= PART_SIZE) {
+        await withoutReadTimeout(uploadBufferedPart);
+      }
+    }
+    if (totalBytes !== undefined && receivedBytes !== totalBytes) {
+      throw Object.assign(new Error(`The download for ${store.describe(objectName)} is incomplete. Received ${receivedBytes} of ${totalBytes} bytes.`), { retryable: true });
+    }
+    if (expectedMd5 && md5.digest('base64') !== expectedMd5) {
+      throw Object.assign(new Error(`The download for ${store.describe(objectName)} is corrupt. Its MD5 checksum doesn't match the server's checksum.`), { retryable: true });
+    }
+    if (uploadId) {
+      if (bufferedBytes) {
+        await uploadBufferedPart();
+      }
+      await store.commitMultipartUpload(objectName, uploadId, parts);
+    } else {
+      await store.putObject(objectName, Buffer.concat(buffers, bufferedBytes), metadata);
+    }
+  } catch (error) {
+    source.destroy();
+    if (uploadId) {
+      await store.abortMultipartUpload(objectName, uploadId).catch(() => {});
+    }
+    throw error;
+  }
+  return { objectName, url: store.describe(objectName), size: receivedBytes, sha256: sha256.digest('hex'), skipped: false };
+}
+exports.uploadStream = uploadStream;
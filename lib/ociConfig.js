@@ -0,0 +1,129 @@
+'use strict';
+/*
+ * ociConfig.js
+ * Version 1.0.1
+ *
+ * Reads the signing configuration from either the standard OCI CLI config
+ * file (~/.oci/config) or this script's original JSON config file.
+ *
+ * OCI CLI config file (INI format):
+ *   [DEFAULT]
+ *   user=ocid1.user.oc1..<unique ID>
+ *   fingerprint=<key fingerprint>
+ *   key_file=~/.oci/oci_api_key.pem
+ *   tenancy=ocid1.tenancy.oc1..<unique ID>
+ *   region=us-ashburn-1
+ *   pass_phrase=<passphrase, if the key is encrypted>
+ *   domain=<ODA instance domain>
+ *
+ * The domain entry is specific to this script. It can also be passed with --domain.
+ * Profiles other than DEFAULT inherit the DEFAULT entries that they don't set.
+ *
+ * These environment variables override the config file values:
+ *   OCI_CLI_PROFILE, OCI_CLI_USER, OCI_CLI_FINGERPRINT, OCI_CLI_KEY_FILE,
+ *   OCI_CLI_TENANCY, OCI_CLI_REGION, OCI_CLI_PASS_PHRASE (or OCI_CLI_PASSPHRASE)
+ *
+ * See https://docs.oracle.com/iaas/Content/API/Concepts/sdkconfig.htm
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_PROFILE = 'DEFAULT';
+
+// Environment variables that override config file entries
+const ENV_OVERRIDES = {
+  user: ['OCI_CLI_USER'],
+  fingerprint: ['OCI_CLI_FINGERPRINT'],
+  key_file: ['OCI_CLI_KEY_FILE'],
+  tenancy: ['OCI_CLI_TENANCY'],
+  region: ['OCI_CLI_REGION'],
+  pass_phrase: ['OCI_CLI_PASS_PHRASE', 'OCI_CLI_PASSPHRASE']
+};
+
+/*
+ * Parses INI text into { <section>: { <key>: <value> } }.
+ * Ignores blank lines and lines that start with # or ;.
+ *
+ * @param text - the INI file contents
+ */
+function parseIni (text) {
+  const sections = {};
+  let section;
+  text.split(/\r?\n/).forEach((rawLine, i) => {
+    const line = rawLine.trim();
+    if (!line.length || line[0] === '#' || line[0] === ';') {
+      return;
+    }
+    const header = /^\[(.+)\]$/.exec(line);
+    if (header) {
+      section = header[1].trim();
+      sections[section] = sections[section] || {};
+      return;
+    }
+    const separator = line.indexOf('=');
+    if (separator === -1 || section === undefined) {
+      throw new Error(`Line ${i + 1} isn't a [PROFILE] header or a key=value entry.`);
+    }
+    sections[section][line.substr(0, separator).trim()] = line.substr(separator + 1).trim();
+  });
+  return sections;
+}
+exports.parseIni = parseIni;
+
+/*
+ * Returns true if the config file text is in the original JSON format.
+ */
+function isJsonConfig (text) {
+  return text.trim()[0] === '{';
+}
+exports.isJsonConfig = isJsonConfig;
+
+/*
+ * Gets a profile's entries from OCI CLI config file text,
+ * with the DEFAULT entries that it doesn't override and
+ * the OCI_CLI_* environment variable overrides applied.
+ *
+ * @param text - the config file contents
+ * @param profile - (optional) profile name. Defaults to OCI_CLI_PROFILE or DEFAULT.
+ */
+function getProfile (text, profile) {
+  const sections = parseIni(text);
+  const profileName = profile || process.env.OCI_CLI_PROFILE || DEFAULT_PROFILE;
+  if (!sections[profileName]) {
+    throw new Error(`The config file doesn't have a [${profileName}] profile.`);
+  }
+  const entries = Object.assign({}, sections[DEFAULT_PROFILE], sections[profileName]);
+  Object.keys(ENV_OVERRIDES).forEach((key) => {
+    ENV_OVERRIDES[key].forEach((envName) => {
+      if (process.env[envName]) {
+        entries[key] = process.env[envName];
+      }
+    });
+  });
+  entries.profile = profileName;
+  return entries;
+}
+exports.getProfile = getProfile;
+
+/*
+ * Returns the PEM private key unencrypted.
+ * Unencrypted keys are returned as is.
+ *
+ * @param pem - the PEM key
+ * @param passphrase - (optional) the key's passphrase
+ */
+function decryptPrivateKey (pem, passphrase) {
+  if (!/ENCRYPTED/.test(pem)) {
+    return pem;
+  }
+  if (!passphrase) {
+    throw new Error('The private key is encrypted, but no passphrase was provided.');
+  }
+  try {
+    return crypto.createPrivateKey({ key: pem, format: 'pem', passphrase })
+      .export({ type: 'pkcs8', format: 'pem' });
+  } catch (err) {
+    throw new Error(`Can't decrypt the private key. Check the passphrase. (${err.message})`);
+  }
+}
+exports.decryptPrivateKey = decryptPrivateKey;
@@ -1,56 +1,65 @@
 /**
  * ociUtils.js
- * Version 1.0.2
+ * Version 1.0.13
  * Sign and send request.
  *
+ * Requests use the keep-alive agents, timeouts, and retries in httpClient.js.
+ * Each attempt is signed again, so that its date header is current, and is
+ * logged with its status, duration, and opc-request-id (see logger.js).
+ *
  * See https://docs.cloud.oracle.com/iaas/Content/API/Concepts/signingrequests.htm
  */
 
- const https = require('https');
+ const httpClient = require('./httpClient.js');
  const httpSignature = require('http-signature');
  const jsSHA = require('jssha');
- const utils = require('./utils.js');
+ const errors = require('./errors.js');
  const fs = require('fs');
+ const crypto = require('crypto');
+ const stream = require('stream');
  
  /*
   * Send request
   *
   * Returns response body
   *
-  * Requires utils.js PRIVATE_KEY, KEY_FINGERPRINT, TENANCY_ID, AUTH_USER_ID
+  * Rejects with an errors.js HttpError for a non-2xx response. 429 and 5xx
+  * responses and network errors are retried first (see httpClient.js);
+  * POST requests are only retried when the server didn't process them.
   *
   * @param options - request options
   * @param body - request body if POST, PUT, or PATCH
+  * @param signer - the signer (see auth.js)
+  * @param settings - (optional) httpClient.js timeouts and retries
   */
  
- function promisifiedSendRequest (options, body) {
+ async function promisifiedSendRequest (options, body, signer, settings) {
+   const idempotent = (options.method || 'GET').toUpperCase() !== 'POST';
+   return httpClient.withRetries(() => sendRequestOnce(options, body, signer, settings), settings, idempotent);
+ }
+ 
+ async function sendRequestOnce (options, body, signer, settings) {
+   const signingKey = await signer.getSigningKey();
    return new Promise((resolve, reject) => {
-     const request = https.request(options, function (response) {
+     const request = httpClient.createRequest(options, settings, function (response) {
        let responseBody = '';
        response.on('data', function (chunk) {
          responseBody += chunk;
        });
        response.on('error', function (error) {
-         reject(new Error(error));
+         reject(networkError(error));
        });
        response.on('end', function () {
          if (response.statusCode < 300) {
            (response.headers['content-type'] === 'application/json') ? resolve(JSON.parse(responseBody)) : resolve(responseBody);
          } else {
-           if (response.headers['content-type'] === 'application/json') {
-             const errorResponse = JSON.parse(responseBody);
-             reject(new Error(`${errorResponse.status}: ${errorResponse.title}: ${errorResponse.detail}`));
-           } else {
-             reject(new Error(`${response.statusCode}: ${response.statusMessage}`));
-           };
+           reject(responseError(response, responseBody));
          }
        });
      });
      const signOptions = {
-       privateKey: utils.PRIVATE_KEY,
-       keyFingerprint: utils.KEY_FINGERPRINT,
-       tenancyId: utils.TENANCY_ID,
-       userId: utils.AUTH_USER_ID
+       privateKey: signingKey.privateKey,
+       keyId: signingKey.keyId
      };
      if (body) {
        signOptions.body = body;
@@ -59,89 +68,378 @@
      sign(request, signOptions);
      (body) ? request.end(body) : request.end();
      request.on('error', function (error) {
-       reject(new Error(error));
+       reject(networkError(error));
      });
    });
  }
  exports.promisifiedSendRequest = promisifiedSendRequest;
  
  /*
-  * Send request for ZIP data and then write response to the specified ZIP file
+  * Send HEAD request
+  *
+  * Returns the response headers
+  *
+  * Rejects with an errors.js HttpError for a non-2xx response, after the
+  * retries in httpClient.js
+  *
+  * @param options - request options. method should be HEAD.
+  * @param signer - the signer (see auth.js)
+  * @param settings - (optional) httpClient.js timeouts and retries
+  */
+ 
+ async function promisifiedGetHeaders (options, signer, settings) {
+   return httpClient.withRetries(async () => {
+     const signingKey = await signer.getSigningKey();
+     return new Promise((resolve, reject) => {
+       const request = httpClient.createRequest(options, settings, function (response) {
+         response.resume();
+         response.on('end', function () {
+           if (response.statusCode < 300) {
+             resolve(response.headers);
+           } else {
+             reject(responseError(response, ''));
+           }
+         });
+       });
+       sign(request, {
+         privateKey: signingKey.privateKey,
+         keyId: signingKey.keyId
+       });
+       request.end();
+       request.on('error', function (error) {
+         reject(networkError(error));
+       });
+     });
+   }, settings, true);
+ }
+ exports.promisifiedGetHeaders = promisifiedGetHeaders;
+ 
+ /*
+  * Create an errors.js HttpError for a non-2xx response
+  *
+  * @param response - the response
+  * @param responseBody - the response body as a string
+  */
+ 
+ function responseError (response, responseBody) {
+   const details = { opcRequestId: response.headers['opc-request-id'], retryAfter: response.headers['retry-after'], body: responseBody };
+   if (response.headers['content-type'] === 'application/json') {
+     try {
+       const errorResponse = JSON.parse(responseBody);
+       return new errors.HttpError(`${errorResponse.status}: ${errorResponse.title}: ${errorResponse.detail}`, response.statusCode, details);
+     } catch (err) {
+       // Not the usual error body
+     }
+   }
+   return new errors.HttpError(`${response.statusCode}: ${response.statusMessage}`, response.statusCode, details);
+ }
+ 
+ /*
+  * Create an error for a failed connection that keeps the error code,
+  * which httpClient.js uses to decide whether to retry
+  *
+  * @param error - the request or response error
+  */
+ 
+ function networkError (error) {
+   const wrapped = new Error(error.message);
+   wrapped.code = error.code;
+   return wrapped;
+ }
+ 
+ /*
+  * Send request for ZIP data and then stream the response to the specified ZIP file
+  *
+  * Writes to a temporary file (outFile.part) and renames it to outFile only
+  * after a 2xx response has been completely written and verified:
+  * the size must match content-length (or the content-range total) and, if the
+  * response has a content-md5 or opc-content-md5 header, the MD5 checksum must match.
   *
-  * Returns the content that was written to the ZIP file
+  * outFile.part.json records the request path and the response's etag and size.
+  * If a download is cut off, the partial file is kept, and the next attempt
+  * (see httpClient.js for the retries) or the next run for the same file
+  * asks for the rest with a Range header. If the server sends the whole file
+  * instead (200) or can't send the range (416), the file is downloaded again.
+  * The partial file is removed if verification fails.
   *
-  * Requires utils.js PRIVATE_KEY, KEY_FINGERPRINT, TENANCY_ID, AUTH_USER_ID
+  * Returns { path, size, sha256, resumedFrom } for the written file.
+  * resumedFrom is the size of the partial file that was resumed, or 0.
   *
   * @param options - request options
   * @param full path to output ZIP file
+  * @param onProgress - (optional) function (receivedBytes, totalBytes) that's called
+  *   as data arrives. totalBytes is undefined if the response has no content-length.
+  * @param signer - the signer (see auth.js)
+  * @param settings - (optional) httpClient.js timeouts and retries
   */
  
- function promisifiedWriteZipResponse (options, outFile) {
+ async function promisifiedWriteZipResponse (options, outFile, onProgress, signer, settings) {
+   return httpClient.withRetries(() => writeZipResponseOnce(options, outFile, onProgress, signer, settings), settings, true);
+ }
+ 
+ async function writeZipResponseOnce (options, outFile, onProgress, signer, settings) {
+   const signingKey = await signer.getSigningKey();
+   const tempFile = `${outFile}.part`;
+   const partial = getPartialDownload(tempFile, options.path);
+   const requestOptions = partial
+     ? Object.assign({}, options, { headers: Object.assign({}, options.headers, rangeHeaders(partial)) })
+     : options;
    return new Promise((resolve, reject) => {
-     const request = https.request(options, function (response) {
-       let responseBody = '';
-       const writableStream = fs.createWriteStream(outFile);
-       response.on('data', function (chunk) {
-         responseBody += chunk;
-         writableStream.write(chunk);
-       });
-       response.on('error', function (error) {
-         reject(new Error(error));
+     const fail = function (error, keepPartial) {
+       if (!keepPartial) {
+         removePartialDownload(tempFile);
+       }
+       reject(error);
+     };
+     const restart = function (response) {
+       response.resume();
+       removePartialDownload(tempFile);
+       writeZipResponseOnce(options, outFile, onProgress, signer, settings).then(resolve, reject);
+     };
+     const request = httpClient.createRequest(requestOptions, settings, async function (response) {
+       if (partial && response.statusCode === 416) {
+         // The partial file doesn't fit the server's file
+         restart(response);
+         return;
+       }
+       if (response.statusCode >= 300) {
+         // Don't write error responses to the ZIP file
+         let responseBody = '';
+         response.setEncoding('utf8');
+         response.on('data', function (chunk) {
+           responseBody += chunk;
+         });
+         response.on('end', function () {
+           reject(responseError(response, responseBody));
+         });
+         return;
+       }
+       let offset = 0;
+       let totalBytes;
+       const sha256 = crypto.createHash('sha256');
+       const md5 = crypto.createHash('md5');
+       if (partial && response.statusCode === 206) {
+         const range = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(response.headers['content-range'] || '');
+         if (!range || parseInt(range[1], 10) !== partial.size) {
+           restart(response);
+           return;
+         }
+         offset = partial.size;
+         totalBytes = parseInt(range[3], 10);
+         try {
+           // The checksums cover the whole file
+           await hashFile(tempFile, [sha256, md5]);
+         } catch (error) {
+           response.resume();
+           fail(error);
+           return;
+         }
+       } else {
+         // The whole file, because there's no partial file or the server ignored the range
+         totalBytes = parseInt(response.headers['content-length'], 10) || undefined;
+         try {
+           fs.writeFileSync(`${tempFile}.json`, JSON.stringify({
+             path: options.path,
+             etag: response.headers.etag,
+             lastModified: response.headers['last-modified'],
+             totalBytes
+           }));
+         } catch (error) {
+           response.resume();
+           fail(error);
+           return;
+         }
+       }
+       // content-md5 of a 206 response is the range's checksum
+       const expectedMd5 = (offset ? undefined : response.headers['content-md5']) || response.headers['opc-content-md5'];
+       let receivedBytes = offset;
+       const verifier = new stream.Transform({
+         transform (chunk, encoding, callback) {
+           sha256.update(chunk);
+           md5.update(chunk);
+           receivedBytes += chunk.length;
+           if (onProgress) {
+             onProgress(receivedBytes, totalBytes);
+           }
+           callback(null, chunk);
+         }
        });
-       response.on('end', function () {
-         writableStream.end();
-         if (response.statusCode < 300) {
-           (response.headers['content-type'] === 'application/json') ? resolve(JSON.parse(responseBody)) : resolve(responseBody);
-         } else {
-           if (response.headers['content-type'] === 'application/json') {
-             const errorResponse = JSON.parse(responseBody);
-             reject(new Error(`${errorResponse.status}: ${errorResponse.title}: ${errorResponse.detail}`));
-           } else {
-             reject(new Error(`${response.statusCode}: ${response.statusMessage}`));
-           };
+       // pipeline applies backpressure and destroys all the streams if one fails
+       stream.pipeline(response, verifier, fs.createWriteStream(tempFile, { flags: offset ? 'a' : 'w' }), function (error) {
+         if (error) {
+           // Keep what was written, so that the next attempt can resume
+           fail(Object.assign(new Error(`The download of ${outFile} failed: ${error.message}`), { code: error.code }), true);
+           return;
+         }
+         if (totalBytes !== undefined && receivedBytes !== totalBytes) {
+           fail(Object.assign(new Error(`The download of ${outFile} is incomplete. Received ${receivedBytes} of ${totalBytes} bytes.`), { retryable: true }),
+             receivedBytes < totalBytes);
+           return;
          }
+         if (expectedMd5 && md5.digest('base64') !== expectedMd5) {
+           fail(Object.assign(new Error(`The download of ${outFile} is corrupt. Its MD5 checksum doesn't match the server's checksum.`), { retryable: true }));
+           return;
+         }
+         fs.rename(tempFile, outFile, function (renameError) {
+           if (renameError) {
+             fail(renameError);
+           } else {
+             removePartialDownload(tempFile);
+             resolve({ path: outFile, size: receivedBytes, sha256: sha256.digest('hex'), resumedFrom: offset });
+           }
+         });
        });
      });
      const signOptions = {
-       privateKey: utils.PRIVATE_KEY,
-       keyFingerprint: utils.KEY_FINGERPRINT,
-       tenancyId: utils.TENANCY_ID,
-       userId: utils.AUTH_USER_ID
+       privateKey: signingKey.privateKey,
+       keyId: signingKey.keyId
      };
      sign(request, signOptions);
      request.end();
      request.on('error', function (error) {
-       reject(new Error(error));
+       fail(networkError(error), true);
      });
    });
  }
  exports.promisifiedWriteZipResponse = promisifiedWriteZipResponse;
  
+ /*
+  * Get the partial download in tempFile that can be resumed
+  *
+  * Returns { size, etag, lastModified }, or undefined if there's no partial
+  * file or tempFile.json shows that it's from a different request.
+  * Removes a partial file that can't be resumed.
+  *
+  * @param tempFile - the partial file (<ZIP file>.part)
+  * @param requestPath - the path of the download request
+  */
+ 
+ function getPartialDownload (tempFile, requestPath) {
+   try {
+     const info = JSON.parse(fs.readFileSync(`${tempFile}.json`, 'utf8'));
+     const size = fs.statSync(tempFile).size;
+     if (info.path === requestPath && size > 0 && (info.totalBytes === undefined || size < info.totalBytes)) {
+       return { size, etag: info.etag, lastModified: info.lastModified };
+     }
+   } catch (err) {
+     // No partial file, or no record of where it came from
+   }
+   removePartialDownload(tempFile);
+   return undefined;
+ }
+ 
+ /*
+  * Remove a partial download and its record
+  */
+ 
+ function removePartialDownload (tempFile) {
+   [tempFile, `${tempFile}.json`].forEach((file) => {
+     try {
+       fs.unlinkSync(file);
+     } catch (err) {
+       // It doesn't exist
+     }
+   });
+ }
+ 
+ /*
+  * Get the headers that ask for the rest of a partial download.
+  * If-Range makes the server send the whole file if it has changed.
+  */
+ 
+ function rangeHeaders (partial) {
+   const headers = { Range: `bytes=${partial.size}-` };
+   if (partial.etag || partial.lastModified) {
+     headers['If-Range'] = partial.etag || partial.lastModified;
+   }
+   return headers;
+ }
+ 
+ /*
+  * Add a file's content to hashes
+  */
+ 
+ function hashFile (file, hashes) {
+   return new Promise((resolve, reject) => {
+     fs.createReadStream(file)
+       .on('data', (chunk) => hashes.forEach((hash) => hash.update(chunk)))
+       .on('end', resolve)
+       .on('error', reject);
+   });
+ }
+ 
+ /*
+  * Send GET request and return the response as a stream
+  *
+  * Returns the response, which is a readable stream, if the status is 2xx.
+  * Rejects with an errors.js HttpError for any other status, after the retries
+  * in httpClient.js. Errors after the response has started aren't retried.
+  *
+  * @param options - request options
+  * @param signer - the signer (see auth.js)
+  * @param settings - (optional) httpClient.js timeouts and retries
+  */
+ 
+ async function promisifiedGetStream (options, signer, settings) {
+   return httpClient.withRetries(() => getStreamOnce(options, signer, settings), settings, true);
+ }
+ 
+ async function getStreamOnce (options, signer, settings) {
+   const signingKey = await signer.getSigningKey();
+   return new Promise((resolve, reject) => {
+     const request = httpClient.createRequest(options, settings, function (response) {
+       if (response.statusCode < 300) {
+         resolve(response);
+         return;
+       }
+       let responseBody = '';
+       response.setEncoding('utf8');
+       response.on('data', function (chunk) {
+         responseBody += chunk;
+       });
+       response.on('end', function () {
+         reject(responseError(response, responseBody));
+       });
+     });
+     sign(request, {
+       privateKey: signingKey.privateKey,
+       keyId: signingKey.keyId
+     });
+     request.end();
+     request.on('error', function (error) {
+       reject(networkError(error));
+     });
+   });
+ }
+ exports.promisifiedGetStream = promisifiedGetStream;
+ 
  /*
   * Sign request
   *
   * @param request
   * @param options
   *   privateKey
-  *   keyFingerprint
-  *   tenancyId
-  *   userId
+  *   keyId - <tenancy ID>/<user ID>/<key fingerprint> for an API key,
+  *     or ST$<security token> for a resource or instance principal
+  *   body - request body if POST, PUT, or PATCH
+  *   excludeBody - true to leave the body headers out of the signature, which Object
+  *     Storage requires for PutObject and UploadPart. The caller sets Content-Length.
   */
  
  function sign (request, options) {
-   const apiKeyId = `${options.tenancyId}/${options.userId}/${options.keyFingerprint}`;
    let headersToSign = [
      'host',
      'date',
      '(request-target)'
    ];
    const methodsThatRequireExtraHeaders = ['POST', 'PUT', 'PATCH'];
-   if (methodsThatRequireExtraHeaders.indexOf(request.method.toUpperCase()) !== -1) {
+   if (!options.excludeBody && methodsThatRequireExtraHeaders.indexOf(request.method.toUpperCase()) !== -1) {
      options.body = options.body || '';
      // eslint-disable-next-line new-cap
      const shaObj = new jsSHA('SHA-256', 'TEXT');
      shaObj.update(options.body);
-     request.setHeader('Content-Length', options.body.length);
+     // The length in bytes, not characters, for a body with non-ASCII text
+     request.setHeader('Content-Length', Buffer.byteLength(options.body));
      request.setHeader('x-content-sha256', shaObj.getHash('B64'));
      headersToSign = headersToSign.concat([
        'content-type',
@@ -151,10 +449,31 @@
    }
    httpSignature.sign(request, {
      key: options.privateKey,
-     keyId: apiKeyId,
+     keyId: options.keyId,
      headers: headersToSign
    });
    const newAuthHeaderValue = request.getHeader('Authorization').replace('Signature ', 'Signature version="1",');
    request.setHeader('Authorization', newAuthHeaderValue);
  }
- 
\ No newline at end of file
+ exports.sign = sign;
+ 
+ /*
+  * Get the signing string of a signed request: the signed headers, in the order
+  * of the Authorization header's headers parameter, as name: value lines.
+  * This is the text that the signature is computed over, for diagnosing 401 responses.
+  *
+  * @param request - the request, after sign()
+  */
+ 
+ function getSigningString (request) {
+   const match = /headers="([^"]*)"/.exec(request.getHeader('Authorization') || '');
+   if (!match) {
+     return '';
+   }
+   return match[1].split(' ').map(function (name) {
+     return (name === '(request-target)')
+       ? `(request-target): ${request.method.toLowerCase()} ${request.path}`
+       : `${name}: ${request.getHeader(name)}`;
+   }).join('\n');
+ }
+ exports.getSigningString = getSigningString;
@@ -0,0 +1,470 @@
+'use strict';
+/*
+ * odaInsightsClient.js
+ * Version 1.0.7
+ *
+ * Client for the ODA insights data export API, for use from other programs.
+ * Each client has its own domain and credentials, so one process can work
+ * with several ODA instances and tenancies at the same time.
+ *
+ *   const { OdaInsightsClient, NoDataError } = require('./lib/odaInsightsClient.js');
+ *   const client = new OdaInsightsClient({ domain, tenancyId, userId, fingerprint, privateKey });
+ *   const job = await client.startExport({ target: 'skill', id: '<skill ID>', beginDate: '2024-01-01' });
+ *   const task = await client.waitForExport(job.jobId);
+ *   const files = await client.downloadFiles(job.jobId, '/tmp/exports', { fileNames: task.filenames });
+ *
+ * The methods don't print anything unless the client has a log function, and they
+ * throw the errors in errors.js, which this module also exports, instead of exiting.
+ *
+ * Requests go to https://<domain> unless the client has a baseUrl, such as
+ * http://localhost:8080 for the mock server in mockServer.js.
+ */
+
+const attempt = require('@lifeomic/attempt');
+const ociUtils = require('./ociUtils.js');
+const utils = require('./utils.js');
+const auth = require('./auth.js');
+const ociConfig = require('./ociConfig.js');
+const progress = require('./progress.js');
+const objectStorage = require('./objectStorage.js');
+const errors = require('./errors.js');
+const httpClient = require('./httpClient.js');
+
+const DEFAULTS = {
+  // API info
+  basePath: '/api/v1',
+  // Max number of tries to check for export task completion
+  maxStatusRetries: 20,
+  // First and longest pause between status checks, in milliseconds
+  pollDelay: 200,
+  maxPollDelay: 60000,
+  // Active export task statuses
+  activeStatuses: ['SUBMITTED', 'IN_PROGRESS'],
+  // task type
+  taskType: 'EXPORT',
+  // task type that deletes the exported data from the instance after the export
+  purgeTaskType: 'EXPORT_AND_PURGE',
+  // Just export the essential data
+  data: 'essential',
+  // maximum number of rows per ZIP file
+  maxFileLength: '100000000',
+  // Default number of files to download at the same time
+  downloadConcurrency: 3,
+  // Number of export tasks to get per request when listing them
+  listPageSize: 100
+};
+
+// Query parameter that identifies the export target for each target type.
+// An instance export doesn't take an ID.
+const TARGET_QUERY_PARMS = {
+  skill: 'botId',
+  assistant: 'odaId',
+  instance: null
+};
+
+// Export target types
+const TARGETS = Object.keys(TARGET_QUERY_PARMS);
+exports.TARGETS = TARGETS;
+
+// Data to export: the essential insights data or all of it
+const DATA_TYPES = ['essential', 'full'];
+exports.DATA_TYPES = DATA_TYPES;
+
+// Statuses of export tasks that are still running
+exports.ACTIVE_STATUSES = DEFAULTS.activeStatuses;
+
+class OdaInsightsClient {
+  /*
+   * @param options
+   *   domain: the ODA instance domain. Optional if there's a baseUrl.
+   *   baseUrl: (optional) the API's scheme, host, port, and path prefix, such as
+   *     http://localhost:8080. Defaults to https://<domain>.
+   *   signer: (optional) a signer from auth.js. If it isn't given, one is created
+   *     for authType from the values below.
+   *   authType: (optional) api_key, instance_principal, or resource_principal. Defaults to api_key.
+   *   tenancyId, userId, fingerprint, privateKey: the API signing key, for api_key.
+   *     privateKey is the PEM key, which is decrypted with passphrase if it's encrypted.
+   *   metadataEndpoint, federationEndpoint: (optional) for instance_principal. See auth.js.
+   *   region: (optional) the OCI region, for uploads to Object Storage
+   *   maxStatusRetries: (optional) how many times waitForExport checks the status when
+   *     maxWait isn't given. Defaults to 20, which is about 15 minutes.
+   *   maxWait: (optional) how long waitForExport waits for a task to finish, in milliseconds
+   *   pollDelay, maxPollDelay: (optional) the first and longest pause between status checks,
+   *     in milliseconds. Default to 200 milliseconds and 60 seconds.
+   *   connectTimeout, readTimeout: (optional) request timeouts, in milliseconds.
+   *     Default to 10 and 60 seconds.
+   *   maxRetries: (optional) how many times a failed request or download is retried. Defaults to 4.
+   *     See httpClient.js for which failures are retried.
+   *   log: (optional) function (message) for progress messages
+   *   debug: (optional) function (message) for debug messages
+   *
+   * utils.readConfig() returns an object with the domain, baseUrl, signer, and region
+   * that can be passed as the options.
+   */
+  constructor (options) {
+    if (!options || (!options.domain && !options.baseUrl)) {
+      throw new Error('OdaInsightsClient requires the ODA instance domain.');
+    }
+    this.endpoint = utils.parseBaseUrl(options.baseUrl || `https://${options.domain}`);
+    this.origin = `${this.endpoint.protocol}//${this.endpoint.host}`;
+    this.domain = options.domain || this.endpoint.hostname;
+    this.maxStatusRetries = options.maxStatusRetries || DEFAULTS.maxStatusRetries;
+    this.maxWait = options.maxWait;
+    this.pollDelay = options.pollDelay || DEFAULTS.pollDelay;
+    this.maxPollDelay = options.maxPollDelay || DEFAULTS.maxPollDelay;
+    this.log = options.log || (() => {});
+    this.debug = options.debug || (() => {});
+    // Settings for httpClient.js
+    this.http = {
+      connectTimeout: options.connectTimeout,
+      readTimeout: options.readTimeout,
+      maxRetries: options.maxRetries,
+      onRetry: (error, retry, delay) => {
+        this.log(`A request failed (${error.message.replace(/\.$/, '')}). Retrying in ${Math.ceil(delay / 1000)} seconds (retry ${retry}).`);
+      }
+    };
+    this.signer = options.signer || createSigner(options, this.http);
+    this.region = options.region || this.signer.region;
+  }
+
+  /*
+   * Gets the request options for an API path, with the base URL's scheme, host, and port.
+   *
+   * @param apiPath - the path after /api/v1, such as /bots/insights/dataExports
+   * @param options - (optional) other request options, such as method and headers
+   */
+  createRequestOptions (apiPath, options) {
+    return Object.assign({
+      protocol: this.endpoint.protocol,
+      host: this.endpoint.hostname,
+      port: this.endpoint.port,
+      path: `${this.endpoint.pathPrefix}${DEFAULTS.basePath}${apiPath}`
+    }, options);
+  }
+
+  /*
+   * Starts an export task for the specified target with the specified name and date range.
+   *
+   * Returns the export task, which has jobId and status
+   *
+   * @param options
+   *   target: skill, assistant, or instance. Defaults to skill.
+   *   id: ID of the skill or digital assistant. Ignored for instance.
+   *   taskName: (optional) user-defined task name
+   *   beginDate: (optional) start date, YYYY-MM-DD, or UTC timestamp (see dateRange.js)
+   *   endDate: (optional) end date, YYYY-MM-DD, or UTC timestamp
+   *   purge: (optional) true to delete the exported data from the ODA instance
+   *     after the export (an EXPORT_AND_PURGE task). The data can't be recovered
+   *     except from the exported files. Default = false.
+   *   maxFileLength: (optional) the maximum number of rows per file. Default = 100000000.
+   *   data: (optional) essential (the default) or full, to export all the insights data
+   */
+  async startExport (options) {
+    const target = options.target || 'skill';
+    if (!(target in TARGET_QUERY_PARMS)) {
+      throw new Error(`The target ${target} must be one of: ${TARGETS.join(', ')}.`);
+    }
+    const data = options.data || DEFAULTS.data;
+    if (!DATA_TYPES.includes(data)) {
+      throw new Error(`The data ${data} must be one of: ${DATA_TYPES.join(', ')}.`);
+    }
+    const body = {
+      name: options.taskName,
+      taskType: options.purge ? DEFAULTS.purgeTaskType : DEFAULTS.taskType,
+      insightsDataExport: data === 'essential'
+    };
+    // Query parms: botId or odaId, maxFileLength, since, until
+    const queryParms = [];
+    if (TARGET_QUERY_PARMS[target]) {
+      queryParms.push(`${TARGET_QUERY_PARMS[target]}=${encodeURIComponent(options.id)}`);
+    }
+    queryParms.push(`maxFileLength=${encodeURIComponent(options.maxFileLength || DEFAULTS.maxFileLength)}`);
+    if (options.beginDate) queryParms.push(`since=${encodeURIComponent(options.beginDate)}`);
+    if (options.endDate) queryParms.push(`until=${encodeURIComponent(options.endDate)}`);
+    const requestOptions = this.createRequestOptions(`/bots/insights/dataExports?${queryParms.join('&')}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+    this.debug(`startExport: ${requestOptions.method} ${this.origin}${requestOptions.path}`);
+    this.debug(`Body: ${JSON.stringify(body)}`);
+    return ociUtils.promisifiedSendRequest(requestOptions, JSON.stringify(body), this.signer, this.http);
+  }
+
+  /*
+   * Gets an export task.
+   *
+   * Returns the export task, which has jobId, status, filenames (when it has
+   * succeeded), and error (when it has failed)
+   *
+   * @param jobId - the export job ID
+   */
+  async getExport (jobId) {
+    const requestOptions = this.createRequestOptions(`/bots/insights/dataExports/${encodeURIComponent(jobId)}`);
+    this.debug(`getExport: GET ${this.origin}${requestOptions.path}`);
+    return ociUtils.promisifiedSendRequest(requestOptions, undefined, this.signer, this.http);
+  }
+
+  /*
+   * Waits for an export task to finish.
+   *
+   * Uses exponential backoff with up to 60-second pause between status checks.
+   * (Oracle recommends that you implement an exponential back-off, starting from a few seconds to a
+   * maximum of 60 seconds.) With maxWait, the last status check is at maxWait.
+   *
+   * Returns the export task if it succeeded
+   *
+   * Throws ExportFailedError or NoDataError if it didn't, TimeoutError if it's
+   * still running after the last status check, and HttpError if a status check fails.
+   *
+   * @param jobId - the export job ID
+   * @param options - (optional) override the client's settings
+   *   maxAttempts: the number of status checks. Defaults to the client's maxStatusRetries,
+   *     or no limit if there's a maxWait.
+   *   maxWait: how long to wait, in milliseconds
+   *   pollDelay, maxPollDelay: the first and longest pause between status checks, in milliseconds
+   */
+  async waitForExport (jobId, options) {
+    const opts = options || {};
+    const maxWait = opts.maxWait || this.maxWait;
+    const deadline = maxWait ? Date.now() + maxWait : undefined;
+    let task;
+    const retryOptions = {
+      delay: opts.pollDelay || this.pollDelay,
+      factor: 3,
+      maxAttempts: opts.maxAttempts || (maxWait ? 0 : this.maxStatusRetries),
+      maxDelay: opts.maxPollDelay || this.maxPollDelay,
+      // Check right away, and don't pause past the deadline
+      calculateDelay (context, settings) {
+        if (context.attemptNum < 1) {
+          return 0;
+        }
+        const delay = attempt.defaultCalculateDelay(context, settings);
+        return deadline ? Math.max(Math.min(delay, deadline - Date.now()), 0) : delay;
+      },
+      handleError (err, context) {
+        if (!err.stillRunning) {
+          // Don't keep polling if the status request itself fails
+          context.abort();
+          return;
+        }
+        if (context.attemptsRemaining === 0 || (deadline && Date.now() >= deadline)) {
+          throw new errors.TimeoutError(`Export job ${jobId} is still running (${task.status}).`, task);
+        }
+      }
+    };
+    await attempt.retry(async () => {
+      task = await this.getExport(jobId);
+      this.debug(`waitForExport: ${task.status}`);
+      if (DEFAULTS.activeStatuses.includes(task.status.toUpperCase())) {
+        const err = new Error(task.status);
+        err.stillRunning = true;
+        throw err;
+      }
+    }, retryOptions);
+    switch (task.status.toUpperCase()) {
+      case 'EXPORT_SUCCEEDED':
+        return task;
+      case 'EXPORT_FAILED':
+        throw new errors.ExportFailedError(`Export job ${jobId} failed: ${task.error}`, task);
+      case 'NO_DATA':
+        throw new errors.NoDataError(`Export job ${jobId} didn't find any data to export.`, task);
+      default:
+        throw new errors.TimeoutError(`Export job ${jobId} has an unexpected status: ${task.status}.`, task);
+    }
+  }
+
+  /*
+   * Downloads the files of an export task that has succeeded to a directory,
+   * or uploads them to a bucket.
+   *
+   * Downloads the files, with up to concurrency downloads at a time,
+   * and logs the progress of each file and of the whole set.
+   * A download that fails partway is resumed from where it stopped, if the
+   * server supports Range requests, and so is a download that an earlier run
+   * left unfinished in outDir. An upload that fails partway is started again.
+   *
+   * Returns an array of { fileName, path, size, sha256 } for the downloaded files.
+   * For an upload, path is the object's URL and skipped is true if the object
+   * already existed.
+   *
+   * @param jobId - the export job ID
+   * @param outDir - full path to the output directory. For an upload, the
+   *   subdirectory to put in the object names, if any.
+   * @param options - (optional)
+   *   fileNames: names of the exported files. Defaults to the export task's files.
+   *   concurrency: maximum number of simultaneous downloads. Defaults to 3.
+   *   upload: { store, metadata } to upload the files to the store (see createStore)
+   *     instead of writing them to outDir. metadata is set on each object.
+   */
+  async downloadFiles (jobId, outDir, options) {
+    const opts = options || {};
+    const fileNames = opts.fileNames || (await this.getExport(jobId)).filenames || [];
+    const upload = opts.upload;
+    const downloadProgress = progress.createDownloadProgress(fileNames, this.log);
+    const files = await utils.mapWithConcurrency(fileNames, opts.concurrency || DEFAULTS.downloadConcurrency, async (fileName) => {
+      const requestOptions = this.createRequestOptions(`/bots/insights/dataExports/${encodeURIComponent(jobId)}/files/${encodeURIComponent(fileName)}`, {
+        encoding: null
+      });
+      this.debug(`downloadFiles: GET ${this.origin}${requestOptions.path}`);
+      if (upload) {
+        const objectName = upload.store.objectName(outDir, fileName);
+        this.log(`Uploading ${fileName} to ${upload.store.describe(objectName)}`);
+        const uploaded = await httpClient.withRetries(async () => {
+          const source = await ociUtils.promisifiedGetStream(requestOptions, this.signer, this.http);
+          return objectStorage.uploadStream(upload.store, objectName, source, upload.metadata, (received, total) => {
+            downloadProgress.update(fileName, received, total);
+          });
+        }, this.http, true);
+        if (uploaded.skipped) {
+          this.log(`${uploaded.url} already exists with the same size. Skipping it.`);
+          downloadProgress.update(fileName, uploaded.size, uploaded.size);
+        }
+        downloadProgress.done(fileName, uploaded.url);
+        return { fileName, path: uploaded.url, size: uploaded.size, sha256: uploaded.sha256, skipped: uploaded.skipped };
+      }
+      const outFile = `${outDir.trim()}/${fileName}`;
+      this.log(`Downloading ${outFile}`);
+      const written = await ociUtils.promisifiedWriteZipResponse(requestOptions, outFile, (received, total) => {
+        downloadProgress.update(fileName, received, total);
+      }, this.signer, this.http);
+      downloadProgress.done(fileName, outFile);
+      if (written.resumedFrom) {
+        this.log(`Resumed the download of ${outFile} after the first ${utils.formatBytes(written.resumedFrom)}.`);
+      }
+      this.debug(`downloadFiles: ${outFile} SHA-256 ${written.sha256}`);
+      return { fileName, path: outFile, size: written.size, sha256: written.sha256 };
+    });
+    downloadProgress.summary();
+    return files;
+  }
+
+  /*
+   * Lists the export tasks in the ODA instance, newest first.
+   *
+   * Returns an array of export tasks
+   *
+   * @param filters - (optional)
+   *   target, id: only the tasks that exported this skill or digital assistant
+   *     (sent as the botId or odaId query parameter, as for startExport)
+   *   statuses: only the tasks with one of these statuses
+   *   name: only the tasks whose name contains this text (case-insensitive)
+   */
+  async listExports (filters) {
+    const opts = filters || {};
+    const targetQueryParm = opts.id ? TARGET_QUERY_PARMS[opts.target || 'skill'] : null;
+    const statuses = (opts.statuses || []).map((taskStatus) => taskStatus.toUpperCase());
+    const name = (opts.name || '').toLowerCase();
+    const tasks = [];
+    let offset = 0;
+    for (;;) {
+      const queryParms = [`limit=${DEFAULTS.listPageSize}`, `offset=${offset}`];
+      if (targetQueryParm) {
+        queryParms.push(`${targetQueryParm}=${encodeURIComponent(opts.id)}`);
+      }
+      const requestOptions = this.createRequestOptions(`/bots/insights/dataExports?${queryParms.join('&')}`);
+      this.debug(`listExports: GET ${this.origin}${requestOptions.path}`);
+      const page = await ociUtils.promisifiedSendRequest(requestOptions, undefined, this.signer, this.http);
+      const items = page.items || [];
+      tasks.push(...items.filter((task) => {
+        return (!statuses.length || statuses.includes(`${task.status}`.toUpperCase())) &&
+          (!name || `${task.name || ''}`.toLowerCase().includes(name));
+      }));
+      if (!page.hasMore || !items.length) {
+        return tasks;
+      }
+      offset += items.length;
+    }
+  }
+
+  /*
+   * Gets the sizes of an export task's files without downloading them.
+   *
+   * Returns an array of { fileName, size }. size is undefined if the
+   * server didn't return it.
+   *
+   * @param jobId - the export job ID
+   * @param fileNames - the names of the exported files (the export task's filenames)
+   */
+  async getFileSizes (jobId, fileNames) {
+    return utils.mapWithConcurrency(fileNames || [], DEFAULTS.downloadConcurrency, async (fileName) => {
+      const requestOptions = this.createRequestOptions(`/bots/insights/dataExports/${encodeURIComponent(jobId)}/files/${encodeURIComponent(fileName)}`, {
+        method: 'HEAD'
+      });
+      this.debug(`getFileSizes: HEAD ${this.origin}${requestOptions.path}`);
+      const headers = await ociUtils.promisifiedGetHeaders(requestOptions, this.signer, this.http);
+      return { fileName, size: parseInt(headers['content-length'], 10) || undefined };
+    });
+  }
+
+  /*
+   * Deletes an export task and its files from the ODA instance.
+   *
+   * Throws an error if the task is still running, because the API can't
+   * delete it then.
+   *
+   * @param jobId - the export job ID
+   */
+  async deleteExport (jobId) {
+    const task = await this.getExport(jobId);
+    if (DEFAULTS.activeStatuses.includes(`${task.status}`.toUpperCase())) {
+      throw new Error(`Export job ${jobId} can't be deleted because it's still running (${task.status}).`);
+    }
+    const requestOptions = this.createRequestOptions(`/bots/insights/dataExports/${encodeURIComponent(jobId)}`, {
+      method: 'DELETE'
+    });
+    this.debug(`deleteExport: DELETE ${this.origin}${requestOptions.path}`);
+    await ociUtils.promisifiedSendRequest(requestOptions, undefined, this.signer, this.http);
+  }
+
+  /*
+   * Creates a store for uploading files to a bucket with downloadFiles.
+   * oci:// destinations use this client's signer and region.
+   *
+   * @param destination - oci://<bucket>/<prefix> or s3://<bucket>/<prefix> (see objectStorage.js)
+   * @param s3endpoint - (optional) the S3-compatible service URL, for an s3:// destination
+   */
+  createStore (destination, s3endpoint) {
+    return objectStorage.createStore(destination, { signer: this.signer, region: this.region, s3endpoint, http: this.http });
+  }
+}
+exports.OdaInsightsClient = OdaInsightsClient;
+
+/*
+ * Creates the signer for the client options that don't include one.
+ *
+ * @param options - the client options
+ * @param settings - the client's httpClient.js settings, for the instance principal's requests
+ */
+function createSigner (options, settings) {
+  switch (options.authType || 'api_key') {
+    case 'api_key': {
+      const missing = ['tenancyId', 'userId', 'fingerprint', 'privateKey'].filter((name) => !options[name]);
+      if (missing.length) {
+        throw new Error(`OdaInsightsClient requires these API key values: ${missing.join(', ')}.`);
+      }
+      return auth.createApiKeySigner({
+        tenancyId: options.tenancyId,
+        userId: options.userId,
+        fingerprint: options.fingerprint,
+        privateKey: ociConfig.decryptPrivateKey(options.privateKey, options.passphrase)
+      });
+    }
+    case 'resource_principal':
+      return auth.createResourcePrincipalSigner();
+    case 'instance_principal':
+      return auth.createInstancePrincipalSigner({
+        metadataEndpoint: options.metadataEndpoint,
+        federationEndpoint: options.federationEndpoint,
+        region: options.region,
+        http: settings
+      });
+    default:
+      throw new Error(`The authentication type ${options.authType} must be one of: ${auth.AUTH_TYPES.join(', ')}.`);
+  }
+}
+
+Object.keys(errors).forEach((name) => {
+  exports[name] = errors[name];
+});
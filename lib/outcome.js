@@ -0,0 +1,196 @@
+'use strict';
+/*
+ * outcome.js
+ * Version 1.0.4
+ *
+ * The outcome of a command: its exit code and, for --output json,
+ * the result document that's printed instead of the progress messages.
+ *
+ * Exit codes:
+ *   0  SUCCESS            the command finished. For an export, every job succeeded
+ *                         (or the target was already up to date).
+ *   1  ERROR              an unexpected error, such as a network error or a failed download,
+ *                         or a job that ended with ERROR
+ *   2  INVALID_ARGUMENTS  an argument is invalid or missing, or the config file can't be read,
+ *                         doesn't have the profile, or has no domain
+ *   3  NO_DATA            no job found any data to export
+ *   4  EXPORT_FAILED      a job ended with EXPORT_FAILED
+ *   5  TIMED_OUT          a job was still running after the last status check
+ *   6  AUTH_ERROR         the private key or other credentials can't be loaded, or the server
+ *                         rejected them (401 or 403)
+ *
+ * When an export has several jobs, the first of these that applies is the outcome:
+ * ERROR, EXPORT_FAILED, TIMED_OUT, NO_DATA (only if no job exported data), SUCCESS.
+ * A batch's outcome is the first of its instances' outcomes in this order: AUTH_ERROR,
+ * INVALID_ARGUMENTS, ERROR, EXPORT_FAILED, TIMED_OUT, NO_DATA (only if no instance
+ * exported data), SUCCESS.
+ *
+ * The result document:
+ * {
+ *   "command": "export" | "status" | "download" | ...,
+ *   "outcome": "SUCCESS" | "NO_DATA" | ...,
+ *   "exitCode": 0,
+ *   "startedAt": "<ISO timestamp>",
+ *   "finishedAt": "<ISO timestamp>",
+ *   "durationSeconds": 12.3,
+ *   "jobs": [{ "jobId", "target", "id", "beginDate", "endDate", "status", "startedAt", "finishedAt",
+ *              "durationSeconds", "files": [{ "fileName", "path", "size", "sha256" }], "error" }],
+ *   "instances": [{ "name", "domain", "outcome", "error" }],   (batch only; jobs also have instance and export)
+ *   "checks": [{ "name", "status", "message", "hint", "signingString" }],   (doctor only)
+ *   "error": { "type", "message", "statusCode", "opcRequestId", "jobId", "problems" }   (if the command failed)
+ * }
+ */
+
+const errors = require('./errors.js');
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  INVALID_ARGUMENTS: 2,
+  NO_DATA: 3,
+  EXPORT_FAILED: 4,
+  TIMED_OUT: 5,
+  AUTH_ERROR: 6
+};
+exports.EXIT_CODES = EXIT_CODES;
+
+// Values of the output argument
+const OUTPUT_FORMATS = ['text', 'json'];
+exports.OUTPUT_FORMATS = OUTPUT_FORMATS;
+
+// Job statuses that mean that the job is done without a problem
+const SUCCESS_STATUSES = ['EXPORT_SUCCEEDED', 'UP_TO_DATE'];
+
+// Outcomes that decide the outcome of several instances, the first first
+const COMBINED_OUTCOMES = ['AUTH_ERROR', 'INVALID_ARGUMENTS', 'ERROR', 'EXPORT_FAILED', 'TIMED_OUT'];
+
+/*
+ * Gets the outcome of a set of export jobs from their statuses.
+ *
+ * Returns the name of the outcome, which is a key of EXIT_CODES
+ *
+ * @param jobs - the jobs, such as the jobs from exportData(). Each has a status.
+ */
+function getJobsOutcome (jobs) {
+  const statuses = jobs.map((job) => `${job.status}`.toUpperCase());
+  if (statuses.includes('ERROR')) {
+    return 'ERROR';
+  }
+  if (statuses.includes('EXPORT_FAILED')) {
+    return 'EXPORT_FAILED';
+  }
+  if (statuses.some((status) => !SUCCESS_STATUSES.includes(status) && status !== 'NO_DATA')) {
+    return 'TIMED_OUT';
+  }
+  if (statuses.includes('NO_DATA') && !statuses.some((status) => SUCCESS_STATUSES.includes(status))) {
+    return 'NO_DATA';
+  }
+  return 'SUCCESS';
+}
+exports.getJobsOutcome = getJobsOutcome;
+
+/*
+ * Combines outcomes, such as the outcomes of a batch's instances, into one.
+ *
+ * Returns the name of the outcome, which is a key of EXIT_CODES
+ *
+ * @param outcomes - the names of the outcomes
+ */
+function combineOutcomes (outcomes) {
+  const first = COMBINED_OUTCOMES.find((name) => outcomes.includes(name));
+  if (first) {
+    return first;
+  }
+  if (outcomes.length && outcomes.every((name) => name === 'NO_DATA')) {
+    return 'NO_DATA';
+  }
+  return 'SUCCESS';
+}
+exports.combineOutcomes = combineOutcomes;
+
+/*
+ * Gets the outcome of a command that failed.
+ *
+ * Returns the name of the outcome, which is a key of EXIT_CODES
+ */
+function getErrorOutcome (error) {
+  if (error instanceof errors.InvalidArgumentsError) {
+    return 'INVALID_ARGUMENTS';
+  }
+  if (error instanceof errors.AuthError || (error instanceof errors.HttpError && [401, 403].includes(error.statusCode))) {
+    return 'AUTH_ERROR';
+  }
+  if (error instanceof errors.ExportFailedError) {
+    return 'EXPORT_FAILED';
+  }
+  if (error instanceof errors.NoDataError) {
+    return 'NO_DATA';
+  }
+  if (error instanceof errors.TimeoutError) {
+    return 'TIMED_OUT';
+  }
+  return 'ERROR';
+}
+exports.getErrorOutcome = getErrorOutcome;
+
+/*
+ * Gets the seconds between two ISO timestamps, to the nearest tenth.
+ */
+function getDuration (startedAt, finishedAt) {
+  return Math.round((Date.parse(finishedAt) - Date.parse(startedAt)) / 100) / 10;
+}
+exports.getDuration = getDuration;
+
+/*
+ * Describes an error for the result document.
+ */
+function describeError (error) {
+  if (!(error instanceof Error)) {
+    return { type: 'Error', message: `${error}` };
+  }
+  return {
+    type: error.name,
+    message: error.message,
+    statusCode: error.statusCode,
+    opcRequestId: error.opcRequestId,
+    jobId: error.jobId,
+    problems: error.problems
+  };
+}
+
+/*
+ * Creates the result document of a command.
+ *
+ * @param command - the command that ran
+ * @param startedAt - when the command started, as an ISO timestamp
+ * @param result - (optional) what the command returned: { jobs, instances, checks }, and
+ *   outcome for a command whose outcome doesn't come from its jobs alone, such as batch
+ * @param error - (optional) the error, if the command failed
+ */
+function createResult (command, startedAt, result, error) {
+  const finishedAt = new Date().toISOString();
+  const jobs = ((result && result.jobs) || []).map((job) => Object.assign({}, job, {
+    durationSeconds: (job.startedAt && job.finishedAt) ? getDuration(job.startedAt, job.finishedAt) : undefined
+  }));
+  const outcome = error ? getErrorOutcome(error) : ((result && result.outcome) || getJobsOutcome(jobs));
+  const document = {
+    command,
+    outcome,
+    exitCode: EXIT_CODES[outcome],
+    startedAt,
+    finishedAt,
+    durationSeconds: getDuration(startedAt, finishedAt),
+    jobs
+  };
+  if (result && result.instances) {
+    document.instances = result.instances;
+  }
+  if (result && result.checks) {
+    document.checks = result.checks;
+  }
+  if (error) {
+    document.error = describeError(error);
+  }
+  return document;
+}
+exports.createResult = createResult;
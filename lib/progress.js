@@ -0,0 +1,98 @@
+'use strict';
+/*
+ * progress.js
+ * Version 1.0.0
+ *
+ * Reports download progress for a set of exported files, per file and
+ * in total, and prints a summary when the downloads are done.
+ *
+ */
+
+const utils = require('./utils.js');
+
+// Minimum time between progress lines for the same file
+const REPORT_INTERVAL = 1000;
+
+/*
+ * Formats received bytes as "received / total (percent)", or just
+ * "received" when the total isn't known.
+ */
+function formatAmount (received, total) {
+  if (!total) {
+    return utils.formatBytes(received);
+  }
+  const percent = Math.floor((received / total) * 100);
+  return `${utils.formatBytes(received)} / ${utils.formatBytes(total)} (${percent}%)`;
+}
+
+/*
+ * Creates a progress tracker for the downloads of the specified files.
+ *
+ * Returns an object with these methods
+ *   update(fileName, received, total): record the bytes received so far
+ *     and the expected size from content-length (undefined if unknown)
+ *   done(fileName, path): mark the file as completely downloaded
+ *   summary(): print the downloaded files and their sizes
+ *
+ * @param fileNames - names of all the files that will be downloaded
+ * @param log - (optional) function that prints a line. Default = console.log
+ */
+function createDownloadProgress (fileNames, log) {
+  const print = log || console.log;
+  const files = {};
+  fileNames.forEach((fileName) => {
+    files[fileName] = { received: 0, total: undefined, lastReport: 0, path: undefined, done: false };
+  });
+
+  const totals = () => {
+    let received = 0;
+    let total = 0;
+    let allKnown = true;
+    fileNames.forEach((fileName) => {
+      received += files[fileName].received;
+      if (files[fileName].total) {
+        total += files[fileName].total;
+      } else if (!files[fileName].done) {
+        allKnown = false;
+      }
+    });
+    return { received, total: allKnown ? total : undefined };
+  };
+
+  const report = (fileName) => {
+    const file = files[fileName];
+    const all = totals();
+    const finished = fileNames.filter((name) => files[name].done).length;
+    print(`  ${fileName}: ${formatAmount(file.received, file.total)}` +
+      ` | total: ${formatAmount(all.received, all.total)}, ${finished} of ${fileNames.length} files done`);
+    file.lastReport = Date.now();
+  };
+
+  return {
+    update (fileName, received, total) {
+      const file = files[fileName];
+      file.received = received;
+      file.total = total;
+      if (Date.now() - file.lastReport >= REPORT_INTERVAL) {
+        report(fileName);
+      }
+    },
+    done (fileName, path) {
+      const file = files[fileName];
+      file.done = true;
+      file.path = path;
+      if (!file.total) {
+        file.total = file.received;
+      }
+      report(fileName);
+    },
+    summary () {
+      const all = totals();
+      print(`Downloaded ${fileNames.length} file(s), ${utils.formatBytes(all.received)} in total:`);
+      fileNames.forEach((fileName) => {
+        print(`  ${files[fileName].path || fileName}  ${utils.formatBytes(files[fileName].received)}`);
+      });
+    }
+  };
+}
+exports.createDownloadProgress = createDownloadProgress;
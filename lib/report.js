@@ -0,0 +1,406 @@
+'use strict';
+/*
+ * report.js
+ * Version 1.0.0
+ *
+ * Summarizes the insights data in exported ZIP files, and writes the summary as
+ * <targetId>_<beginDate>_<endDate>_report.html and <targetId>_<beginDate>_<endDate>_report.md
+ * in the directory that the ZIP files are in. The report has:
+ *
+ *   - the number of conversations, and how many were completed, incomplete, or escalated
+ *   - the top intents and the top unresolved utterances
+ *   - the conversations in each channel
+ *   - the conversations on each day
+ *
+ * The columns are found by name (see COLUMNS) in every table, so a conversation's
+ * channel can come from one table and its outcome from another. A section whose
+ * columns aren't in the exported data is left out of the report.
+ *
+ */
+
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const csv = require('./csv.js');
+const extract = require('./extract.js');
+
+// The names that each column can have, in order of preference
+const COLUMNS = {
+  conversation: ['CONVERSATION_ID', 'SESSION_ID'],
+  channel: ['CHANNEL', 'CHANNEL_NAME', 'CHANNEL_TYPE', 'CHANNEL_ID'],
+  time: ['CREATED_ON', 'CREATED_AT', 'START_TIME', 'CONVERSATION_START_TIME', 'TIMESTAMP', 'EVENT_TIME'],
+  outcome: ['OUTCOME', 'CONVERSATION_OUTCOME', 'CONVERSATION_STATUS', 'COMPLETION_STATUS', 'STATUS'],
+  escalated: ['ESCALATED', 'IS_ESCALATED', 'AGENT_TRANSFER', 'TRANSFERRED_TO_AGENT'],
+  intent: ['INTENT', 'INTENT_NAME', 'RESOLVED_INTENT', 'TOP_INTENT'],
+  utterance: ['UTTERANCE', 'USER_UTTERANCE', 'USER_INPUT', 'USER_MESSAGE', 'TEXT', 'MESSAGE_TEXT'],
+  direction: ['DIRECTION', 'MESSAGE_DIRECTION']
+};
+
+// Intent values that mean the utterance wasn't resolved to an intent
+const UNRESOLVED_INTENTS = ['', 'UNRESOLVEDINTENT', 'UNRESOLVED', 'NONE'];
+
+// Default number of intents and utterances in the top lists
+const DEFAULT_TOP = 10;
+
+/*
+ * Gets the index of each column in COLUMNS from a table's header row.
+ *
+ * Returns an object with the index of each column that the table has
+ */
+function getColumnIndexes (header) {
+  const names = header.map((name) => `${name}`.trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_'));
+  const indexes = {};
+  Object.keys(COLUMNS).forEach((column) => {
+    const alias = COLUMNS[column].find((name) => names.includes(name));
+    if (alias) {
+      indexes[column] = names.indexOf(alias);
+    }
+  });
+  return indexes;
+}
+
+/*
+ * Gets what a conversation's outcome value means: completed, incomplete, or escalated.
+ * Returns undefined for an empty value.
+ */
+function classifyOutcome (value) {
+  const text = `${value}`.trim().toUpperCase();
+  if (!text.length) {
+    return undefined;
+  }
+  if (/ESCALAT|AGENT|TRANSFER/.test(text)) {
+    return 'escalated';
+  }
+  if (/^COMPLETED?$|^SUCCE|^RESOLVED$/.test(text)) {
+    return 'completed';
+  }
+  return 'incomplete';
+}
+
+/*
+ * Gets the date (YYYY-MM-DD) of a timestamp value, or undefined if it isn't one.
+ */
+function getDay (value) {
+  const text = `${value}`.trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    return text.substring(0, 10);
+  }
+  const time = Date.parse(text);
+  return isNaN(time) ? undefined : new Date(time).toISOString().substring(0, 10);
+}
+
+/*
+ * Adds one to a count in a Map.
+ */
+function increment (counts, key) {
+  counts.set(key, (counts.get(key) || 0) + 1);
+}
+
+/*
+ * Returns the top entries of a Map of counts as [key, count] pairs,
+ * largest count first, then by key.
+ */
+function topEntries (counts, top) {
+  return Array.from(counts.entries())
+    .sort((a, b) => (b[1] - a[1]) || `${a[0]}`.localeCompare(`${b[0]}`))
+    .slice(0, top);
+}
+
+/*
+ * Reads the insights tables in the exported ZIP files and computes the report's metrics.
+ *
+ * Returns { conversations, outcomes, channels, days, intents, unresolved, unresolvedTotal, columns, tables }
+ * where outcomes has the completed, incomplete, escalated, and unknown counts,
+ * channels, intents, and unresolved are [name, count] pairs, unresolvedTotal is the
+ * number of unresolved utterances, days has
+ * { day, conversations, completed, incomplete, escalated } for each day in order,
+ * columns lists the COLUMNS that were found, and tables has the row count of each table.
+ *
+ * @param zipFiles - full paths to the exported ZIP files
+ * @param top - the number of intents and utterances in the top lists
+ */
+async function summarize (zipFiles, top) {
+  // conversation ID => { day, channel, outcome }
+  const conversations = new Map();
+  const intents = new Map();
+  const unresolved = new Map();
+  const found = new Set();
+  const tables = {};
+
+  const readEntry = async (entryName, readStream) => {
+    const tableName = extract.getTableName(entryName);
+    const rows = new csv.CsvParser();
+    // pipeline passes read errors on to the parser, which ends the loop below
+    stream.pipeline(readStream, rows, () => {});
+    let columns;
+    for await (const row of rows) {
+      if (!columns) {
+        columns = getColumnIndexes(row);
+        Object.keys(columns).forEach((column) => found.add(column));
+        tables[tableName] = tables[tableName] || 0;
+        continue;
+      }
+      tables[tableName]++;
+      const value = (column) => ((columns[column] === undefined || row[columns[column]] === undefined)
+        ? '' : `${row[columns[column]]}`.trim());
+      const conversationId = value('conversation');
+      if (conversationId.length) {
+        const conversation = conversations.get(conversationId) || {};
+        const day = value('time').length ? getDay(value('time')) : undefined;
+        if (day && (!conversation.day || day < conversation.day)) {
+          conversation.day = day;
+        }
+        conversation.channel = conversation.channel || value('channel') || undefined;
+        const outcome = /^(TRUE|Y|YES|1)$/i.test(value('escalated')) ? 'escalated' : classifyOutcome(value('outcome'));
+        if (outcome && conversation.outcome !== 'escalated') {
+          conversation.outcome = (outcome === 'escalated' || !conversation.outcome) ? outcome : conversation.outcome;
+        }
+        conversations.set(conversationId, conversation);
+      }
+      // The intents are counted for the user's messages, if the table says who sent each one
+      if (columns.intent === undefined ||
+        (columns.direction !== undefined && !/^(IN|INBOUND|INCOMING|USER|CUSTOMER)$/i.test(value('direction')))) {
+        continue;
+      }
+      const intent = value('intent');
+      if (!UNRESOLVED_INTENTS.includes(intent.toUpperCase())) {
+        increment(intents, intent);
+      } else if (value('utterance').length) {
+        increment(unresolved, value('utterance'));
+      }
+    }
+  };
+
+  for (const zipFile of zipFiles) {
+    await extract.forEachCsvEntry(zipFile, readEntry);
+  }
+
+  const outcomes = { completed: 0, incomplete: 0, escalated: 0, unknown: 0 };
+  const channels = new Map();
+  const days = new Map();
+  conversations.forEach((conversation) => {
+    const outcome = conversation.outcome || 'unknown';
+    outcomes[outcome]++;
+    increment(channels, conversation.channel || '(none)');
+    if (conversation.day) {
+      const day = days.get(conversation.day) || { day: conversation.day, conversations: 0, completed: 0, incomplete: 0, escalated: 0 };
+      day.conversations++;
+      if (outcome !== 'unknown') {
+        day[outcome]++;
+      }
+      days.set(conversation.day, day);
+    }
+  });
+  return {
+    conversations: conversations.size,
+    outcomes,
+    channels: topEntries(channels, channels.size),
+    days: Array.from(days.keys()).sort().map((day) => days.get(day)),
+    intents: topEntries(intents, top),
+    unresolved: topEntries(unresolved, top),
+    unresolvedTotal: Array.from(unresolved.values()).reduce((sum, count) => sum + count, 0),
+    columns: Array.from(found),
+    tables
+  };
+}
+exports.summarize = summarize;
+
+/*
+ * Formats a count as a percentage of a total, such as 42.5%.
+ */
+function percent (count, total) {
+  return total ? `${(count * 100 / total).toFixed(1)}%` : '-';
+}
+
+/*
+ * Gets the report's sections from the summary: an array of { title, note, headers, rows, trend },
+ * where each row is an array of cells, and trend is true for the day-by-day table.
+ */
+function getSections (summary) {
+  const total = summary.conversations;
+  const has = (column) => summary.columns.includes(column);
+  const sections = [];
+  if (has('conversation')) {
+    const outcomes = summary.outcomes;
+    const hasOutcomes = has('outcome') || has('escalated');
+    const rows = [['Conversations', total, '']];
+    if (hasOutcomes) {
+      rows.push(['Completed', outcomes.completed, percent(outcomes.completed, total)],
+        ['Incomplete', outcomes.incomplete, percent(outcomes.incomplete, total)],
+        ['Escalated', outcomes.escalated, percent(outcomes.escalated, total)]);
+      if (outcomes.unknown) {
+        rows.push(['No outcome', outcomes.unknown, percent(outcomes.unknown, total)]);
+      }
+    }
+    sections.push({
+      title: 'Conversations',
+      note: hasOutcomes ? '' : 'The exported data doesn\'t have the conversations\' outcomes.',
+      headers: ['', 'Count', 'Share'],
+      rows
+    });
+  }
+  if (has('intent')) {
+    const resolved = summary.intents.reduce((sum, entry) => sum + entry[1], 0);
+    sections.push({
+      title: 'Top intents',
+      note: summary.intents.length ? '' : 'No utterances were resolved to an intent.',
+      headers: ['Intent', 'Utterances', 'Share'],
+      rows: summary.intents.map((entry) => [entry[0], entry[1], percent(entry[1], resolved + summary.unresolvedTotal)])
+    });
+    if (has('utterance')) {
+      sections.push({
+        title: 'Top unresolved utterances',
+        note: summary.unresolvedTotal ? `${summary.unresolvedTotal} utterance(s) weren't resolved to an intent.` : 'All the utterances were resolved to an intent.',
+        headers: ['Utterance', 'Count'],
+        rows: summary.unresolved.map((entry) => [entry[0], entry[1]])
+      });
+    }
+  }
+  if (has('conversation') && has('channel')) {
+    sections.push({
+      title: 'Channels',
+      note: '',
+      headers: ['Channel', 'Conversations', 'Share'],
+      rows: summary.channels.map((entry) => [entry[0], entry[1], percent(entry[1], total)])
+    });
+  }
+  if (has('conversation') && has('time')) {
+    sections.push({
+      title: 'Conversations by day',
+      note: '',
+      headers: ['Date', 'Conversations', 'Completed', 'Incomplete', 'Escalated'],
+      rows: summary.days.map((day) => [day.day, day.conversations, day.completed, day.incomplete, day.escalated]),
+      trend: true
+    });
+  }
+  return sections;
+}
+
+/*
+ * Describes the export for the report's title and heading lines.
+ */
+function describeExport (options) {
+  const target = (options.target === 'instance' || !options.targetId)
+    ? 'the instance' : `${options.target || 'target'} ${options.targetId}`;
+  return {
+    title: `Insights report for ${target}`,
+    range: `${options.beginDate || 'earliest'} to ${options.endDate || 'latest'}`
+  };
+}
+
+/*
+ * Renders the report as Markdown.
+ */
+function renderMarkdown (summary, sections, options) {
+  const cell = (value) => `${value}`.replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+  const heading = describeExport(options);
+  const lines = [`# ${heading.title}`, '', `Date range: ${heading.range}  `];
+  if (options.jobId) {
+    lines.push(`Export job: ${options.jobId}  `);
+  }
+  lines.push(`Files: ${options.sources.join(', ')}`, '');
+  if (!sections.length) {
+    lines.push('The exported data doesn\'t have any of the columns that the report summarizes.', '');
+  }
+  sections.forEach((section) => {
+    lines.push(`## ${section.title}`, '');
+    if (section.note) {
+      lines.push(section.note, '');
+    }
+    if (section.rows.length) {
+      lines.push(`| ${section.headers.map(cell).join(' | ')} |`);
+      lines.push(`|${section.headers.map((header, i) => (i ? ' ---: |' : ' --- |')).join('')}`);
+      section.rows.forEach((row) => lines.push(`| ${row.map(cell).join(' | ')} |`));
+      lines.push('');
+    }
+  });
+  return lines.join('\n');
+}
+
+/*
+ * Escapes text for HTML.
+ */
+function escapeHtml (value) {
+  return `${value}`.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/*
+ * Renders the report as a self-contained HTML page. The day-by-day table has a bar for
+ * each day's conversations.
+ */
+function renderHtml (summary, sections, options) {
+  const heading = describeExport(options);
+  const lines = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(heading.title)}</title>`,
+    '<style>',
+    'body { font-family: sans-serif; margin: 2em; color: #222; }',
+    'table { border-collapse: collapse; margin-bottom: 1.5em; }',
+    'th, td { border: 1px solid #ccc; padding: 4px 10px; text-align: right; }',
+    'th:first-child, td:first-child { text-align: left; }',
+    '.bar { background: #4a7ebb; height: 10px; }',
+    '.meta { color: #666; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    `<h1>${escapeHtml(heading.title)}</h1>`,
+    `<p class="meta">Date range: ${escapeHtml(heading.range)}<br>`,
+    options.jobId ? `Export job: ${escapeHtml(options.jobId)}<br>` : '',
+    `Files: ${escapeHtml(options.sources.join(', '))}</p>`
+  ].filter((line) => line.length);
+  if (!sections.length) {
+    lines.push('<p>The exported data doesn\'t have any of the columns that the report summarizes.</p>');
+  }
+  sections.forEach((section) => {
+    lines.push(`<h2>${escapeHtml(section.title)}</h2>`);
+    if (section.note) {
+      lines.push(`<p>${escapeHtml(section.note)}</p>`);
+    }
+    if (!section.rows.length) {
+      return;
+    }
+    const most = section.trend ? Math.max.apply(null, section.rows.map((row) => row[1])) : 0;
+    lines.push('<table>');
+    lines.push(`<tr>${section.headers.map((header) => `<th>${escapeHtml(header)}</th>`).join('')}${section.trend ? '<th></th>' : ''}</tr>`);
+    section.rows.forEach((row) => {
+      const bar = section.trend ? `<td><div class="bar" style="width: ${most ? Math.round(row[1] * 200 / most) : 0}px"></div></td>` : '';
+      lines.push(`<tr>${row.map((value) => `<td>${escapeHtml(value)}</td>`).join('')}${bar}</tr>`);
+    });
+    lines.push('</table>');
+  });
+  lines.push('</body>', '</html>', '');
+  return lines.join('\n');
+}
+
+/*
+ * Summarizes the insights data in the exported ZIP files and writes the HTML
+ * and Markdown reports to the directory that the ZIP files are in.
+ *
+ * Returns { html, markdown, summary }: the full paths to the report files, and the
+ * summary from summarize()
+ *
+ * @param zipFiles - full paths to the exported ZIP files
+ * @param outDir - the directory that the ZIP files are in
+ * @param options
+ *   target: skill, assistant, or instance
+ *   targetId: ID of the skill or digital assistant. Ignored for an instance export.
+ *   beginDate: begin date of the exported data, if any
+ *   endDate: end date of the exported data, if any
+ *   jobId: the export job ID
+ *   top: (optional) the number of intents and utterances in the top lists. Default = 10.
+ */
+async function createReport (zipFiles, outDir, options) {
+  const summary = await summarize(zipFiles, options.top || DEFAULT_TOP);
+  const sections = getSections(summary);
+  const renderOptions = Object.assign({}, options, { sources: zipFiles.map((zipFile) => path.basename(zipFile)) });
+  const prefix = extract.getFilePrefix(options);
+  const html = path.join(outDir, `${prefix}_report.html`);
+  const markdown = path.join(outDir, `${prefix}_report.md`);
+  fs.writeFileSync(html, renderHtml(summary, sections, renderOptions));
+  fs.writeFileSync(markdown, renderMarkdown(summary, sections, renderOptions));
+  return { html, markdown, summary };
+}
+exports.createReport = createReport;
@@ -0,0 +1,188 @@
+'use strict';
+/*
+ * runProfile.js
+ * Version 1.0.2
+ *
+ * Gets the script arguments that weren't passed on the command line
+ * (or in the function payload) from environment variables and a run profile,
+ * so that scheduled jobs can be defined without prompts.
+ *
+ * The precedence is: command line > environment > run profile > defaults.
+ *
+ * Environment variables are named ODAEXPORT_<ARGUMENT>, with - replaced by _,
+ * such as ODAEXPORT_OUTPATH and ODAEXPORT_NON_INTERACTIVE.
+ *
+ * The run profile is a YAML or JSON file whose keys are argument names:
+ *
+ *   target: skill
+ *   id: [<skill ID 1>, <skill ID 2>]
+ *   outpath: ~/exports
+ *   configpath: ~/.oci/config
+ *   incremental: true
+ *   non-interactive: true
+ *
+ * The targets key sets the export settings (rowsperfile, data, maxwait, polldelay,
+ * and maxpolldelay) for particular skills or digital assistants, by ID, or for
+ * the instance. They override the other values of those arguments for that target:
+ *
+ *   maxwait: 30m
+ *   targets:
+ *     <skill ID 1>:
+ *       rowsperfile: 1000000
+ *       maxwait: 4h
+ *       maxpolldelay: 5m
+ *     instance:
+ *       data: full
+ *
+ * A file whose name ends with .json is read as JSON. Other files are read as YAML,
+ * which includes JSON. YAML dates such as 2024-01-31 are read as text.
+ */
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+// The run profile key for the per-target export settings
+const TARGETS_KEY = 'targets';
+exports.TARGETS_KEY = TARGETS_KEY;
+
+/*
+ * Gets the environment variable name for an argument.
+ */
+function envName (name) {
+  return `ODAEXPORT_${name.toUpperCase().replace(/-/g, '_')}`;
+}
+exports.envName = envName;
+
+/*
+ * Converts a string, such as an environment variable, to the argument's type.
+ *
+ * @param value - the string
+ * @param type - the argument type: string, int, boolean, or csv
+ */
+function convert (value, type) {
+  switch (type) {
+    case 'int':
+      return parseInt(value, 10);
+    case 'boolean':
+      return value === 'true' || value === '1';
+    case 'csv':
+      return value.split(',');
+    default:
+      return value;
+  }
+}
+exports.convert = convert;
+
+/*
+ * Converts a run profile value to the argument's type.
+ * Strings are converted as for environment variables, and a csv argument can be a list.
+ */
+function normalize (value, type) {
+  if (typeof value === 'string') {
+    return convert(value, type);
+  }
+  if (type === 'csv') {
+    return (Array.isArray(value) ? value : [value]).map((item) => `${item}`);
+  }
+  if (type === 'string') {
+    return `${value}`;
+  }
+  return value;
+}
+exports.normalize = normalize;
+
+/*
+ * Reads a YAML or JSON file, such as a run profile.
+ *
+ * Returns the parsed contents
+ *
+ * Throws an error if the file can't be read or parsed.
+ *
+ * @param file - full path to the file
+ * @param description - what the file is, for the messages
+ */
+function readDocument (file, description) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new Error(`The ${description} ${file} can't be read: ${err.message}`);
+  }
+  try {
+    // The core schema leaves dates as text, like the command line arguments
+    return /\.json$/i.test(file) ? JSON.parse(text) : yaml.load(text, { schema: yaml.CORE_SCHEMA });
+  } catch (err) {
+    // The YAML message continues with an excerpt of the file
+    throw new Error(`The ${description} ${file} isn't valid ${/\.json$/i.test(file) ? 'JSON' : 'YAML'}: ${err.message.split('\n')[0]}`);
+  }
+}
+exports.readDocument = readDocument;
+
+/*
+ * Reads a run profile.
+ *
+ * Returns the profile object
+ *
+ * Throws an error if the file can't be read or isn't a YAML or JSON object.
+ *
+ * @param file - full path to the run profile
+ */
+function readRunProfile (file) {
+  const profile = readDocument(file, 'run profile');
+  if (profile === undefined || profile === null) {
+    return {};
+  }
+  if (typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error(`The run profile ${file} must contain argument names and values.`);
+  }
+  return profile;
+}
+exports.readRunProfile = readRunProfile;
+
+/*
+ * Throws an error if the run profile has keys that aren't argument names
+ * (or targets), which are usually typos.
+ *
+ * @param profile - the run profile
+ * @param names - all the argument names
+ * @param file - the run profile path, for the message
+ */
+function checkNames (profile, names, file) {
+  const unknown = Object.keys(profile).filter((key) => key !== TARGETS_KEY && !names.includes(key));
+  if (unknown.length) {
+    throw new Error(`The run profile ${file} has unknown arguments: ${unknown.join(', ')}.`);
+  }
+}
+exports.checkNames = checkNames;
+
+/*
+ * Fills in the arguments that weren't given from the environment and then the run profile.
+ * Also copies the run profile's per-target settings to the targets property.
+ *
+ * Returns a new arguments object
+ *
+ * @param definitions - the arguments to fill in, as an array of { name, type }
+ * @param given - the arguments from the command line or payload. They take precedence.
+ * @param env - the environment variables
+ * @param profile - (optional) the run profile
+ */
+function resolveArguments (definitions, given, env, profile) {
+  const resolved = Object.assign({}, given);
+  definitions.forEach((definition) => {
+    const name = definition.name;
+    if (resolved[name] !== undefined && resolved[name] !== null) {
+      return;
+    }
+    const envValue = env[envName(name)];
+    if (envValue !== undefined) {
+      resolved[name] = convert(envValue, definition.type);
+    } else if (profile && profile[name] !== undefined && profile[name] !== null) {
+      resolved[name] = normalize(profile[name], definition.type);
+    }
+  });
+  if (profile && profile[TARGETS_KEY] !== undefined && profile[TARGETS_KEY] !== null) {
+    resolved[TARGETS_KEY] = profile[TARGETS_KEY];
+  }
+  return resolved;
+}
+exports.resolveArguments = resolveArguments;
@@ -1,80 +1,603 @@
 'use strict';
 /**
- * Version 1.0.1
+ * Version 1.0.23
  *
  * Functions to define and process the runtime arguments and to
  * define prompts for missing required arguments.
+ *
+ * Arguments that aren't passed on the command line can be set with ODAEXPORT_<ARGUMENT>
+ * environment variables or in a run profile (see runProfile.js).
  **/
 
 const fs = require('fs');
 const os = require('os');
 const argv = require('argv');
 const path = require('path');
+const runProfile = require('./runProfile.js');
+const dateRange = require('./dateRange.js');
+const errors = require('./errors.js');
+
+/*
+ * Definitions of the script options, by name.
+ * Each command uses the subset that's listed in COMMANDS.
+ */
+const OPTIONS = {
+  target: {
+    name: 'target',
+    short: 'g',
+    type: 'string',
+    description: 'The type of data to export: skill, assistant (digital assistant), or instance. Defaults to skill.',
+    example: '--target=assistant'
+  },
+  id: {
+    name: 'id',
+    short: 'i',
+    type: 'csv',
+    description: 'ID of the skill or digital assistant from which to get the data. Separate multiple IDs with commas ' +
+      'to export each of them, in which case each ID\'s files go in a subdirectory of outpath. Not used for an instance export. ' +
+      'For the tasks and delete commands, only the export tasks for this one ID (and target).',
+    example: '--id=<id1>,<id2>'
+  },
+  taskname: {
+    name: 'taskname',
+    short: 't',
+    type: 'string',
+    description: 'Your name for the export task. Defaults to a generated task name.'
+  },
+  begindate: {
+    name: 'begindate',
+    short: 'b',
+    type: 'string',
+    description: '(Optional) The begin date for the data to export, inclusive. The same as --since. ' +
+      'Defaults to the earliest date for the requested data.',
+    example: '--begindate = YYYY-MM-DD'
+  },
+  enddate: {
+    name: 'enddate',
+    short: 'e',
+    type: 'string',
+    description: '(Optional) The end date for the data to export, inclusive. The same as --until. Defaults to today.',
+    example: '--enddate = YYYY-MM-DD'
+  },
+  since: {
+    name: 'since',
+    type: 'string',
+    description: '(Optional) The beginning of the data to export: a date (YYYY-MM-DD), an ISO-8601 timestamp with a time zone ' +
+      '(2024-01-31T18:00:00Z), or today, yesterday, now, <n>d, <n>w, <n>h (such as 7d for 7 days ago), ' +
+      'or a period: last-week, last-month, wtd, mtd, or ytd. A period also sets the end unless --until is given. ' +
+      'Dates and expressions are in the local time zone (TZ). Defaults to the earliest date for the requested data.',
+    example: '--since=last-month'
+  },
+  until: {
+    name: 'until',
+    type: 'string',
+    description: '(Optional) The end of the data to export, inclusive, in the same formats as --since. ' +
+      'Can\'t be in the future. Defaults to today.',
+    example: '--until=yesterday'
+  },
+  outpath: {
+    name: 'outpath',
+    short: 'o',
+    type: 'string',
+    description: 'The full pathname of the directory to store the downloaded ZIP files in.'
+  },
+  destination: {
+    name: 'destination',
+    short: 'u',
+    type: 'string',
+    description: '(Optional) Upload the ZIP files to a bucket instead of outpath: oci://<bucket>/<prefix> for OCI Object Storage ' +
+      '(oci://<bucket>@<namespace>/<prefix> to skip the namespace lookup), or s3://<bucket>/<prefix> for an S3-compatible store ' +
+      'at s3endpoint. Files that are already in the bucket with the same size aren\'t uploaded again.',
+    example: '--destination=oci://insights/exports'
+  },
+  s3endpoint: {
+    name: 's3endpoint',
+    type: 'string',
+    description: '(Optional) The URL of the S3-compatible service for an s3:// destination. ' +
+      'Uses the AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, and AWS_REGION environment variables.',
+    example: '--s3endpoint=https://<namespace>.compat.objectstorage.us-ashburn-1.oraclecloud.com'
+  },
+  configpath: {
+    name: 'configpath',
+    short: 'c',
+    type: 'string',
+    description: 'The full path to your OCI configuration file: either an OCI CLI config file, such as ~/.oci/config, ' +
+      'or a JSON config file. Defaults to OCI_CLI_CONFIG_FILE if it\'s set.'
+  },
+  auth: {
+    name: 'auth',
+    type: 'string',
+    description: '(Optional) How to authenticate: api_key (the key in the config file), instance_principal (on an OCI compute instance), ' +
+      'or resource_principal (in an OCI function). Overrides OCI_CLI_AUTH and the config file. Defaults to api_key. ' +
+      'The principal types don\'t need a config file if you pass --domain.',
+    example: '--auth=resource_principal'
+  },
+  keysource: {
+    name: 'keysource',
+    type: 'string',
+    description: '(Optional) Where to get the API signing key instead of the config file\'s key file: ' +
+      'env:<NAME> (an environment variable with the PEM key, or the PEM key in base64), stdin (piped to the script), ' +
+      'or vault:<secret OCID> (an OCI Vault secret, read with the instance or resource principal). ' +
+      'Overrides key_source (privateKeySource) in the config file.',
+    example: '--keysource=env:ODA_API_KEY'
+  },
+  profile: {
+    name: 'profile',
+    short: 'p',
+    type: 'string',
+    description: '(Optional) The profile to use from an OCI CLI config file. Defaults to OCI_CLI_PROFILE or DEFAULT.',
+    example: '--profile=ODA'
+  },
+  domain: {
+    name: 'domain',
+    short: 'd',
+    type: 'string',
+    description: '(Optional) The ODA instance domain. Overrides the domain in the config file. ' +
+      'Required if the config file is an OCI CLI config file without a domain entry.',
+    example: '--domain=oda-<instance ID>-da4.data.digitalassistant.oci.oraclecloud.com'
+  },
+  baseurl: {
+    name: 'baseurl',
+    type: 'string',
+    description: '(Optional) The scheme, host, and port to send the API requests to instead of https://<domain>, ' +
+      'such as the mock server (node mock-server.js). Overrides base_url (baseUrl) in the config file.',
+    example: '--baseurl=http://localhost:8080'
+  },
+  concurrency: {
+    name: 'concurrency',
+    type: 'int',
+    description: '(Optional) The maximum number of ZIP files to download at the same time. Defaults to 3.',
+    example: '--concurrency=3'
+  },
+  extract: {
+    name: 'extract',
+    short: 'x',
+    type: 'string',
+    description: '(Optional) After downloading, extract the insights tables from the ZIP files into the extracted subdirectory ' +
+      'of outpath, merged into one file per table. Format: csv or jsonl (newline-delimited JSON). --extract alone means csv.',
+    example: '--extract=jsonl'
+  },
+  report: {
+    name: 'report',
+    type: 'boolean',
+    description: '(Optional) After downloading, write an HTML and a Markdown summary of the data next to the ZIP files: ' +
+      'the conversations, completed, incomplete, and escalated, the top intents and unresolved utterances, the channels, ' +
+      'and the conversations on each day.',
+    example: '--report'
+  },
+  incremental: {
+    name: 'incremental',
+    short: 'n',
+    type: 'boolean',
+    description: '(Optional) Export each target from the day after the end date of its last successful incremental export. ' +
+      'The first incremental export starts at begindate. The end date defaults to yesterday.',
+    example: '--incremental'
+  },
+  statefile: {
+    name: 'statefile',
+    type: 'string',
+    description: '(Optional) The full path to the file that records the end date of each target\'s last incremental export. ' +
+      'Defaults to ~/.odaexport/state.json.',
+    example: '--statefile=~/exports/state.json'
+  },
+  chunk: {
+    name: 'chunk',
+    type: 'string',
+    description: '(Optional) Split the date range into day, week, or month chunks and run a separate export job for each chunk. ' +
+      'Each chunk\'s files go in a <begindate>_<enddate> subdirectory of outpath. Requires begindate.',
+    example: '--chunk=week'
+  },
+  chunkconcurrency: {
+    name: 'chunkconcurrency',
+    type: 'int',
+    description: '(Optional) The maximum number of chunk export jobs to run at the same time. Defaults to 2.',
+    example: '--chunkconcurrency=2'
+  },
+  rowsperfile: {
+    name: 'rowsperfile',
+    type: 'int',
+    description: '(Optional) The maximum number of rows in each exported file. Defaults to 100000000.',
+    example: '--rowsperfile=1000000'
+  },
+  data: {
+    name: 'data',
+    type: 'string',
+    description: '(Optional) essential (the default) to export just the essential insights data, or full to export all of it.',
+    example: '--data=full'
+  },
+  maxwait: {
+    name: 'maxwait',
+    type: 'string',
+    description: '(Optional) How long to wait for each export job to finish, such as 90s, 30m, 2h, or 1h30m. ' +
+      'A job that\'s still running is left to finish, and you can download its files later. ' +
+      'Defaults to 20 status checks, which is about 15 minutes.',
+    example: '--maxwait=2h'
+  },
+  polldelay: {
+    name: 'polldelay',
+    type: 'string',
+    description: '(Optional) The pause before the second status check of an export job, such as 5s. ' +
+      'Each pause after that is 3 times as long, up to maxpolldelay. Defaults to 200ms.',
+    example: '--polldelay=5s'
+  },
+  maxpolldelay: {
+    name: 'maxpolldelay',
+    type: 'string',
+    description: '(Optional) The longest pause between the status checks of an export job, such as 5m. Defaults to 60s.',
+    example: '--maxpolldelay=5m'
+  },
+  connecttimeout: {
+    name: 'connecttimeout',
+    type: 'int',
+    description: '(Optional) The number of seconds to wait for a connection to the server. Defaults to 10.',
+    example: '--connecttimeout=10'
+  },
+  readtimeout: {
+    name: 'readtimeout',
+    type: 'int',
+    description: '(Optional) The number of seconds to wait for data from the server before the request fails. Defaults to 60.',
+    example: '--readtimeout=60'
+  },
+  retries: {
+    name: 'retries',
+    type: 'int',
+    description: '(Optional) The number of times to retry a request or download that fails because of a network error, ' +
+      'a timeout, or a 429 or 5xx response. Defaults to 4. Set HTTPS_PROXY (and NO_PROXY) to connect through a proxy.',
+    example: '--retries=4'
+  },
+  manifest: {
+    name: 'manifest',
+    short: 'm',
+    type: 'string',
+    description: 'The full path to the YAML or JSON batch manifest, which lists the ODA instances and their exports ' +
+      '(see lib/batch.js). You can also pass it as the first argument after the command.',
+    example: '--manifest=~/exports/instances.yaml'
+  },
+  instanceconcurrency: {
+    name: 'instanceconcurrency',
+    type: 'int',
+    description: '(Optional) The maximum number of instances to export at the same time. Defaults to 2.',
+    example: '--instanceconcurrency=2'
+  },
+  jobid: {
+    name: 'jobid',
+    short: 'j',
+    type: 'string',
+    description: 'The ID of the export job. You can also pass it as the first argument after the command.',
+    example: '--jobid=<job ID>'
+  },
+  ledger: {
+    name: 'ledger',
+    short: 'l',
+    type: 'string',
+    description: '(Optional) The full path to the job ledger file, which records the export jobs that this script starts. ' +
+      'Defaults to ~/.odaexport/jobs.json.',
+    example: '--ledger=~/exports/jobs.json'
+  },
+  all: {
+    name: 'all',
+    short: 'a',
+    type: 'boolean',
+    description: '(Optional) List all the jobs in the ledger, not just the pending ones.',
+    example: '--all'
+  },
+  status: {
+    name: 'status',
+    short: 's',
+    type: 'csv',
+    description: '(Optional) Only the export tasks with these statuses: SUBMITTED, IN_PROGRESS, EXPORT_SUCCEEDED, ' +
+      'EXPORT_FAILED, or NO_DATA. Separate multiple statuses with commas.',
+    example: '--status=EXPORT_FAILED,NO_DATA'
+  },
+  name: {
+    name: 'name',
+    type: 'string',
+    description: '(Optional) Only the export tasks whose name contains this text (not case-sensitive).',
+    example: '--name=nightly'
+  },
+  olderthan: {
+    name: 'olderthan',
+    type: 'int',
+    description: '(Optional) Only the export tasks that were created more than this number of days ago.',
+    example: '--olderthan=30'
+  },
+  purge: {
+    name: 'purge',
+    type: 'boolean',
+    description: '(Optional) Delete the exported data from the ODA instance after the export (an EXPORT_AND_PURGE task). ' +
+      'The data can only be recovered from the exported files. You\'re asked to confirm unless you pass --yes.',
+    example: '--purge'
+  },
+  yes: {
+    name: 'yes',
+    short: 'y',
+    type: 'boolean',
+    description: '(Optional) Don\'t ask for confirmation before a purge or a deletion.',
+    example: '--yes'
+  },
+  runprofile: {
+    name: 'runprofile',
+    type: 'string',
+    description: '(Optional) The full path to a YAML or JSON file that sets arguments by name, such as a scheduled job\'s arguments. ' +
+      'Arguments on the command line and in ODAEXPORT_<ARGUMENT> environment variables (such as ODAEXPORT_OUTPATH) ' +
+      'take precedence. Defaults to ODAEXPORT_RUNPROFILE if it\'s set.',
+    example: '--runprofile=~/exports/nightly.yaml'
+  },
+  'non-interactive': {
+    name: 'non-interactive',
+    type: 'boolean',
+    description: '(Optional) Don\'t prompt for missing arguments or for confirmation, for cron jobs and CI. ' +
+      'Exits with a list of the missing required arguments instead. A purge or deletion also requires --yes.',
+    example: '--non-interactive'
+  },
+  output: {
+    name: 'output',
+    type: 'string',
+    description: '(Optional) text (the default) or json. With json, the script prints one JSON result document ' +
+      'with the job IDs, final statuses, files, timings, and errors, and prints its progress messages to stderr. ' +
+      'Use it with --non-interactive, because prompts are printed to stdout.',
+    example: '--output=json'
+  },
+  loglevel: {
+    name: 'loglevel',
+    type: 'string',
+    description: '(Optional) The messages to print: error, warn, info (the default), debug, or trace. ' +
+      'debug adds each HTTP request\'s method, path, status, duration, and opc-request-id, and trace adds the headers. ' +
+      'Credentials are always redacted.',
+    example: '--loglevel=debug'
+  },
+  logformat: {
+    name: 'logformat',
+    type: 'string',
+    description: '(Optional) text (the default) or json, to print each message as a JSON line.',
+    example: '--logformat=json'
+  },
+  logfile: {
+    name: 'logfile',
+    type: 'string',
+    description: '(Optional) The full path to a file to append the messages to, with their times and levels.',
+    example: '--logfile=~/exports/odaexport.log'
+  },
+  debug: {
+    name: 'debug',
+    type: 'boolean',
+    description: '(Optional) Print debug messages. The same as --loglevel=debug.',
+    example: '--debug'
+  }
+};
+
+/*
+ * The commands and the options that each one takes.
+ * export runs when the script is invoked without a command.
+ * jobId: true means the first argument after the command is a job ID.
+ * argument is the option that the first argument after the command sets, for other commands.
+ * noPrompt lists the options that the user isn't prompted for when they're missing.
+ */
+const COMMANDS = {
+  export: {
+    description: 'Export the insights data for skills, digital assistants, or the whole instance.',
+    options: ['target', 'id', 'taskname', 'begindate', 'enddate', 'since', 'until', 'outpath', 'destination',
+      's3endpoint', 'configpath', 'auth', 'keysource', 'profile', 'domain', 'baseurl', 'concurrency', 'extract', 'report',
+      'chunk', 'chunkconcurrency', 'rowsperfile', 'data', 'maxwait', 'polldelay', 'maxpolldelay', 'incremental',
+      'statefile', 'ledger', 'purge', 'yes', 'connecttimeout', 'readtimeout', 'retries', 'runprofile', 'non-interactive',
+      'output', 'loglevel', 'logformat', 'logfile', 'debug']
+  },
+  status: {
+    description: 'Show the status of an earlier export job. Usage: status <jobId> [options]',
+    jobId: true,
+    options: ['jobid', 'configpath', 'auth', 'keysource', 'profile', 'domain', 'baseurl', 'ledger', 'connecttimeout',
+      'readtimeout', 'retries', 'runprofile', 'non-interactive', 'output', 'loglevel', 'logformat', 'logfile', 'debug']
+  },
+  download: {
+    description: 'Download the files of an earlier export job that has finished. Usage: download <jobId> [options]',
+    jobId: true,
+    options: ['jobid', 'outpath', 'destination', 's3endpoint', 'configpath', 'auth', 'keysource', 'profile', 'domain',
+      'baseurl', 'concurrency', 'extract', 'report', 'ledger', 'connecttimeout', 'readtimeout', 'retries',
+      'runprofile', 'non-interactive', 'output', 'loglevel', 'logformat', 'logfile', 'debug']
+  },
+  list: {
+    description: 'List the export jobs in the job ledger that are still running or haven\'t been downloaded yet.',
+    options: ['all', 'ledger', 'runprofile', 'non-interactive', 'loglevel', 'logformat', 'logfile', 'debug']
+  },
+  tasks: {
+    description: 'List the export tasks in the ODA instance, including the ones that this script didn\'t start.',
+    options: ['target', 'id', 'status', 'name', 'olderthan', 'configpath', 'auth', 'keysource', 'profile', 'domain',
+      'baseurl', 'ledger', 'connecttimeout', 'readtimeout', 'retries', 'runprofile', 'non-interactive', 'loglevel',
+      'logformat', 'logfile', 'debug'],
+    noPrompt: ['target', 'id']
+  },
+  inspect: {
+    description: 'Show the details of an export task: its status, date range, files and their sizes, and error. ' +
+      'Usage: inspect <jobId> [options]',
+    jobId: true,
+    options: ['jobid', 'configpath', 'auth', 'keysource', 'profile', 'domain', 'baseurl', 'ledger', 'connecttimeout',
+      'readtimeout', 'retries', 'runprofile', 'non-interactive', 'loglevel', 'logformat', 'logfile', 'debug']
+  },
+  delete: {
+    description: 'Delete export tasks and their files from the ODA instance: the task with the job ID, ' +
+      'or the finished tasks that match the filters. Usage: delete [jobId] [options]',
+    jobId: true,
+    options: ['jobid', 'target', 'id', 'status', 'name', 'olderthan', 'yes', 'configpath', 'auth', 'keysource', 'profile',
+      'domain', 'baseurl', 'ledger', 'connecttimeout', 'readtimeout', 'retries', 'runprofile', 'non-interactive',
+      'loglevel', 'logformat', 'logfile', 'debug'],
+    noPrompt: ['jobid', 'target', 'id']
+  },
+  batch: {
+    description: 'Run the exports in a manifest for several ODA instances, each with its own domain, credentials, ' +
+      'and output subdirectory. Usage: batch <manifest.yaml> [options]',
+    argument: 'manifest',
+    options: ['manifest', 'outpath', 'configpath', 'auth', 'keysource', 'instanceconcurrency', 'concurrency', 'ledger',
+      'yes', 'connecttimeout', 'readtimeout', 'retries', 'runprofile', 'non-interactive', 'output', 'loglevel',
+      'logformat', 'logfile', 'debug'],
+    noPrompt: ['outpath', 'configpath']
+  },
+  doctor: {
+    description: 'Check the config file, API signing key, fingerprint, domain, clock, and request signing, ' +
+      'and explain what\'s wrong when the server rejects the credentials. Usage: doctor [options]',
+    options: ['configpath', 'auth', 'keysource', 'profile', 'domain', 'baseurl', 'connecttimeout', 'readtimeout',
+      'runprofile', 'non-interactive', 'output', 'loglevel', 'logformat', 'logfile', 'debug']
+  }
+};
+
+/*
+ * The export arguments that a batch manifest (see batch.js) and a function payload
+ * (see handler.js) can set: the export command's options, except the ones for
+ * the command line and logging.
+ */
+const EXPORT_ARGUMENTS = COMMANDS.export.options.filter((name) => {
+  return !['runprofile', 'non-interactive', 'output', 'loglevel', 'logformat', 'logfile', 'debug'].includes(name);
+});
+exports.EXPORT_ARGUMENTS = EXPORT_ARGUMENTS;
+
+/*
+ * Gets the types of options, for converting values that don't come from
+ * the command line (see runProfile.normalize).
+ *
+ * Returns { <name>: <type> }
+ *
+ * @param names - the option names
+ */
+function getArgumentTypes (names) {
+  const types = {};
+  names.forEach((name) => {
+    types[name] = OPTIONS[name].type;
+  });
+  return types;
+}
+exports.getArgumentTypes = getArgumentTypes;
+
+/*
+ * Returns new copies of the option definitions for a command.
+ * (argv modifies the definitions that it's given.)
+ */
+function getCommandOptions (command) {
+  return COMMANDS[command].options.map((name) => Object.assign({}, OPTIONS[name]));
+}
 
 /*
  * Gets the script arguments.
  *
  * Returns data object with these properties
- *   options: Array of argument options (name, short, type, description)
+ *   command: The command to run (export, status, download, list, tasks, inspect, delete, or batch)
+ *   options: Array of argument options (name, short, type, description) for the command
  *   input: The result from argv.option(argvOptions).run()
+ *
+ * Throws an InvalidArgumentsError if an option isn't supported by the command.
  */
 const getScriptArguments = async () => {
   try {
-    argv.info('Export a digital assistant\'s insights data.');
-    const argvOptions = [{
-      name: 'id',
-      short: 'i',
-      type: 'string',
-      description: 'ID of the digital assistant from which to get the data.'
-    },
-    {
-      name: 'taskname',
-      short: 't',
-      type: 'string',
-      description: 'Your name for the export task. Defaults to a generated task name.'
-    },
-    {
-      name: 'begindate',
-      short: 'b',
-      type: 'string',
-      description: '(Optional) The begin date for the data to export, inclusive. Format: yyyy-mm-dd. Defaults to the earliest date for the requested data.',
-      example: '--begindate = YYYY-MM-DD'
-    },
-    {
-      name: 'enddate',
-      short: 'e',
-      type: 'string',
-      description: '(Optional) The end date for the data to export, inclusive. Format: yyyy-mm-dd. Defaults to today.',
-      example: '--enddate = YYYY-MM-DD'
-    },
-    {
-      name: 'outpath',
-      short: 'o',
-      type: 'string',
-      description: 'The full pathname of the directory to store the downloaded ZIP files in.'
-    },
-    {
-      name: 'configpath',
-      short: 'c',
-      type: 'string',
-      description: 'The full path to your OCI configuration file.'
-    },
-    {
-      name: 'debug',
-      type: 'boolean',
-      description: '(Optional) Print debug messages.',
-      example: '--debug'
-    }
-    ];
+    const otherCommands = Object.keys(COMMANDS).filter((command) => command !== 'export');
+    argv.info(`${COMMANDS.export.description}\n\n` +
+      `Other commands: ${otherCommands.join(', ')}. Run 'node ${argv.name} <command> --help' to see a command's options.`);
+    otherCommands.forEach((command) => {
+      // argv only adds the help option to the top-level options
+      const helpOption = {
+        name: 'help',
+        short: 'h',
+        type: 'boolean',
+        description: 'Displays help information about this command',
+        onset: function (input) {
+          argv.help(input.mod);
+          process.exit(0);
+        }
+      };
+      argv.mod({
+        mod: command,
+        description: COMMANDS[command].description,
+        options: getCommandOptions(command).concat([helpOption])
+      });
+    });
     const args = {};
-    args.input = argv.option(argvOptions).run();
-    args.options = argvOptions;
+    // argv's run() exits with 1 when an option isn't supported, but _run() throws the message
+    args.input = argv.option(getCommandOptions('export'))._run();
+    args.command = args.input.mod || 'export';
+    const argument = COMMANDS[args.command].jobId ? 'jobid' : COMMANDS[args.command].argument;
+    if (argument && args.input.options[argument] === undefined && args.input.targets.length) {
+      args.input.options[argument] = args.input.targets[0];
+    }
+    args.options = getCommandOptions(args.command);
     return args;
   } catch (err) {
+    if (typeof err === 'string') {
+      throw new errors.InvalidArgumentsError([`${err}. Run 'node ${argv.name} <command> --help' to see a command's options.`]);
+    }
     console.log(err);
   }
 };
 
+/*
+ * Fills in the arguments that weren't passed on the command line from the
+ * ODAEXPORT_<ARGUMENT> environment variables and then from the run profile
+ * (runprofile or ODAEXPORT_RUNPROFILE). configpath falls back to OCI_CLI_CONFIG_FILE.
+ *
+ * Updates args.input.options
+ *
+ * Throws an error if the run profile can't be read or has unknown arguments.
+ *
+ * @param args - the result of getArguments()
+ * @param env - the environment variables
+ */
+function applyRunSettings (args, env) {
+  const given = args.input.options;
+  let profilePath = (given.runprofile !== undefined) ? given.runprofile : env[runProfile.envName('runprofile')];
+  let profile;
+  if (profilePath) {
+    profilePath = (profilePath.indexOf('~/') === 0) ? profilePath.replace('~', os.homedir()) : profilePath;
+    profile = runProfile.readRunProfile(profilePath);
+    runProfile.checkNames(profile, Object.keys(OPTIONS), profilePath);
+  }
+  args.input.options = runProfile.resolveArguments(args.options, given, env, profile);
+  if (args.input.options.configpath === undefined && env.OCI_CLI_CONFIG_FILE &&
+    COMMANDS[args.command].options.includes('configpath')) {
+    args.input.options.configpath = env.OCI_CLI_CONFIG_FILE;
+  }
+}
+
+// Prompted arguments that can be left out
+const OPTIONAL_PROMPTS = ['taskname', 'begindate', 'enddate'];
+
+/*
+ * Gets the required arguments that are missing, for non-interactive mode.
+ * Arguments whose prompt has a default get the default instead.
+ *
+ * Returns the names of the missing arguments
+ *
+ * @parm argvOptions - the argument options for the command
+ * @parm inputArgs - the arguments. Defaults are added to it.
+ * @parm command - the command
+ */
+function getMissingArguments (argvOptions, inputArgs, command) {
+  const missing = [];
+  getPromptQuestions(argvOptions, inputArgs, command).forEach((question) => {
+    if (OPTIONAL_PROMPTS.includes(question.name) || (question.when && !question.when(inputArgs))) {
+      return;
+    }
+    if (question.default !== undefined) {
+      inputArgs[question.name] = question.default;
+    } else {
+      missing.push(question.name);
+    }
+  });
+  return missing;
+}
+
+/*
+ * Validates a date prompt answer (see dateRange.js). The range itself is checked
+ * when the export starts.
+ *
+ * Returns true, or a message if the answer isn't valid
+ */
+function validateDate (value, omitMessage) {
+  if (value.trim().length) {
+    try {
+      dateRange.parse(value);
+    } catch (err) {
+      return `${err.message} ${omitMessage}`;
+    }
+  }
+  return true;
+}
+
 /*
   * Compiles prompts for required run parameters that weren't supplied in the script args
   *
@@ -83,22 +606,87 @@ const getScriptArguments = async () => {
   * @parm argvOptions - argvOptions object for argv.option(argvOptions).run()
   * @parm inputArgs - the result of calling argv.option(argvOptions).run().
   *   That is, the actual args that the user ran the script with.
+  * @parm command - (optional) the command, whose noPrompt options aren't prompted for
   */
-function getPromptQuestions (argvOptions, inputArgs) {
+function getPromptQuestions (argvOptions, inputArgs, command) {
   const questions = [];
+  const noPrompt = (COMMANDS[command] && COMMANDS[command].noPrompt) || [];
   for (let argI in argvOptions) {
-    if (inputArgs[argvOptions[argI].name] === undefined) {
+    if (inputArgs[argvOptions[argI].name] === undefined && !noPrompt.includes(argvOptions[argI].name)) {
+      // Instance and resource principals don't need a config file if the domain was passed
+      if (argvOptions[argI].name === 'configpath' && inputArgs.domain !== undefined &&
+        ['instance_principal', 'resource_principal'].includes(inputArgs.auth || process.env.OCI_CLI_AUTH)) {
+        continue;
+      }
+      // since and until are the other names of begindate and enddate
+      if ((argvOptions[argI].name === 'begindate' && inputArgs.since !== undefined) ||
+        (argvOptions[argI].name === 'enddate' && inputArgs.until !== undefined)) {
+        continue;
+      }
+      // The files don't go in a local directory when they're uploaded to a bucket
+      if (argvOptions[argI].name === 'outpath' && inputArgs.destination !== undefined) {
+        continue;
+      }
       switch (argvOptions[argI].name) {
+        case 'target':
+          questions.push({
+            name: 'target',
+            type: 'list',
+            message: 'What do you want to export?',
+            choices: [
+              { name: 'A skill', value: 'skill' },
+              { name: 'A digital assistant', value: 'assistant' },
+              { name: 'The whole instance', value: 'instance' }
+            ],
+            default: 'skill'
+          });
+          break;
         case 'id':
           questions.push({
             name: 'id',
             type: 'input',
-            message: 'Enter the digital assistant\'s ID:',
+            message: function (answers) {
+              return (getTarget(inputArgs, answers) === 'assistant')
+                ? 'Enter the digital assistant\'s ID (separate multiple IDs with commas):'
+                : 'Enter the skill\'s ID (separate multiple IDs with commas):';
+            },
+            // An instance export doesn't need an ID
+            when: function (answers) {
+              return getTarget(inputArgs, answers) !== 'instance';
+            },
             validate: function (value) {
-              if (value.length) {
+              if (value.trim().length) {
+                return true;
+              } else {
+                return 'Please enter at least one ID.';
+              }
+            }
+          });
+          break;
+        case 'manifest':
+          questions.push({
+            name: 'manifest',
+            type: 'input',
+            message: 'Enter the full path to the batch manifest:',
+            validate: function (value) {
+              if (value.trim().length) {
                 return true;
               } else {
-                return 'Please enter the digital assistant\'s ID.';
+                return 'Please enter the batch manifest path.';
+              }
+            }
+          });
+          break;
+        case 'jobid':
+          questions.push({
+            name: 'jobid',
+            type: 'input',
+            message: 'Enter the export job ID:',
+            validate: function (value) {
+              if (value.trim().length) {
+                return true;
+              } else {
+                return 'Please enter the export job ID.';
               }
             }
           });
@@ -140,6 +728,7 @@ function getPromptQuestions (argvOptions, inputArgs) {
             name: 'configpath',
             type: 'input',
             message: 'Enter the full OCI config file path:',
+            default: '~/.oci/config',
             validate: function (value) {
               if (value.length) {
                 const cpath =
@@ -169,22 +758,10 @@ function getPromptQuestions (argvOptions, inputArgs) {
           questions.push({
             name: 'begindate',
             type: 'input',
-            message: '(Optional) Enter the begin date in the format YYYY-MM-DD. Defaults to the earliest date:',
+            message: '(Optional) Enter the begin date (YYYY-MM-DD), a timestamp with a time zone, or an expression ' +
+              'such as yesterday, 7d, last-month, or mtd. Defaults to the earliest date:',
             validate: function (value) {
-              if (value.length) {
-                if (!/^\d\d\d\d-[0-1]\d-[0-3]\d$/.test(value)) {
-                  return 'Please use the format YYYY-MM-DD. ' +
-                  'You can omit the date to default to the earliest date.';
-                }
-                const d = new Date(value);
-                const dNum = d.getTime();
-                // Test for NaN
-                if (!dNum && dNum !== 0) {
-                  return 'Please enter a valid date in the format YYYY-MM-DD. ' +
-                    'You can omit the date to default to the earliest date.';
-                }
-              }
-              return true;
+              return validateDate(value, 'You can omit the date to default to the earliest date.');
             }
           });
           break;
@@ -192,23 +769,10 @@ function getPromptQuestions (argvOptions, inputArgs) {
           questions.push({
             name: 'enddate',
             type: 'input',
-            message: '(Optional) Enter the end date in the format YYYY-MM-DD. Defaults to the earliest date:',
+            message: '(Optional) Enter the end date (YYYY-MM-DD), a timestamp with a time zone, or an expression ' +
+              'such as yesterday or 7d. Defaults to today:',
             validate: function (value) {
-              if (value.length) {
-                // if(!/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(dateString))
-                if (!/^\d\d\d\d-[0-1]\d-[1-3]\d$/.test(value)) {
-                  return 'Please use the format YYYY-MM-DD. ' +
-                  'You can omit the date to default to today.';
-                }
-                const d = new Date(value);
-                const dNum = d.getTime();
-                // Test for NaN
-                if (!dNum && dNum !== 0) {
-                  return 'Please enter a valid date in the format YYYY-MM-DD. ' +
-                    'You can omit the date to default to today.';
-                }
-              }
-              return true;
+              return validateDate(value, 'You can omit the date to default to today.');
             }
           });
           break;
@@ -218,5 +782,18 @@ function getPromptQuestions (argvOptions, inputArgs) {
   return questions;
 }
 
+/*
+ * Gets the target type from the script args or, if it wasn't
+ * passed, from the prompt answers so far.
+ */
+function getTarget (inputArgs, answers) {
+  if (inputArgs.target !== undefined) {
+    return inputArgs.target;
+  }
+  return (answers && answers.target) ? answers.target : 'skill';
+}
+
 exports.getArguments = getScriptArguments;
 exports.getPromptQuestions = getPromptQuestions;
+exports.applyRunSettings = applyRunSettings;
+exports.getMissingArguments = getMissingArguments;
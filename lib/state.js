@@ -0,0 +1,146 @@
+'use strict';
+/*
+ * state.js
+ * Version 1.0.1
+ *
+ * Keeps the high-water mark for incremental exports: the end date of the
+ * last successful export for each target of each ODA instance, so that the
+ * next incremental export can start the day after.
+ *
+ * The state file is a JSON file with this format:
+ * {
+ *   "targets": {
+ *     "<domain>/<target>:<id>": {
+ *       "lastEndDate": "YYYY-MM-DD",
+ *       "jobId": "<ID of the export job that reached lastEndDate>",
+ *       "updatedAt": "<ISO timestamp>"
+ *     }
+ *   }
+ * }
+ *
+ * An instance export is keyed as "<domain>/instance". The domain keeps the ODA instances
+ * that share a state file apart, since a skill ID is only unique within its instance.
+ * An entry without the domain, from an earlier version, is used until the target's next
+ * export, which replaces it with the domain's entry.
+ */
+
+const fs = require('fs');
+const utils = require('./utils.js');
+
+const DEFAULT_STATE_PATH = '~/.odaexport/state.json';
+
+/*
+ * Resolves the state file path, expanding ~/ to the home directory.
+ *
+ * @param statePath - (optional) state file path. Defaults to ~/.odaexport/state.json.
+ */
+function resolvePath (statePath) {
+  return utils.expandHome((statePath && statePath.trim().length) ? statePath.trim() : DEFAULT_STATE_PATH);
+}
+
+/*
+ * Reads the state file. Returns an empty state if the file doesn't exist yet.
+ */
+function read (statePath) {
+  const stateFile = resolvePath(statePath);
+  if (!fs.existsSync(stateFile)) {
+    return { targets: {} };
+  }
+  try {
+    const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    if (!state.targets || typeof state.targets !== 'object') {
+      state.targets = {};
+    }
+    return state;
+  } catch (err) {
+    throw new Error(`Can't read the state file ${stateFile}: ${err.message}`);
+  }
+}
+
+/*
+ * Gets the state key for an export target without the domain, as earlier versions kept it.
+ */
+function getLegacyKey (target, id) {
+  return (target === 'instance') ? 'instance' : `${target}:${id}`;
+}
+
+/*
+ * Gets the state key for an export target of an ODA instance.
+ */
+function getKey (domain, target, id) {
+  return domain ? `${domain}/${getLegacyKey(target, id)}` : getLegacyKey(target, id);
+}
+
+/*
+ * Gets the state entry for an export target, or the entry without the domain if there isn't one.
+ */
+function getEntry (state, domain, target, id) {
+  return state.targets[getKey(domain, target, id)] || state.targets[getLegacyKey(target, id)];
+}
+
+/*
+ * Gets the end date of the last successful export for a target.
+ *
+ * Returns YYYY-MM-DD, or undefined if the target hasn't been exported incrementally yet
+ *
+ * @param statePath - (optional) state file path
+ * @param domain - the ODA instance domain
+ * @param target - skill, assistant, or instance
+ * @param id - ID of the skill or digital assistant
+ */
+function getLastEndDate (statePath, domain, target, id) {
+  const entry = getEntry(read(statePath), domain, target, id);
+  return entry ? entry.lastEndDate : undefined;
+}
+exports.getLastEndDate = getLastEndDate;
+
+/*
+ * Records the end date of a successful export for a target.
+ * Never moves the high-water mark backwards.
+ *
+ * @param statePath - (optional) state file path
+ * @param domain - the ODA instance domain
+ * @param target - skill, assistant, or instance
+ * @param id - ID of the skill or digital assistant
+ * @param endDate - YYYY-MM-DD
+ * @param jobId - the export job ID
+ */
+function advance (statePath, domain, target, id, endDate, jobId) {
+  const state = read(statePath);
+  const entry = getEntry(state, domain, target, id);
+  if (entry && entry.lastEndDate >= endDate) {
+    return;
+  }
+  delete state.targets[getLegacyKey(target, id)];
+  state.targets[getKey(domain, target, id)] = { lastEndDate: endDate, jobId, updatedAt: new Date().toISOString() };
+  utils.writeJsonFile(resolvePath(statePath), state);
+}
+exports.advance = advance;
+
+/*
+ * Gets the date range for the next incremental export of a target.
+ * The range starts the day after the last exported end date (or at
+ * beginDate for the first export) and ends at endDate, which defaults
+ * to yesterday so that only whole days are exported.
+ *
+ * Returns { beginDate, endDate, lastEndDate, upToDate }. upToDate is true
+ * if the range has already been exported.
+ *
+ * @param statePath - (optional) state file path
+ * @param domain - the ODA instance domain
+ * @param target - skill, assistant, or instance
+ * @param id - ID of the skill or digital assistant
+ * @param beginDate - (optional) begin date for the first export
+ * @param endDate - (optional) end date. Defaults to yesterday.
+ */
+function getNextRange (statePath, domain, target, id, beginDate, endDate) {
+  const lastEndDate = getLastEndDate(statePath, domain, target, id);
+  const range = {
+    beginDate: lastEndDate ? utils.addDays(lastEndDate, 1) : beginDate,
+    endDate: endDate || utils.addDays(utils.formatDate(new Date()), -1),
+    lastEndDate
+  };
+  range.upToDate = !!range.beginDate && range.beginDate > range.endDate;
+  return range;
+}
+exports.getNextRange = getNextRange;
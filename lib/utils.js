@@ -1,50 +1,412 @@
 'use strict';
 /*
- * Version 1.0.3
+ * Version 1.0.16
  * utils.js
  * Utility methods
 */
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
+const url = require('url');
+const ociConfig = require('./ociConfig.js');
+const auth = require('./auth.js');
+const keySource = require('./keySource.js');
+const logger = require('./logger.js');
+const errors = require('./errors.js');
 
 /*
- * Gets domain, signing info, private key from config file
- * @param configFile - File's absolute path name
+ * Reads the domain, signing info, and private key from a config file
+ * and creates the signer for requests.
+ *
+ * The config file can be a standard OCI CLI config file with [PROFILE]
+ * sections (see ociConfig.js), or a JSON file in this format:
+ * {
+ *   "authType": "api_key | instance_principal | resource_principal",
+ *   "privateKeyPath": "<keypath goes here>",
+ *   "privateKeySource": "<env:<NAME>, stdin, or vault:<secret OCID>, instead of privateKeyPath>",
+ *   "passphrase": "<private key passphrase, if the key is encrypted>",
+ *   "tenancyId": "<OCI tenancy ID goes here>",
+ *   "userId": "<OCI auth user ID goes here>",
+ *   "fingerprint": "<OCI fingerprint goes here>",
+ *   "region": "<OCI region>",
+ *   "domain": "<domain goes here>.com",
+ *   "baseUrl": "<ODA API base URL, such as http://localhost:8080 for the mock server>",
+ *   "metadataEndpoint": "<instance metadata service base URL, for testing>",
+ *   "federationEndpoint": "<federation endpoint URL, for testing>",
+ *   "secretsEndpoint": "<Vault secrets service URL, for testing>"
+ * }
+ *
+ * In an OCI CLI config file, the equivalent entries are auth, key_source, base_url, metadata_endpoint,
+ * federation_endpoint, and secrets_endpoint. authType defaults to api_key.
+ * The key source (see keySource.js) keeps the private key off the disk. A key file
+ * that the group or other users can access is refused, and a config or key file
+ * in a git working tree gets a warning. The instance principal and
+ * resource principal types don't need the key entries, or a config file at all.
+ * See auth.js.
+ *
+ * The requests go to https://<domain> unless there's a base URL, which sets the scheme,
+ * host, and port instead (see mockServer.js). The domain is optional then.
+ *
+ * Returns { authType, domain, baseUrl, region, tenancyId, userId, fingerprint, privateKey, signer }.
+ * Only api_key has the tenancyId, userId, fingerprint, and privateKey values.
+ *
+ * Throws an InvalidArgumentsError if the config file can't be read or doesn't have the
+ * profile, or the domain, base URL, or authentication type is missing or invalid.
+ * Throws an AuthError if the private key or another credential can't be loaded.
+ *
+ * @param configFile - File's absolute path name. Optional for instance and resource principals.
+ * @param options - (optional)
+ *   profile: the OCI CLI config file profile. Defaults to OCI_CLI_PROFILE or DEFAULT.
+ *   domain: the ODA domain, which overrides the domain in the config file
+ *   baseUrl: the ODA API base URL, which overrides the base URL in the config file
+ *   auth: the authentication type, which overrides OCI_CLI_AUTH and the config file
+ *   keySource: the private key source, which overrides the config file's key source and key file
 */
-function getConfigData (configFile) {
-  let configFilePath = configFile;
-  if (configFilePath.indexOf('~/') === 0) { configFilePath = configFilePath.replace('~', os.homedir()); }
-  if (!path.isAbsolute(configFilePath.trim())) {
+async function readConfig (configFile, options) {
+  const opts = options || {};
+  let configData;
+  try {
+    configData = readConfigFile(configFile, opts.profile);
+  } catch (err) {
+    throw new errors.InvalidArgumentsError([err.message]);
+  }
+  const configName = configFile || 'the run arguments';
+  const config = {
+    authType: opts.auth || process.env.OCI_CLI_AUTH || configData.authType || 'api_key',
+    domain: opts.domain || configData.domain,
+    baseUrl: opts.baseUrl || configData.baseUrl,
+    region: configData.region
+  };
+  if (config.baseUrl) {
+    try {
+      config.domain = config.domain || parseBaseUrl(config.baseUrl).hostname;
+    } catch (err) {
+      throw new errors.InvalidArgumentsError([err.message]);
+    }
+  }
+  switch (config.authType) {
+    case 'api_key': {
+      try {
+        config.privateKey = await loadApiKey(configData, opts.keySource, configName);
+      } catch (err) {
+        throw new errors.AuthError(err.message);
+      }
+      config.tenancyId = configData.tenancyId;
+      config.userId = configData.userId;
+      config.fingerprint = configData.fingerprint;
+      const missing = [
+        ['tenancy', config.tenancyId],
+        ['user', config.userId],
+        ['fingerprint', config.fingerprint],
+        ['private key', config.privateKey]
+      ].filter((entry) => !entry[1]).map((entry) => entry[0]);
+      if (missing.length) {
+        throw new errors.AuthError(`Missing configuration data from ${configName}: ${missing.join(', ')}.`);
+      }
+      config.signer = auth.createApiKeySigner(config);
+      break;
+    }
+    case 'resource_principal':
+      try {
+        config.signer = auth.createResourcePrincipalSigner();
+      } catch (err) {
+        throw new errors.AuthError(err.message);
+      }
+      config.region = config.region || config.signer.region;
+      break;
+    case 'instance_principal':
+      config.signer = auth.createInstancePrincipalSigner({
+        metadataEndpoint: configData.metadataEndpoint,
+        federationEndpoint: configData.federationEndpoint,
+        region: configData.region
+      });
+      break;
+    default:
+      throw new errors.InvalidArgumentsError([`The authentication type ${config.authType} must be one of: ${auth.AUTH_TYPES.join(', ')}.`]);
+  }
+  if (!config.domain) {
+    throw new errors.InvalidArgumentsError([`Missing configuration data from ${configName}: domain.`]);
+  }
+  return config;
+}
+exports.readConfig = readConfig;
+
+/*
+ * Loads the API signing key from the key source or the key file, and decrypts it
+ * if it's encrypted.
+ *
+ * Returns the PEM private key, or undefined if the config has neither
+ *
+ * @param configData - the config file entries (see readConfigFile)
+ * @param source - (optional) the key source argument, which overrides the config file
+ * @param configName - the config file, for messages
+ */
+async function loadApiKey (configData, source, configName) {
+  const keySourceText = source || configData.privateKeySource;
+  if (keySourceText) {
+    const pem = await keySource.loadPrivateKey(keySourceText, {
+      region: configData.region,
+      secretsEndpoint: configData.secretsEndpoint,
+      metadataEndpoint: configData.metadataEndpoint,
+      federationEndpoint: configData.federationEndpoint
+    });
+    try {
+      return ociConfig.decryptPrivateKey(pem, configData.passphrase);
+    } catch (err) {
+      throw new Error(`${err.message} (key source ${keySourceText})`);
+    }
+  }
+  if (!configData.privateKeyPath) {
+    return undefined;
+  }
+  const privateKeyPath = expandHome(configData.privateKeyPath);
+  let pem;
+  try {
+    pem = fs.readFileSync(privateKeyPath, 'ascii');
+  } catch (err) {
+    throw new Error(`Invalid privateKeyPath in ${configName}.`);
+  }
+  keySource.checkKeyFile(privateKeyPath);
+  keySource.warnIfInGitTree(privateKeyPath, 'key file');
+  try {
+    return ociConfig.decryptPrivateKey(pem, configData.passphrase);
+  } catch (err) {
+    throw new Error(`${err.message} (key file ${privateKeyPath} in ${configName})`);
+  }
+}
+
+/*
+ * Reads the entries of a config file: a JSON config file or a profile of an
+ * OCI CLI config file, with the entries renamed to the JSON names (see readConfig).
+ *
+ * Returns the entries, or {} if there's no config file
+ *
+ * Throws an error if the file can't be read or parsed.
+ *
+ * @param configFile - File's absolute path name. Optional.
+ * @param profile - (optional) the OCI CLI config file profile
+ */
+function readConfigFile (configFile, profile) {
+  if (configFile === undefined || !configFile.trim().length) {
+    return {};
+  }
+  const configFilePath = expandHome(configFile.trim());
+  if (!path.isAbsolute(configFilePath)) {
     throw new Error(`Can't access config file ${configFile} because the path isn't an absolute path.`);
   }
   try {
-    var configData = require(configFilePath);
+    const text = fs.readFileSync(configFilePath, 'utf8');
+    keySource.warnIfInGitTree(configFilePath, 'config file');
+    if (ociConfig.isJsonConfig(text)) {
+      return JSON.parse(text);
+    }
+    const entries = ociConfig.getProfile(text, profile);
+    return {
+      authType: entries.auth,
+      privateKeyPath: entries.key_file,
+      privateKeySource: entries.key_source,
+      passphrase: entries.pass_phrase,
+      tenancyId: entries.tenancy,
+      userId: entries.user,
+      fingerprint: entries.fingerprint,
+      region: entries.region,
+      domain: entries.domain,
+      baseUrl: entries.base_url,
+      metadataEndpoint: entries.metadata_endpoint,
+      federationEndpoint: entries.federation_endpoint,
+      secretsEndpoint: entries.secrets_endpoint
+    };
   } catch (err) {
-    console.log(`There's a problem with the config file ${configFile}: `, err.message);
+    logger.warn(`There's a problem with the config file ${configFile}: ${err.message}`);
     throw (err);
   }
-  let privateKeyPath = configData.privateKeyPath;
-  if (privateKeyPath && privateKeyPath.indexOf('~/') === 0) {
-    privateKeyPath = privateKeyPath.replace('~', os.homedir());
+}
+exports.readConfigFile = readConfigFile;
+
+/*
+ * Parses the base URL of the ODA API.
+ *
+ * Returns { protocol, host, hostname, port, pathPrefix }. host includes the port.
+ *
+ * Throws an error if it isn't an http or https URL.
+ *
+ * @param baseUrl - the URL, such as https://<domain> or http://localhost:8080
+ */
+function parseBaseUrl (baseUrl) {
+  const parsed = url.parse(`${baseUrl}`.trim().replace(/\/+$/, ''));
+  if (!['http:', 'https:'].includes(parsed.protocol) || !parsed.hostname) {
+    throw new Error(`The base URL ${baseUrl} must be an http:// or https:// URL.`);
+  }
+  return {
+    protocol: parsed.protocol,
+    host: parsed.host,
+    hostname: parsed.hostname,
+    port: parsed.port || undefined,
+    pathPrefix: (parsed.pathname && parsed.pathname !== '/') ? parsed.pathname : ''
+  };
+}
+exports.parseBaseUrl = parseBaseUrl;
+
+/*
+ * Calls the async function fn for each item, with no more than limit
+ * calls in progress at the same time.
+ *
+ * Returns an array of the results in the same order as items.
+ *
+ * @param items - array of values to pass to fn
+ * @param limit - maximum number of concurrent calls
+ * @param fn - async function (item, index)
+ */
+async function mapWithConcurrency (items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  const workers = [];
+  for (let w = 0; w < Math.min(Math.max(limit, 1), items.length); w++) {
+    workers.push(worker());
   }
-  if (privateKeyPath) {
-    try {
-      exports.PRIVATE_KEY = fs.readFileSync(privateKeyPath, 'ascii');
-    } catch (err) {
-      throw new Error(`Invalid privateKeyPath in ${configFile}.`);
+  await Promise.all(workers);
+  return results;
+}
+exports.mapWithConcurrency = mapWithConcurrency;
+
+/*
+ * Formats a byte count for display, for example 1.5 MB.
+ *
+ * @param bytes
+ */
+function formatBytes (bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let u = 0;
+  while (value >= 1024 && u < units.length - 1) {
+    value /= 1024;
+    u++;
+  }
+  return (u === 0) ? `${value} ${units[u]}` : `${value.toFixed(1)} ${units[u]}`;
+}
+exports.formatBytes = formatBytes;
+
+/*
+ * Replaces a leading ~/ in a path with the user's home directory.
+ *
+ * @param filePath
+ */
+function expandHome (filePath) {
+  return (filePath.indexOf('~/') === 0) ? filePath.replace('~', os.homedir()) : filePath;
+}
+exports.expandHome = expandHome;
+
+/*
+ * Writes data to a JSON file, creating the file's directory if needed.
+ * Writes to a temporary file first and then renames it so that an
+ * interrupted write doesn't leave a corrupt file.
+ *
+ * @param filePath - full path to the file
+ * @param data - the object to write
+ */
+function writeJsonFile (filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempFile = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(data, null, 2));
+  fs.renameSync(tempFile, filePath);
+}
+exports.writeJsonFile = writeJsonFile;
+
+/*
+ * Formats a date as YYYY-MM-DD in local time.
+ *
+ * @param date - a Date
+ */
+function formatDate (date) {
+  const pad = (n) => `${n}`.padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+exports.formatDate = formatDate;
+
+/*
+ * Adds days to a YYYY-MM-DD date.
+ *
+ * Returns the new date as YYYY-MM-DD
+ *
+ * @param date - YYYY-MM-DD
+ * @param days - number of days to add. Can be negative.
+ */
+function addDays (date, days) {
+  const parts = date.split('-').map((part) => parseInt(part, 10));
+  return formatDate(new Date(parts[0], parts[1] - 1, parts[2] + days));
+}
+exports.addDays = addDays;
+
+/*
+ * Splits an inclusive date range into consecutive windows.
+ * Weeks end on Sunday and months end on the last day of the month,
+ * so the first and last windows can be shorter than the others.
+ *
+ * Returns an array of { beginDate, endDate } in date order
+ *
+ * @param beginDate - YYYY-MM-DD
+ * @param endDate - YYYY-MM-DD
+ * @param unit - day, week, or month
+ */
+function splitDateRange (beginDate, endDate, unit) {
+  const windows = [];
+  let windowBegin = beginDate;
+  while (windowBegin <= endDate) {
+    const parts = windowBegin.split('-').map((part) => parseInt(part, 10));
+    const begin = new Date(parts[0], parts[1] - 1, parts[2]);
+    let windowEnd;
+    switch (unit) {
+      case 'week':
+        // getDay() is 0 for Sunday
+        windowEnd = addDays(windowBegin, (7 - begin.getDay()) % 7);
+        break;
+      case 'month':
+        windowEnd = formatDate(new Date(parts[0], parts[1], 0));
+        break;
+      default:
+        windowEnd = windowBegin;
     }
+    if (windowEnd > endDate) {
+      windowEnd = endDate;
+    }
+    windows.push({ beginDate: windowBegin, endDate: windowEnd });
+    windowBegin = addDays(windowEnd, 1);
+  }
+  return windows;
+}
+exports.splitDateRange = splitDateRange;
+
+/*
+ * Parses a duration such as 90s, 15m, 2h, 1h30m, or 500ms.
+ * A number without a unit is seconds.
+ *
+ * Returns the duration in milliseconds
+ *
+ * Throws an error if the text isn't a duration.
+ *
+ * @param text - the duration
+ */
+function parseDuration (text) {
+  const units = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+  const expression = `${text}`.trim().toLowerCase();
+  if (/^\d+(\.\d+)?$/.test(expression)) {
+    return Math.round(parseFloat(expression) * units.s);
+  }
+  if (!/^(\d+(\.\d+)?(ms|s|m|h))+$/.test(expression)) {
+    throw new Error(`${text} isn't a duration, such as 90s, 15m, 2h, or 1h30m.`);
   }
-  exports.DOMAIN = configData.domain;
-  exports.TENANCY_ID = configData.tenancyId;
-  exports.AUTH_USER_ID = configData.userId;
-  exports.KEY_FINGERPRINT = configData.fingerprint;
-  if (!exports.DOMAIN ||
-    !exports.TENANCY_ID ||
-    !exports.AUTH_USER_ID ||
-    !exports.KEY_FINGERPRINT ||
-    !exports.PRIVATE_KEY) {
-    throw new Error(`Missing configuration data from ${configFile}.`);
+  let duration = 0;
+  const pattern = /(\d+(?:\.\d+)?)(ms|s|m|h)/g;
+  let match;
+  while ((match = pattern.exec(expression)) !== null) {
+    duration += parseFloat(match[1]) * units[match[2]];
   }
+  return Math.round(duration);
 }
-exports.getConfigData = getConfigData;
+exports.parseDuration = parseDuration;
@@ -0,0 +1,125 @@
+'use strict';
+/*
+ * mock-server.js
+ * Version 1.0.2
+ *
+ * Runs the mock ODA insights data export API in lib/mockServer.js, so that the script
+ * can be tried, and its error handling tested, without an ODA instance:
+ *
+ *   node mock-server.js --port=8080 --keyfile=~/.oci/oci_api_key_public.pem
+ *   node index.js --configpath=~/.oci/config --baseurl=http://127.0.0.1:8080 --taskname=multi-file
+ *
+ * The export task's name picks the scenario: success, no-data, failed, multi-file,
+ * rate-limited, truncated, or one from --scenariofile. The other tasks get --scenario.
+ * Requests are checked like OCI checks them, and the signatures are verified with
+ * --keyfile, if it's given. It also stands in for the instance metadata service and the
+ * federation endpoint, for trying instance principal authentication, and serves --secretfile
+ * as an OCI Vault secret, for trying a vault: key source. Press Ctrl+C to stop the server.
+ */
+
+const fs = require('fs');
+const argv = require('argv');
+const mockServer = require('./lib/mockServer.js');
+const utils = require('./lib/utils.js');
+const logger = require('./lib/logger.js');
+const errors = require('./lib/errors.js');
+
+// The OCID of the Vault secret that serves --secretfile
+const MOCK_SECRET_ID = 'ocid1.vaultsecret.oc1..mock';
+
+const OPTIONS = [
+  {
+    name: 'port',
+    type: 'int',
+    description: 'The port to listen on. Defaults to 8080. 0 picks a free port.',
+    example: '--port=8080'
+  },
+  {
+    name: 'host',
+    type: 'string',
+    description: 'The address to listen on. Defaults to 127.0.0.1.',
+    example: '--host=0.0.0.0'
+  },
+  {
+    name: 'scenario',
+    type: 'string',
+    description: 'The scenario for the export tasks whose names don\'t pick one. Defaults to success.',
+    example: '--scenario=rate-limited'
+  },
+  {
+    name: 'scenariofile',
+    type: 'string',
+    description: 'A YAML or JSON file with more scenarios, and the default scenario (see lib/mockServer.js).',
+    example: '--scenariofile=~/scenarios.yaml'
+  },
+  {
+    name: 'keyfile',
+    type: 'string',
+    description: 'The API signing key\'s PEM public key, or its unencrypted private key, to verify the signatures with. ' +
+      'Without it, the signed headers, body hash, and date are checked but not the signature.',
+    example: '--keyfile=~/.oci/oci_api_key_public.pem'
+  },
+  {
+    name: 'keyid',
+    type: 'string',
+    description: 'The only keyId to accept: <tenancy ID>/<user ID>/<key fingerprint>.'
+  },
+  {
+    name: 'secretfile',
+    type: 'string',
+    description: `A file, such as a PEM private key, to serve as the content of the Vault secret ${MOCK_SECRET_ID}.`,
+    example: '--secretfile=~/.oci/oci_api_key.pem'
+  },
+  {
+    name: 'loglevel',
+    type: 'string',
+    description: 'error, warn, info (each request, the default), or debug.'
+  }
+];
+
+const run = async () => {
+  argv.info('Runs a mock of the ODA insights data export API. Send the script\'s requests to it with --baseurl.');
+  const parameters = argv.option(OPTIONS).run().options;
+  try {
+    logger.configure({ level: parameters.loglevel });
+    const settings = { defaultScenario: parameters.scenario, keyId: parameters.keyid, log: logger.info };
+    if (parameters.scenariofile) {
+      const file = mockServer.readScenarios(utils.expandHome(parameters.scenariofile));
+      settings.scenarios = file.scenarios;
+      settings.defaultScenario = parameters.scenario || file.defaultScenario;
+    }
+    if (parameters.keyfile) {
+      try {
+        settings.publicKey = fs.readFileSync(utils.expandHome(parameters.keyfile), 'utf8');
+      } catch (err) {
+        throw new errors.InvalidArgumentsError([`The key file ${parameters.keyfile} can't be read: ${err.message}`]);
+      }
+    }
+    if (parameters.secretfile) {
+      try {
+        settings.secrets = { [MOCK_SECRET_ID]: fs.readFileSync(utils.expandHome(parameters.secretfile), 'utf8') };
+      } catch (err) {
+        throw new errors.InvalidArgumentsError([`The secret file ${parameters.secretfile} can't be read: ${err.message}`]);
+      }
+    }
+    const server = mockServer.createMockServer(settings);
+    if (!settings.publicKey) {
+      logger.warn('Without --keyfile, the signatures aren\'t verified.');
+    }
+    const baseUrl = await server.listen(parameters.port === undefined ? 8080 : parameters.port, parameters.host);
+    logger.info(`The mock ODA server is listening on ${baseUrl}. Run the script with --baseurl=${baseUrl}.`);
+    logger.info(`Scenarios: ${Object.keys(Object.assign({}, mockServer.SCENARIOS, settings.scenarios)).join(', ')}`);
+    logger.info(`For instance principal authentication, set metadata_endpoint=${baseUrl}/opc/v2 and ` +
+      `federation_endpoint=${baseUrl}/v1/x509 in the config file.`);
+    if (settings.secrets) {
+      logger.info(`For a Vault key source, set key_source=vault:${MOCK_SECRET_ID} and secrets_endpoint=${baseUrl} in the config file.`);
+    }
+    process.on('SIGINT', () => server.close().then(() => process.exit(0)));
+    process.on('SIGTERM', () => server.close().then(() => process.exit(0)));
+  } catch (err) {
+    logger.error(err.message);
+    process.exit(err instanceof errors.InvalidArgumentsError ? 2 : 1);
+  }
+};
+
+run();
@@ -0,0 +1,100 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const auth = require('../lib/auth.js');
+const errors = require('../lib/errors.js');
+const helpers = require('./helpers.js');
+
+describe('auth.createInstancePrincipalSigner against the mock server', () => {
+  let server;
+
+  before(async () => {
+    server = await helpers.startMockServer({ instance: { tenancyId: 'ocid1.tenancy.oc1..aaaainstance', region: 'eu-frankfurt-1' } });
+  });
+
+  after(async () => {
+    await server.mock.close();
+  });
+
+  function createSigner (options) {
+    return auth.createInstancePrincipalSigner(Object.assign({
+      metadataEndpoint: `${server.baseUrl}/opc/v2`,
+      federationEndpoint: `${server.baseUrl}/v1/x509`
+    }, options));
+  }
+
+  it('gets a security token and the region', async () => {
+    const signer = createSigner();
+    const signingKey = await signer.getSigningKey();
+    assert.match(signingKey.keyId, /^ST\$[\w-]+\.[\w-]+\.\w+$/);
+    assert.match(signingKey.privateKey, /BEGIN PRIVATE KEY/);
+    assert.strictEqual(signer.region, 'eu-frankfurt-1');
+    assert.ok(auth.getTokenExpiry(signingKey.keyId.slice(3)) > Date.now());
+  });
+
+  it('reuses the token until it\'s about to expire', async () => {
+    const signer = createSigner();
+    const [first, second] = await Promise.all([signer.getSigningKey(), signer.getSigningKey()]);
+    assert.strictEqual(first, second);
+    assert.strictEqual(await signer.getSigningKey(), first);
+  });
+
+  it('signs the export requests with the token', async () => {
+    const client = server.createClient({ signer: createSigner() });
+    const started = await client.startExport({ target: 'skill', id: 'skill1', taskName: 'success-instance' });
+    const task = await client.waitForExport(started.jobId);
+    assert.strictEqual(task.status, 'EXPORT_SUCCEEDED');
+  });
+
+  it('reads the tenancy from the instance certificate', async () => {
+    const certificate = await new Promise((resolve, reject) => {
+      http.get(`${server.baseUrl}/opc/v2/identity/cert.pem`, { headers: { Authorization: 'Bearer Oracle' } }, (response) => {
+        let body = '';
+        response.on('data', (chunk) => {
+          body += chunk;
+        });
+        response.on('end', () => resolve(body));
+      }).on('error', reject);
+    });
+    assert.strictEqual(auth.getCertificateTenancy(certificate), 'ocid1.tenancy.oc1..aaaainstance');
+  });
+
+  it('fails with an AuthError when the metadata service can\'t be reached', async () => {
+    const signer = createSigner({ metadataEndpoint: 'http://127.0.0.1:1/opc/v2', http: { maxRetries: 1, connectTimeout: 1000 } });
+    await assert.rejects(signer.getSigningKey(), (err) => {
+      assert.ok(err instanceof errors.AuthError);
+      assert.match(err.message, /GET http:\/\/127\.0\.0\.1:1\/opc\/v2\/instance\/canonicalRegionName failed/);
+      return true;
+    });
+  });
+
+  it('fails with an AuthError when the federation endpoint rejects the request', async () => {
+    const signer = createSigner({ federationEndpoint: `${server.baseUrl}/v1/x509/other`, http: { maxRetries: 0 } });
+    await assert.rejects(signer.getSigningKey(), (err) => {
+      assert.ok(err instanceof errors.AuthError);
+      assert.match(err.message, /POST .*\/v1\/x509\/other failed: 401/);
+      return true;
+    });
+  });
+});
+
+describe('auth.createResourcePrincipalSigner', () => {
+  it('uses the session token and key in the environment', async () => {
+    const payload = Buffer.from(JSON.stringify({ exp: Math.floor(Date.now() / 1000) + 600 })).toString('base64');
+    const token = `e30.${payload}.sig`;
+    const signer = auth.createResourcePrincipalSigner({
+      OCI_RESOURCE_PRINCIPAL_VERSION: '2.2',
+      OCI_RESOURCE_PRINCIPAL_RPST: token,
+      OCI_RESOURCE_PRINCIPAL_PRIVATE_PEM: helpers.getKeyPair().privateKey,
+      OCI_RESOURCE_PRINCIPAL_REGION: 'us-phoenix-1'
+    });
+    assert.strictEqual(signer.region, 'us-phoenix-1');
+    const signingKey = await signer.getSigningKey();
+    assert.strictEqual(signingKey.keyId, `ST$${token}`);
+  });
+
+  it('requires version 2.2', () => {
+    assert.throws(() => auth.createResourcePrincipalSigner({ OCI_RESOURCE_PRINCIPAL_VERSION: '1.1' }), /requires OCI_RESOURCE_PRINCIPAL_VERSION 2.2/);
+  });
+});
@@ -0,0 +1,111 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const batch = require('../lib/batch.js');
+const helpers = require('./helpers.js');
+
+describe('batch.run against the mock server', () => {
+  let server;
+  let dir;
+  let configFile;
+
+  before(async () => {
+    server = await helpers.startMockServer();
+  });
+
+  after(async () => {
+    await server.mock.close();
+  });
+
+  beforeEach(() => {
+    dir = helpers.makeTempDir();
+    const keyFile = path.join(dir, 'key.pem');
+    fs.writeFileSync(keyFile, helpers.getKeyPair().privateKey, { mode: 0o600 });
+    configFile = path.join(dir, 'config');
+    fs.writeFileSync(configFile, [
+      '[DEFAULT]',
+      `tenancy=${helpers.KEY_ID.tenancyId}`,
+      `user=${helpers.KEY_ID.userId}`,
+      `fingerprint=${helpers.KEY_ID.fingerprint}`,
+      `key_file=${keyFile}`,
+      `base_url=${server.baseUrl}`
+    ].join('\n'), { mode: 0o600 });
+  });
+
+  afterEach(() => {
+    helpers.removeDir(dir);
+  });
+
+  /*
+   * Writes a manifest with one instance that exports a skill, and runs it.
+   *
+   * @param defaults - more manifest defaults
+   * @param parameters - the command line arguments
+   * @param instances - (optional) more instances
+   */
+  function runBatch (defaults, parameters, instances) {
+    const manifest = path.join(dir, 'manifest.json');
+    fs.writeFileSync(manifest, JSON.stringify({
+      defaults: Object.assign({
+        configpath: configFile,
+        begindate: '2024-01-01',
+        enddate: '2024-01-31',
+        polldelay: '10ms',
+        maxpolldelay: '50ms'
+      }, defaults),
+      instances: [{ name: 'prod', exports: [{ target: 'skill', id: ['skill1'], taskname: 'success-batch' }] }].concat(instances || [])
+    }));
+    return batch.run(Object.assign({ manifest, ledger: path.join(dir, 'jobs.json') }, parameters));
+  }
+
+  it('uses the command line arguments over the manifest defaults', async () => {
+    const manifestOut = path.join(dir, 'manifest-out');
+    const commandLineOut = path.join(dir, 'command-line-out');
+    const result = await runBatch({ outpath: manifestOut }, { outpath: commandLineOut });
+    assert.deepStrictEqual(result.instances.map((instance) => instance.outcome), ['SUCCESS']);
+    assert.strictEqual(result.jobs[0].files[0].path, `${commandLineOut}/prod/skill/${result.jobs[0].files[0].fileName}`);
+    assert.strictEqual(fs.existsSync(manifestOut), false);
+  });
+
+  it('has the outcome AUTH_ERROR when an instance\'s key can\'t be read', async () => {
+    const result = await runBatch({ outpath: dir }, {}, [{ name: 'dev', keysource: 'env:ODAEXPORT_TEST_MISSING_KEY', target: 'instance' }]);
+    assert.deepStrictEqual(result.instances.map((instance) => [instance.name, instance.outcome]), [['prod', 'SUCCESS'], ['dev', 'AUTH_ERROR']]);
+    assert.strictEqual(result.outcome, 'AUTH_ERROR');
+  });
+
+  it('has the outcome INVALID_ARGUMENTS when an instance\'s config file can\'t be read', async () => {
+    const result = await runBatch({ outpath: dir }, {}, [{ name: 'dev', configpath: path.join(dir, 'missing'), target: 'instance' }]);
+    assert.deepStrictEqual(result.instances.map((instance) => [instance.name, instance.outcome]), [['prod', 'SUCCESS'], ['dev', 'INVALID_ARGUMENTS']]);
+    assert.strictEqual(result.outcome, 'INVALID_ARGUMENTS');
+  });
+
+  it('uploads each export under <destination>/<instance name>/<export name>', async () => {
+    const uploads = [];
+    const store = http.createServer((request, response) => {
+      request.resume();
+      request.on('end', () => {
+        if (request.method === 'PUT') {
+          uploads.push(request.url);
+        }
+        response.writeHead(request.method === 'HEAD' ? 404 : 200);
+        response.end();
+      });
+    });
+    await new Promise((resolve) => store.listen(0, '127.0.0.1', resolve));
+    const saved = Object.assign({}, process.env);
+    try {
+      process.env.AWS_ACCESS_KEY_ID = 'AKIDEXAMPLE';
+      process.env.AWS_SECRET_ACCESS_KEY = 'secret';
+      const result = await runBatch({ destination: 's3://exports/oda/', s3endpoint: `http://127.0.0.1:${store.address().port}` });
+      assert.deepStrictEqual(result.instances.map((instance) => instance.outcome), ['SUCCESS']);
+      assert.strictEqual(uploads.length, 1);
+      assert.match(uploads[0], /^\/exports\/oda\/prod\/skill\/[^/]+\.zip$/);
+    } finally {
+      process.env = saved;
+      await new Promise((resolve) => store.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const assert = require('assert');
+const csv = require('../lib/csv.js');
+
+/*
+ * Parses the chunks of CSV text with a CsvParser.
+ *
+ * Resolves with the records
+ */
+function parseChunks (chunks) {
+  return new Promise((resolve, reject) => {
+    const parser = new csv.CsvParser();
+    const records = [];
+    parser.on('data', (record) => records.push(record));
+    parser.on('end', () => resolve(records));
+    parser.on('error', reject);
+    chunks.forEach((chunk) => parser.write(chunk));
+    parser.end();
+  });
+}
+
+describe('csv.CsvParser', () => {
+  it('parses records and skips blank lines', async () => {
+    const records = await parseChunks(['a,b,c\n1,2,3\n\n4,,6\n']);
+    assert.deepStrictEqual(records, [['a', 'b', 'c'], ['1', '2', '3'], ['4', '', '6']]);
+  });
+
+  it('parses the last record without a line ending', async () => {
+    assert.deepStrictEqual(await parseChunks(['a,b\n1,2']), [['a', 'b'], ['1', '2']]);
+  });
+
+  it('handles CRLF line endings', async () => {
+    assert.deepStrictEqual(await parseChunks(['a,b\r\n1,2\r\n']), [['a', 'b'], ['1', '2']]);
+  });
+
+  it('skips a leading byte order mark', async () => {
+    assert.deepStrictEqual(await parseChunks(['\uFEFFa,b\n']), [['a', 'b']]);
+  });
+
+  it('handles quoted fields with commas, line breaks, and escaped quotes', async () => {
+    const records = await parseChunks(['id,text\n1,"Hello, ""world""\nbye"\n2,"",x\n']);
+    assert.deepStrictEqual(records, [['id', 'text'], ['1', 'Hello, "world"\nbye'], ['2', '', 'x']]);
+  });
+
+  it('keeps a quote inside an unquoted field', async () => {
+    assert.deepStrictEqual(await parseChunks(['5" screen,b\n']), [['5" screen', 'b']]);
+  });
+
+  it('handles quotes and multibyte characters split across chunks', async () => {
+    const bytes = Buffer.from('"a""b",ü\n');
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i++) {
+      chunks.push(bytes.slice(i, i + 1));
+    }
+    assert.deepStrictEqual(await parseChunks(chunks), [['a"b', 'ü']]);
+  });
+});
+
+describe('csv.formatRow', () => {
+  it('quotes only the values that need it', () => {
+    assert.strictEqual(csv.formatRow(['a', 'b,c', 'say "hi"', 'x\ny', 1, null, undefined]),
+      'a,"b,c","say ""hi""","x\ny",1,,\n');
+  });
+
+  it('formats values that CsvParser parses back', async () => {
+    const values = ['1', 'Hello, "world"', 'line\r\nbreak', ''];
+    assert.deepStrictEqual(await parseChunks([csv.formatRow(values)]), [values]);
+  });
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+const assert = require('assert');
+const dateRange = require('../lib/dateRange.js');
+
+// Friday, March 15, 2024 at noon, local time
+const NOW = new Date(2024, 2, 15, 12);
+
+describe('dateRange.parse', () => {
+  it('parses a date', () => {
+    assert.deepStrictEqual(dateRange.parse('2024-02-29', NOW), { value: '2024-02-29' });
+  });
+
+  it('rejects a date that doesn\'t exist', () => {
+    assert.throws(() => dateRange.parse('2023-02-29', NOW), /isn't a valid date/);
+  });
+
+  it('converts a timestamp with a time zone to UTC', () => {
+    assert.deepStrictEqual(dateRange.parse('2024-01-31T18:00:00+01:00', NOW), { value: '2024-01-31T17:00:00.000Z' });
+    assert.deepStrictEqual(dateRange.parse('2024-01-31T18:00Z', NOW), { value: '2024-01-31T18:00:00.000Z' });
+  });
+
+  it('rejects a timestamp without a time zone', () => {
+    assert.throws(() => dateRange.parse('2024-01-31T18:00:00', NOW), /with a time zone/);
+  });
+
+  it('parses today, yesterday, and now', () => {
+    assert.deepStrictEqual(dateRange.parse('today', NOW), { value: '2024-03-15' });
+    assert.deepStrictEqual(dateRange.parse('Yesterday', NOW), { value: '2024-03-14' });
+    assert.deepStrictEqual(dateRange.parse('now', NOW), { value: NOW.toISOString() });
+  });
+
+  it('parses days, weeks, and hours ago', () => {
+    assert.deepStrictEqual(dateRange.parse('7d', NOW), { value: '2024-03-08' });
+    assert.deepStrictEqual(dateRange.parse('2w', NOW), { value: '2024-03-01' });
+    assert.deepStrictEqual(dateRange.parse('3h', NOW), { value: new Date(2024, 2, 15, 9).toISOString() });
+  });
+
+  it('parses the periods', () => {
+    assert.deepStrictEqual(dateRange.parse('last-week', NOW), { value: '2024-03-04', end: '2024-03-10' });
+    assert.deepStrictEqual(dateRange.parse('last-month', NOW), { value: '2024-02-01', end: '2024-02-29' });
+    assert.deepStrictEqual(dateRange.parse('wtd', NOW), { value: '2024-03-11', end: '2024-03-15' });
+    assert.deepStrictEqual(dateRange.parse('mtd', NOW), { value: '2024-03-01', end: '2024-03-15' });
+    assert.deepStrictEqual(dateRange.parse('ytd', NOW), { value: '2024-01-01', end: '2024-03-15' });
+  });
+
+  it('starts last-month in the previous year in January', () => {
+    assert.deepStrictEqual(dateRange.parse('last-month', new Date(2024, 0, 10)), { value: '2023-12-01', end: '2023-12-31' });
+  });
+
+  it('rejects anything else', () => {
+    assert.throws(() => dateRange.parse('last-year', NOW), /isn't a date \(YYYY-MM-DD\)/);
+  });
+});
+
+describe('dateRange.resolve', () => {
+  it('resolves both ends', () => {
+    const problems = [];
+    assert.deepStrictEqual(dateRange.resolve('2024-01-01', 'yesterday', problems, NOW), { beginDate: '2024-01-01', endDate: '2024-03-14' });
+    assert.deepStrictEqual(problems, []);
+  });
+
+  it('leaves out the ends that aren\'t given', () => {
+    const problems = [];
+    assert.deepStrictEqual(dateRange.resolve(undefined, ' ', problems, NOW), {});
+    assert.deepStrictEqual(problems, []);
+  });
+
+  it('uses the end of a period as the end date', () => {
+    const problems = [];
+    assert.deepStrictEqual(dateRange.resolve('last-week', undefined, problems, NOW), { beginDate: '2024-03-04', endDate: '2024-03-10' });
+    assert.deepStrictEqual(dateRange.resolve('2024-01-01', 'last-month', problems, NOW), { beginDate: '2024-01-01', endDate: '2024-02-29' });
+    assert.deepStrictEqual(problems, []);
+  });
+
+  it('lets the end date override the end of a period', () => {
+    const problems = [];
+    assert.deepStrictEqual(dateRange.resolve('ytd', '2024-02-01', problems, NOW), { beginDate: '2024-01-01', endDate: '2024-02-01' });
+    assert.deepStrictEqual(problems, []);
+  });
+
+  it('reports dates that can\'t be parsed', () => {
+    const problems = [];
+    dateRange.resolve('soon', '2024-13-01', problems, NOW);
+    assert.strictEqual(problems.length, 2);
+    assert.match(problems[0], /^The begin date soon isn't a date/);
+    assert.match(problems[1], /^The end date 2024-13-01 isn't a valid date/);
+  });
+
+  it('reports dates in the future', () => {
+    const problems = [];
+    dateRange.resolve('2024-03-16', '2025-01-01', problems, NOW);
+    assert.deepStrictEqual(problems, [
+      'The begin date 2024-03-16 is in the future.',
+      'The end date 2025-01-01 is in the future.'
+    ]);
+  });
+
+  it('reports a begin date after the end date', () => {
+    const problems = [];
+    dateRange.resolve('2024-03-02', '2024-03-01', problems, NOW);
+    assert.deepStrictEqual(problems, ['The begin date 2024-03-02 is after the end date 2024-03-01.']);
+  });
+
+  it('accepts a begin timestamp on the end date', () => {
+    const problems = [];
+    dateRange.resolve(new Date(2024, 2, 1, 23).toISOString(), '2024-03-01', problems, NOW);
+    assert.deepStrictEqual(problems, []);
+  });
+});
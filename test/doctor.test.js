@@ -0,0 +1,100 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const doctor = require('../lib/doctor.js');
+const helpers = require('./helpers.js');
+
+describe('doctor', () => {
+  describe('checkOcid', () => {
+    it('accepts an OCID of the resource type', () => {
+      assert.strictEqual(doctor.checkOcid(helpers.KEY_ID.userId, 'user'), undefined);
+    });
+
+    it('explains an OCID of another resource type', () => {
+      assert.match(doctor.checkOcid(helpers.KEY_ID.userId, 'tenancy'), /is the OCID of a user, not a tenancy/);
+    });
+  });
+
+  describe('run against the mock server', () => {
+    let dir;
+    let keyFile;
+    // helpers.KEY_ID's fingerprint isn't the test key's, which the doctor checks
+    let fingerprint;
+
+    beforeEach(() => {
+      dir = helpers.makeTempDir();
+      keyFile = path.join(dir, 'key.pem');
+      fs.writeFileSync(keyFile, helpers.getKeyPair().privateKey, { mode: 0o600 });
+      fingerprint = doctor.getFingerprint(helpers.getKeyPair().privateKey);
+    });
+
+    afterEach(() => {
+      helpers.removeDir(dir);
+    });
+
+    /*
+     * Starts a mock server, writes a config file for it, and runs the checks.
+     *
+     * Returns the doctor result, with the check statuses by name in statuses
+     *
+     * @param serverOptions - (optional) the mock server options
+     * @param entries - (optional) config entries that replace the defaults, by name
+     */
+    async function runDoctor (serverOptions, entries) {
+      const server = await helpers.startMockServer(Object.assign({
+        keyId: `${helpers.KEY_ID.tenancyId}/${helpers.KEY_ID.userId}/${fingerprint}`
+      }, serverOptions));
+      try {
+        const configEntries = Object.assign({
+          tenancy: helpers.KEY_ID.tenancyId,
+          user: helpers.KEY_ID.userId,
+          fingerprint,
+          key_file: keyFile,
+          base_url: server.baseUrl
+        }, entries);
+        const configFile = path.join(dir, 'config');
+        fs.writeFileSync(configFile, ['[DEFAULT]'].concat(Object.keys(configEntries).map((name) => `${name}=${configEntries[name]}`)).join('\n'),
+          { mode: 0o600 });
+        const result = await doctor.run({ configpath: configFile });
+        result.statuses = {};
+        result.checks.forEach((check) => {
+          result.statuses[check.name] = check.status;
+        });
+        return result;
+      } finally {
+        await server.mock.close();
+      }
+    }
+
+    it('passes every check with the matching fingerprint', async () => {
+      const result = await runDoctor();
+      assert.strictEqual(result.outcome, 'SUCCESS');
+      assert.deepStrictEqual(result.statuses,
+        { config: 'OK', ocids: 'OK', key: 'OK', fingerprint: 'OK', domain: 'OK', signature: 'OK', clock: 'OK', request: 'OK' });
+      assert.match(result.checks.find((check) => check.name === 'request').signingString, /^\(request-target\): get \/api\/v1\/bots\/insights\/dataExports\?limit=1$/m);
+    });
+
+    it('explains a fingerprint that isn\'t the key\'s', async () => {
+      const result = await runDoctor(undefined, { fingerprint: '00:11:22:33:44:55:66:77:88:99:aa:bb:cc:dd:ee:ff' });
+      assert.strictEqual(result.outcome, 'AUTH_ERROR');
+      assert.deepStrictEqual(result.statuses,
+        { config: 'OK', ocids: 'OK', key: 'OK', fingerprint: 'FAIL', domain: 'OK', signature: 'OK', clock: 'OK', request: 'FAIL' });
+      const checks = result.checks.filter((check) => check.status === 'FAIL');
+      assert.match(checks[0].message, new RegExp(`isn't the key's fingerprint ${fingerprint}`));
+      assert.match(checks[1].message, /returned 401/);
+      assert.match(checks[1].hint, /^The likely cause: the fingerprint doesn't match the key/);
+    });
+
+    it('explains a clock that\'s more than 5 minutes off the server\'s', async () => {
+      const result = await runDoctor({ clockOffset: 10 * 60 * 1000 });
+      assert.strictEqual(result.outcome, 'AUTH_ERROR');
+      assert.deepStrictEqual(result.statuses,
+        { config: 'OK', ocids: 'OK', key: 'OK', fingerprint: 'OK', domain: 'OK', signature: 'OK', clock: 'FAIL', request: 'FAIL' });
+      const checks = result.checks.filter((check) => check.status === 'FAIL');
+      assert.match(checks[0].message, /^The local clock is 60\d second\(s\) behind the server's\.$/);
+      assert.match(checks[1].hint, /^The likely cause: the clock is off/);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const exportDaInsights = require('../lib/export-da-insights.js');
+const errors = require('../lib/errors.js');
+const helpers = require('./helpers.js');
+
+describe('exportData against the mock server', () => {
+  let server;
+  let client;
+  let dir;
+  let outDir;
+
+  before(async () => {
+    server = await helpers.startMockServer({ scenarios: { 'rate-limited': { throttle: 2, retryAfter: 0 } } });
+    client = server.createClient();
+  });
+
+  after(async () => {
+    await server.mock.close();
+  });
+
+  beforeEach(() => {
+    dir = helpers.makeTempDir();
+    outDir = path.join(dir, 'out');
+    fs.mkdirSync(outDir);
+  });
+
+  afterEach(() => {
+    helpers.removeDir(dir);
+  });
+
+  /*
+   * Runs exportData for a skill with the scenario as the task name.
+   * The ledger and state files are in the temporary directory.
+   *
+   * @param scenario - the mock server scenario
+   * @param parameters - (optional) more script arguments
+   */
+  function runExport (scenario, parameters) {
+    return exportDaInsights.exportData(Object.assign({
+      target: 'skill',
+      id: ['skill1'],
+      taskname: `${scenario}-test`,
+      outpath: outDir,
+      begindate: '2024-01-01',
+      enddate: '2024-01-31',
+      ledger: path.join(dir, 'jobs.json'),
+      statefile: path.join(dir, 'state.json')
+    }, parameters), client);
+  }
+
+  /*
+   * Checks that the job's files were downloaded to the directory.
+   */
+  function checkFiles (job, directory, count) {
+    assert.strictEqual(job.files.length, count);
+    job.files.forEach((file) => {
+      assert.strictEqual(file.path, `${directory}/${file.fileName}`);
+      assert.strictEqual(fs.statSync(file.path).size, file.size);
+    });
+  }
+
+  it('downloads the files of an export that succeeds (success)', async () => {
+    const { jobs } = await runExport('success');
+    assert.strictEqual(jobs.length, 1);
+    const job = jobs[0];
+    assert.strictEqual(job.status, 'EXPORT_SUCCEEDED');
+    assert.strictEqual(job.target, 'skill');
+    assert.strictEqual(job.id, 'skill1');
+    assert.strictEqual(job.beginDate, '2024-01-01');
+    assert.strictEqual(job.endDate, '2024-01-31');
+    checkFiles(job, outDir, 1);
+    const ledger = JSON.parse(fs.readFileSync(path.join(dir, 'jobs.json'), 'utf8'));
+    assert.ok(JSON.stringify(ledger).includes(job.jobId));
+  });
+
+  it('reports an export without data (no-data)', async () => {
+    const { jobs } = await runExport('no-data');
+    assert.strictEqual(jobs[0].status, 'NO_DATA');
+    assert.deepStrictEqual(jobs[0].files, []);
+  });
+
+  it('reports a failed export (failed)', async () => {
+    const { jobs } = await runExport('failed');
+    assert.strictEqual(jobs[0].status, 'EXPORT_FAILED');
+    assert.strictEqual(jobs[0].error, 'The export failed because of an internal error.');
+  });
+
+  it('downloads all the files of an export (multi-file)', async () => {
+    const { jobs } = await runExport('multi-file');
+    checkFiles(jobs[0], outDir, 3);
+  });
+
+  it('retries the requests that are throttled (rate-limited)', async () => {
+    const { jobs } = await runExport('rate-limited');
+    assert.strictEqual(jobs[0].status, 'EXPORT_SUCCEEDED');
+    checkFiles(jobs[0], outDir, 1);
+  });
+
+  it('resumes a download that was cut off (truncated)', async () => {
+    const { jobs } = await runExport('truncated');
+    assert.strictEqual(jobs[0].status, 'EXPORT_SUCCEEDED');
+    checkFiles(jobs[0], outDir, 1);
+    const mockFile = server.mock.tasks[jobs[0].jobId].files[0];
+    assert.deepStrictEqual(fs.readFileSync(jobs[0].files[0].path), mockFile.data);
+  });
+
+  it('exports each ID to its own subdirectory', async () => {
+    const { jobs } = await runExport('success', { id: ['skill1', 'skill2'] });
+    assert.deepStrictEqual(jobs.map((job) => job.id), ['skill1', 'skill2']);
+    checkFiles(jobs[0], `${outDir}/skill1`, 1);
+    checkFiles(jobs[1], `${outDir}/skill2`, 1);
+  });
+
+  it('exports the date range in chunks', async () => {
+    const { jobs } = await runExport('success', { begindate: '2024-01-01', enddate: '2024-01-10', chunk: 'week' });
+    assert.deepStrictEqual(jobs.map((job) => [job.beginDate, job.endDate, job.status]), [
+      ['2024-01-01', '2024-01-07', 'EXPORT_SUCCEEDED'],
+      ['2024-01-08', '2024-01-10', 'EXPORT_SUCCEEDED']
+    ]);
+  });
+
+  it('starts an incremental export after the last one', async () => {
+    let result = await runExport('success', { incremental: true, begindate: '2024-01-01', enddate: '2024-01-10' });
+    assert.strictEqual(result.jobs[0].status, 'EXPORT_SUCCEEDED');
+    result = await runExport('success', { incremental: true, begindate: '2024-01-01', enddate: '2024-01-10' });
+    assert.deepStrictEqual(result.jobs, [{ target: 'skill', id: 'skill1', status: 'UP_TO_DATE' }]);
+    result = await runExport('success', { incremental: true, begindate: '2024-01-01', enddate: '2024-01-20' });
+    assert.strictEqual(result.jobs[0].beginDate, '2024-01-11');
+    assert.strictEqual(result.jobs[0].endDate, '2024-01-20');
+  });
+
+  it('writes the report of the mock server\'s data', async () => {
+    const { jobs } = await runExport('success', { report: true });
+    const markdown = fs.readFileSync(jobs[0].report.markdown, 'utf8');
+    assert.strictEqual(path.dirname(jobs[0].report.html), outDir);
+    assert.ok(fs.existsSync(jobs[0].report.html));
+    assert.deepStrictEqual(markdown.split('\n').filter((line) => line.startsWith('## ')),
+      ['## Conversations', '## Top intents', '## Top unresolved utterances', '## Channels', '## Conversations by day']);
+  });
+
+  it('downloads and extracts the files of an earlier export', async () => {
+    const { jobs } = await runExport('success');
+    const downloadDir = path.join(dir, 'download');
+    const config = Object.assign({ baseUrl: server.baseUrl, privateKey: helpers.getKeyPair().privateKey }, helpers.KEY_ID);
+    const result = await exportDaInsights.download({
+      jobid: jobs[0].jobId,
+      outpath: downloadDir,
+      extract: 'csv',
+      ledger: path.join(dir, 'jobs.json'),
+      polldelay: '10ms'
+    }, config);
+    checkFiles(result.jobs[0], downloadDir, 1);
+    assert.ok(result.jobs[0].manifest.startsWith(downloadDir), result.jobs[0].manifest);
+    assert.ok(fs.existsSync(result.jobs[0].manifest));
+  });
+
+  it('rejects invalid arguments', async () => {
+    await assert.rejects(runExport('success', { outpath: path.join(dir, 'missing'), id: [] }), (err) => {
+      assert.ok(err instanceof errors.InvalidArgumentsError);
+      assert.strictEqual(err.problems.length, 2);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const extract = require('../lib/extract.js');
+const mockServer = require('../lib/mockServer.js');
+const helpers = require('./helpers.js');
+
+describe('extract.extractExports', () => {
+  let dir;
+  let zipFiles;
+
+  beforeEach(() => {
+    dir = helpers.makeTempDir();
+    // The second ZIP file's conversations have another column, in a different order
+    zipFiles = [
+      ['a.zip', [
+        ['conversations.csv', 'ID,CHANNEL\nc1,web\nc2,slack\n'],
+        ['messages.csv', 'ID,TEXT\nm1,"hi, there"\n']
+      ]],
+      ['b.zip', [
+        ['conversations_1.csv', 'ID,OUTCOME,CHANNEL\nc3,completed,web\n'],
+        ['messages.csv', 'ID,TEXT\nm2,bye\n']
+      ]]
+    ].map(([name, entries]) => {
+      const file = path.join(dir, name);
+      fs.writeFileSync(file, mockServer.createZip(entries.map(([entryName, text]) => ({ name: entryName, data: Buffer.from(text) }))));
+      return file;
+    });
+  });
+
+  afterEach(() => {
+    helpers.removeDir(dir);
+  });
+
+  const options = { target: 'skill', targetId: 'skill1', beginDate: '2024-01-01', endDate: '2024-01-31', jobId: 'job1' };
+
+  /*
+   * Checks the manifest's tables, and returns the contents of each table's file.
+   */
+  function checkManifest (manifest, format) {
+    assert.strictEqual(manifest.file, path.join(dir, 'extracted', 'skill1_2024-01-01_2024-01-31_manifest.json'));
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(manifest.file, 'utf8')).tables, manifest.tables);
+    assert.deepStrictEqual(manifest.tables.map((table) => [table.name, table.file, table.columns, table.rows, table.sources]), [
+      ['conversations', `skill1_2024-01-01_2024-01-31_conversations.${format}`, ['ID', 'CHANNEL', 'OUTCOME'], 3,
+        ['a.zip:conversations.csv', 'b.zip:conversations_1.csv']],
+      ['messages', `skill1_2024-01-01_2024-01-31_messages.${format}`, ['ID', 'TEXT'], 2, ['a.zip:messages.csv', 'b.zip:messages.csv']]
+    ]);
+    return manifest.tables.map((table) => fs.readFileSync(path.join(dir, 'extracted', table.file), 'utf8'));
+  }
+
+  it('merges the tables into CSV files with the columns of all the files', async () => {
+    const manifest = await extract.extractExports(zipFiles, dir, Object.assign({ format: 'csv' }, options));
+    const [conversations, messages] = checkManifest(manifest, 'csv');
+    assert.strictEqual(conversations, 'ID,CHANNEL,OUTCOME\nc1,web,\nc2,slack,\nc3,web,completed\n');
+    assert.strictEqual(messages, 'ID,TEXT\nm1,"hi, there"\nm2,bye\n');
+  });
+
+  it('merges the tables into JSONL files with the columns of all the files', async () => {
+    const manifest = await extract.extractExports(zipFiles, dir, Object.assign({ format: 'jsonl' }, options));
+    const [conversations, messages] = checkManifest(manifest, 'jsonl');
+    assert.deepStrictEqual(conversations.trim().split('\n').map((line) => JSON.parse(line)), [
+      { ID: 'c1', CHANNEL: 'web', OUTCOME: null },
+      { ID: 'c2', CHANNEL: 'slack', OUTCOME: null },
+      { ID: 'c3', CHANNEL: 'web', OUTCOME: 'completed' }
+    ]);
+    assert.deepStrictEqual(messages.trim().split('\n').map((line) => JSON.parse(line)), [
+      { ID: 'm1', TEXT: 'hi, there' },
+      { ID: 'm2', TEXT: 'bye' }
+    ]);
+  });
+
+  it('names the tables of the files that are split into parts the same', () => {
+    assert.strictEqual(extract.getTableName('export/Conversations_part2.csv'), 'conversations');
+    assert.strictEqual(extract.getTableName('skill-messages-1.csv'), 'skill_messages');
+  });
+});
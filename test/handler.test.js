@@ -0,0 +1,122 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const handler = require('../lib/handler.js');
+const helpers = require('./helpers.js');
+
+describe('handler', () => {
+  describe('getParameters', () => {
+    it('converts string payload values to the argument types', () => {
+      const parameters = handler.getParameters({ concurrency: '4', incremental: 'false', report: 'true', id: 'skill1,skill2' }, {});
+      assert.strictEqual(parameters.concurrency, 4);
+      assert.strictEqual(parameters.incremental, false);
+      assert.strictEqual(parameters.report, true);
+      assert.deepStrictEqual(parameters.id, ['skill1', 'skill2']);
+    });
+
+    it('uses the payload over the configuration variables and the defaults', () => {
+      const parameters = handler.getParameters({ concurrency: 2 }, { ODAEXPORT_CONCURRENCY: '6', ODAEXPORT_TARGET: 'instance' });
+      assert.strictEqual(parameters.concurrency, 2);
+      assert.strictEqual(parameters.target, 'instance');
+      assert.strictEqual(parameters.auth, 'resource_principal');
+      assert.strictEqual(parameters.ledger, path.join('/tmp/odaexport', '.odaexport', 'jobs.json'));
+    });
+  });
+
+  describe('handle against the mock server', () => {
+    let server;
+    let dir;
+    let configFile;
+
+    before(async () => {
+      server = await helpers.startMockServer();
+    });
+
+    after(async () => {
+      await server.mock.close();
+    });
+
+    beforeEach(() => {
+      dir = helpers.makeTempDir();
+      const keyFile = path.join(dir, 'key.pem');
+      fs.writeFileSync(keyFile, helpers.getKeyPair().privateKey, { mode: 0o600 });
+      configFile = path.join(dir, 'config');
+      fs.writeFileSync(configFile, [
+        '[DEFAULT]',
+        `tenancy=${helpers.KEY_ID.tenancyId}`,
+        `user=${helpers.KEY_ID.userId}`,
+        `fingerprint=${helpers.KEY_ID.fingerprint}`,
+        `key_file=${keyFile}`,
+        `base_url=${server.baseUrl}`
+      ].join('\n'), { mode: 0o600 });
+    });
+
+    afterEach(() => {
+      helpers.removeDir(dir);
+    });
+
+    /*
+     * Runs the handler with a payload that exports a skill with the scenario as the task name.
+     *
+     * @param scenario - the mock server scenario
+     * @param payload - (optional) more payload values
+     */
+    function invoke (scenario, payload) {
+      return handler.handle(JSON.stringify(Object.assign({
+        auth: 'api_key',
+        configpath: configFile,
+        target: 'skill',
+        id: ['skill1'],
+        taskname: `${scenario}-fn`,
+        begindate: '2024-01-01',
+        enddate: '2024-01-31',
+        outpath: path.join(dir, 'out'),
+        polldelay: '10ms',
+        maxpolldelay: '50ms',
+        loglevel: 'error'
+      }, payload)));
+    }
+
+    it('exports and reports SUCCESS', async () => {
+      const result = await invoke('success');
+      assert.strictEqual(result.status, 'OK');
+      assert.strictEqual(result.outcome, 'SUCCESS');
+      assert.strictEqual(result.exitCode, 0);
+      assert.strictEqual(result.jobs.length, 1);
+      assert.ok(fs.existsSync(result.jobs[0].files[0].path));
+      assert.ok(fs.existsSync(path.join(dir, 'out', '.odaexport', 'jobs.json')));
+    });
+
+    it('reports a failed export as an error', async () => {
+      const result = await invoke('failed');
+      assert.strictEqual(result.status, 'ERROR');
+      assert.strictEqual(result.outcome, 'EXPORT_FAILED');
+      assert.strictEqual(result.exitCode, 4);
+    });
+
+    it('reports AUTH_ERROR when the private key can\'t be loaded, like the script', async () => {
+      const result = await invoke('success', { keysource: 'env:ODAEXPORT_TEST_MISSING_KEY' });
+      assert.strictEqual(result.status, 'ERROR');
+      assert.strictEqual(result.outcome, 'AUTH_ERROR');
+      assert.strictEqual(result.exitCode, 6);
+      assert.match(result.error, /ODAEXPORT_TEST_MISSING_KEY/);
+      assert.deepStrictEqual(result.jobs, []);
+    });
+
+    it('reports INVALID_ARGUMENTS when the config file doesn\'t have the profile, like the script', async () => {
+      const result = await invoke('success', { profile: 'OTHER' });
+      assert.strictEqual(result.outcome, 'INVALID_ARGUMENTS');
+      assert.strictEqual(result.exitCode, 2);
+    });
+
+    it('accepts string payload values', async () => {
+      const result = await invoke('success', { id: 'skill1,skill2', concurrency: '2', incremental: 'false', report: 'false' });
+      assert.strictEqual(result.outcome, 'SUCCESS');
+      assert.deepStrictEqual(result.jobs.map((job) => job.id), ['skill1', 'skill2']);
+      assert.ok(result.jobs.every((job) => job.report === undefined));
+      assert.strictEqual(fs.existsSync(path.join(dir, 'out', '.odaexport', 'state.json')), false);
+    });
+  });
+});
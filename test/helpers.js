@@ -0,0 +1,78 @@
+'use strict';
+/*
+ * helpers.js
+ *
+ * Shared setup for the tests: a temporary directory, an API signing key,
+ * and the mock ODA server (see lib/mockServer.js) with a client for it.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const mockServer = require('../lib/mockServer.js');
+const odaInsightsClient = require('../lib/odaInsightsClient.js');
+const logger = require('../lib/logger.js');
+
+// Only the errors are printed while the tests run
+logger.configure({ level: 'error' });
+
+const KEY_ID = {
+  tenancyId: 'ocid1.tenancy.oc1..aaaatest',
+  userId: 'ocid1.user.oc1..aaaatest',
+  fingerprint: '12:34:56:78:9a:bc:de:f0:12:34:56:78:9a:bc:de:f0'
+};
+exports.KEY_ID = KEY_ID;
+
+let keyPair;
+
+/*
+ * Returns the test API signing key: { privateKey, publicKey } in PEM format.
+ * Generating a key is slow, so the tests share one.
+ */
+function getKeyPair () {
+  keyPair = keyPair || crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+  return keyPair;
+}
+exports.getKeyPair = getKeyPair;
+
+/*
+ * Creates a temporary directory that removeDir() deletes.
+ */
+function makeTempDir () {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'odaexport-test-'));
+}
+exports.makeTempDir = makeTempDir;
+
+function removeDir (dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+exports.removeDir = removeDir;
+
+/*
+ * Starts the mock server, which verifies the signatures with the test key.
+ *
+ * Returns { mock, baseUrl, createClient(options) }. Call mock.close() when done.
+ *
+ * @param options - (optional) more createMockServer options, such as scenarios
+ */
+async function startMockServer (options) {
+  const keyId = `${KEY_ID.tenancyId}/${KEY_ID.userId}/${KEY_ID.fingerprint}`;
+  const mock = mockServer.createMockServer(Object.assign({ publicKey: getKeyPair().publicKey, keyId }, options));
+  const baseUrl = await mock.listen(0);
+  return {
+    mock,
+    baseUrl,
+    createClient: (clientOptions) => new odaInsightsClient.OdaInsightsClient(Object.assign({
+      baseUrl,
+      privateKey: getKeyPair().privateKey,
+      pollDelay: 10,
+      maxPollDelay: 50
+    }, KEY_ID, clientOptions))
+  };
+}
+exports.startMockServer = startMockServer;
@@ -0,0 +1,115 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const auth = require('../lib/auth.js');
+const errors = require('../lib/errors.js');
+const httpClient = require('../lib/httpClient.js');
+const helpers = require('./helpers.js');
+
+/*
+ * Starts a local server with the request and CONNECT handlers.
+ *
+ * Returns { port, close() }. close() also ends the open connections.
+ */
+function startServer (onRequest, onConnect) {
+  const server = http.createServer(onRequest);
+  const sockets = new Set();
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  if (onConnect) {
+    server.on('connect', onConnect);
+  }
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      port: server.address().port,
+      close: () => new Promise((resolveClose) => {
+        sockets.forEach((socket) => socket.destroy());
+        server.close(() => resolveClose());
+      })
+    }));
+  });
+}
+
+describe('httpClient', () => {
+  describe('isNoProxyHost', () => {
+    it('matches host names, domain suffixes, and *', () => {
+      assert.strictEqual(httpClient.isNoProxyHost('oda.example.com', 'localhost, .example.com'), true);
+      assert.strictEqual(httpClient.isNoProxyHost('example.com', '*.example.com'), true);
+      assert.strictEqual(httpClient.isNoProxyHost('oda.example.org', 'example.com:443'), false);
+      assert.strictEqual(httpClient.isNoProxyHost('anything', '*'), true);
+      assert.strictEqual(httpClient.isNoProxyHost('anything', ''), false);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('uses Retry-After seconds or an HTTP date', () => {
+      assert.strictEqual(httpClient.getRetryDelay({ retryAfter: '3' }, 1), 3000);
+      const delay = httpClient.getRetryDelay({ retryAfter: new Date(Date.now() + 10000).toUTCString() }, 1);
+      assert.ok(delay > 8000 && delay <= 10000, `${delay}`);
+    });
+
+    it('backs off exponentially with jitter', () => {
+      const delay = httpClient.getRetryDelay({}, 3);
+      assert.ok(delay >= 2000 && delay <= 4000, `${delay}`);
+    });
+  });
+
+  describe('the instance principal\'s requests', () => {
+    let server;
+    let saved;
+
+    before(async () => {
+      server = await helpers.startMockServer();
+    });
+
+    after(async () => {
+      await server.mock.close();
+    });
+
+    beforeEach(() => {
+      saved = Object.assign({}, process.env);
+    });
+
+    afterEach(() => {
+      process.env = saved;
+    });
+
+    it('send the federation request through HTTPS_PROXY and retry a refused connection', async () => {
+      const targets = [];
+      const proxy = await startServer(null, (request, socket) => {
+        targets.push(request.url);
+        socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+      });
+      try {
+        process.env.HTTPS_PROXY = `http://127.0.0.1:${proxy.port}`;
+        delete process.env.NO_PROXY;
+        delete process.env.no_proxy;
+        const signer = auth.createInstancePrincipalSigner({ metadataEndpoint: `${server.baseUrl}/opc/v2`, http: { maxRetries: 1 } });
+        await assert.rejects(signer.getSigningKey(), (err) => {
+          assert.ok(err instanceof errors.AuthError);
+          assert.match(err.message, /refused the connection to auth\.us-ashburn-1\.oraclecloud\.com:443/);
+          return true;
+        });
+        assert.deepStrictEqual(targets, ['auth.us-ashburn-1.oraclecloud.com:443', 'auth.us-ashburn-1.oraclecloud.com:443']);
+      } finally {
+        await proxy.close();
+      }
+    });
+
+    it('time out when the metadata service doesn\'t respond', async () => {
+      const metadata = await startServer(() => {});
+      try {
+        const signer = auth.createInstancePrincipalSigner({
+          metadataEndpoint: `http://127.0.0.1:${metadata.port}/opc/v2`,
+          http: { readTimeout: 200, maxRetries: 0 }
+        });
+        await assert.rejects(signer.getSigningKey(), /didn't send any data for 0\.2 seconds/);
+      } finally {
+        await metadata.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const auth = require('../lib/auth.js');
+const keySource = require('../lib/keySource.js');
+const utils = require('../lib/utils.js');
+const helpers = require('./helpers.js');
+
+const SECRET_ID = 'ocid1.vaultsecret.oc1..aaaakey';
+
+describe('keySource.loadPrivateKey from a Vault secret on the mock server', () => {
+  let server;
+  let dir;
+
+  before(async () => {
+    server = await helpers.startMockServer({ secrets: { [SECRET_ID]: helpers.getKeyPair().privateKey, 'ocid1.vaultsecret.oc1..text': 'not a key' } });
+    dir = helpers.makeTempDir();
+  });
+
+  after(async () => {
+    await server.mock.close();
+    helpers.removeDir(dir);
+  });
+
+  it('reads the key with the given signer', async () => {
+    const signer = auth.createApiKeySigner(Object.assign({ privateKey: helpers.getKeyPair().privateKey }, helpers.KEY_ID));
+    const pem = await keySource.loadPrivateKey(`vault:${SECRET_ID}`, { env: {}, signer, secretsEndpoint: server.baseUrl });
+    assert.strictEqual(pem, helpers.getKeyPair().privateKey.trim());
+  });
+
+  it('reads the key with the instance principal', async () => {
+    const pem = await keySource.loadPrivateKey(`vault:${SECRET_ID}`, {
+      env: {},
+      secretsEndpoint: server.baseUrl,
+      metadataEndpoint: `${server.baseUrl}/opc/v2`,
+      federationEndpoint: `${server.baseUrl}/v1/x509`
+    });
+    assert.strictEqual(pem, helpers.getKeyPair().privateKey.trim());
+  });
+
+  it('reads the key source in the config file and exports with the key', async () => {
+    const configFile = path.join(dir, 'config');
+    fs.writeFileSync(configFile, [
+      '[DEFAULT]',
+      `tenancy=${helpers.KEY_ID.tenancyId}`,
+      `user=${helpers.KEY_ID.userId}`,
+      `fingerprint=${helpers.KEY_ID.fingerprint}`,
+      `base_url=${server.baseUrl}`,
+      `key_source=vault:${SECRET_ID}`,
+      `secrets_endpoint=${server.baseUrl}`,
+      `metadata_endpoint=${server.baseUrl}/opc/v2`,
+      `federation_endpoint=${server.baseUrl}/v1/x509`
+    ].join('\n'), { mode: 0o600 });
+    const config = await utils.readConfig(configFile, { profile: 'DEFAULT' });
+    const client = server.createClient({ signer: config.signer });
+    const started = await client.startExport({ target: 'skill', id: 'skill1', taskName: 'success-vault' });
+    assert.strictEqual((await client.waitForExport(started.jobId)).status, 'EXPORT_SUCCEEDED');
+  });
+
+  it('fails for a secret that doesn\'t exist', async () => {
+    const signer = auth.createApiKeySigner(Object.assign({ privateKey: helpers.getKeyPair().privateKey }, helpers.KEY_ID));
+    await assert.rejects(keySource.loadPrivateKey('vault:ocid1.vaultsecret.oc1..missing', { env: {}, signer, secretsEndpoint: server.baseUrl }),
+      /^Error: Can't read the Vault secret ocid1\.vaultsecret\.oc1\.\.missing: 404/);
+  });
+
+  it('fails for a secret that isn\'t a PEM key', async () => {
+    const signer = auth.createApiKeySigner(Object.assign({ privateKey: helpers.getKeyPair().privateKey }, helpers.KEY_ID));
+    await assert.rejects(keySource.loadPrivateKey('vault:ocid1.vaultsecret.oc1..text', { env: {}, signer, secretsEndpoint: server.baseUrl }),
+      /The Vault secret ocid1\.vaultsecret\.oc1\.\.text/);
+  });
+});
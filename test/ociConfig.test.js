@@ -0,0 +1,64 @@
+'use strict';
+
+const assert = require('assert');
+const ociConfig = require('../lib/ociConfig.js');
+
+describe('ociConfig.parseIni', () => {
+  it('parses the profiles and skips comments and blank lines', () => {
+    const text = [
+      '# OCI CLI config',
+      '[DEFAULT]',
+      'user=ocid1.user.oc1..aaaa',
+      '; another comment',
+      '',
+      '[ ODA ]',
+      '  fingerprint = aa:bb  ',
+      'key_file=~/.oci/key=1.pem'
+    ].join('\r\n');
+    assert.deepStrictEqual(ociConfig.parseIni(text), {
+      DEFAULT: { user: 'ocid1.user.oc1..aaaa' },
+      ODA: { fingerprint: 'aa:bb', key_file: '~/.oci/key=1.pem' }
+    });
+  });
+
+  it('merges a profile that appears twice', () => {
+    assert.deepStrictEqual(ociConfig.parseIni('[A]\nx=1\n[B]\ny=2\n[A]\nz=3\n'), { A: { x: '1', z: '3' }, B: { y: '2' } });
+  });
+
+  it('rejects an entry before the first profile', () => {
+    assert.throws(() => ociConfig.parseIni('user=x\n[DEFAULT]\n'), /^Error: Line 1 isn't a \[PROFILE\] header or a key=value entry\.$/);
+  });
+
+  it('rejects a line that isn\'t an entry', () => {
+    assert.throws(() => ociConfig.parseIni('[DEFAULT]\nuser=x\nregion\n'), /Line 3 isn't/);
+  });
+});
+
+describe('ociConfig.getProfile', () => {
+  const text = '[DEFAULT]\nregion=us-ashburn-1\nuser=a\n[ODA]\nuser=b\n';
+  let saved;
+
+  beforeEach(() => {
+    saved = Object.assign({}, process.env);
+    delete process.env.OCI_CLI_PROFILE;
+    delete process.env.OCI_CLI_REGION;
+  });
+
+  afterEach(() => {
+    process.env = saved;
+  });
+
+  it('adds the DEFAULT entries that the profile doesn\'t override', () => {
+    assert.deepStrictEqual(ociConfig.getProfile(text, 'ODA'), { region: 'us-ashburn-1', user: 'b', profile: 'ODA' });
+  });
+
+  it('applies the environment variable overrides', () => {
+    process.env.OCI_CLI_PROFILE = 'ODA';
+    process.env.OCI_CLI_REGION = 'eu-frankfurt-1';
+    assert.deepStrictEqual(ociConfig.getProfile(text), { region: 'eu-frankfurt-1', user: 'b', profile: 'ODA' });
+  });
+
+  it('rejects a profile that isn\'t there', () => {
+    assert.throws(() => ociConfig.getProfile(text, 'PROD'), /doesn't have a \[PROD\] profile/);
+  });
+});
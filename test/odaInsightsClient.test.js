@@ -0,0 +1,133 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const errors = require('../lib/errors.js');
+const helpers = require('./helpers.js');
+
+describe('OdaInsightsClient against the mock server', () => {
+  let server;
+  let client;
+  let outDir;
+
+  before(async () => {
+    // Retry right away instead of after the default 1 second
+    server = await helpers.startMockServer({ scenarios: { 'rate-limited': { throttle: 2, retryAfter: 0 } } });
+    client = server.createClient();
+  });
+
+  after(async () => {
+    await server.mock.close();
+  });
+
+  beforeEach(() => {
+    outDir = helpers.makeTempDir();
+  });
+
+  afterEach(() => {
+    helpers.removeDir(outDir);
+  });
+
+  /*
+   * Starts an export with the scenario as the task name, waits for it,
+   * and downloads its files.
+   *
+   * Returns { task, files }
+   */
+  async function runExport (scenario, exportClient) {
+    const started = await (exportClient || client).startExport({ target: 'skill', id: 'skill1', taskName: `${scenario}-test`, beginDate: '2024-01-01' });
+    assert.strictEqual(started.status, 'SUBMITTED');
+    const task = await (exportClient || client).waitForExport(started.jobId);
+    const files = await (exportClient || client).downloadFiles(started.jobId, outDir, { fileNames: task.filenames });
+    return { task, files };
+  }
+
+  /*
+   * Checks that the downloaded files are complete.
+   */
+  function checkFiles (files, jobId) {
+    files.forEach((file) => {
+      const data = fs.readFileSync(file.path);
+      assert.strictEqual(file.path, path.join(outDir, file.fileName));
+      assert.strictEqual(file.size, data.length);
+      assert.strictEqual(file.sha256, crypto.createHash('sha256').update(data).digest('hex'));
+      assert.deepStrictEqual(data, server.mock.tasks[jobId].files.find((mockFile) => mockFile.name === file.fileName).data);
+    });
+  }
+
+  it('exports and downloads a file (success)', async () => {
+    const { task, files } = await runExport('success');
+    assert.strictEqual(task.status, 'EXPORT_SUCCEEDED');
+    assert.strictEqual(server.mock.tasks[task.jobId].resource.botId, 'skill1');
+    assert.strictEqual(server.mock.tasks[task.jobId].resource.since, '2024-01-01');
+    assert.deepStrictEqual(files.map((file) => file.fileName), [`${task.jobId}_1.zip`]);
+    checkFiles(files, task.jobId);
+  });
+
+  it('reports an export without data (no-data)', async () => {
+    await assert.rejects(runExport('no-data'), (err) => {
+      assert.ok(err instanceof errors.NoDataError);
+      assert.strictEqual(err.task.status, 'NO_DATA');
+      return true;
+    });
+  });
+
+  it('reports a failed export (failed)', async () => {
+    await assert.rejects(runExport('failed'), (err) => {
+      assert.ok(err instanceof errors.ExportFailedError);
+      assert.strictEqual(err.task.error, 'The export failed because of an internal error.');
+      return true;
+    });
+  });
+
+  it('downloads all the files of an export (multi-file)', async () => {
+    const { task, files } = await runExport('multi-file');
+    assert.strictEqual(task.filenames.length, 3);
+    assert.deepStrictEqual(files.map((file) => file.fileName), task.filenames);
+    checkFiles(files, task.jobId);
+  });
+
+  it('retries the requests that are throttled (rate-limited)', async () => {
+    const messages = [];
+    const throttledClient = server.createClient({ log: (message) => messages.push(message) });
+    const { task, files } = await runExport('rate-limited', throttledClient);
+    assert.strictEqual(task.status, 'EXPORT_SUCCEEDED');
+    checkFiles(files, task.jobId);
+    // The start, the status checks, and the download are each throttled twice
+    const retries = messages.filter((message) => /^A request failed \(.*429.*\)\. Retrying/.test(message));
+    assert.strictEqual(retries.length, 6, messages.join('\n'));
+  });
+
+  it('resumes a download that was cut off (truncated)', async () => {
+    const { task, files } = await runExport('truncated');
+    assert.strictEqual(task.status, 'EXPORT_SUCCEEDED');
+    assert.deepStrictEqual(Object.keys(server.mock.tasks[task.jobId].downloads), task.filenames);
+    checkFiles(files, task.jobId);
+  });
+
+  it('lists and deletes the export tasks', async () => {
+    const { task } = await runExport('success');
+    const listed = await client.listExports({ target: 'skill', id: 'skill1', statuses: ['export_succeeded'] });
+    assert.ok(listed.some((listedTask) => listedTask.jobId === task.jobId));
+    await client.deleteExport(task.jobId);
+    assert.strictEqual(server.mock.tasks[task.jobId], undefined);
+  });
+
+  it('signs a body with non-ASCII text', async () => {
+    const started = await client.startExport({ target: 'skill', id: 'skill1', taskName: 'success-données-€' });
+    assert.strictEqual(started.status, 'SUBMITTED');
+    assert.strictEqual((await client.waitForExport(started.jobId)).status, 'EXPORT_SUCCEEDED');
+  });
+
+  it('is rejected with a key that doesn\'t match', async () => {
+    const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey.export({ type: 'pkcs8', format: 'pem' });
+    const badClient = server.createClient({ privateKey: otherKey, maxRetries: 0 });
+    await assert.rejects(badClient.getExport('mock-1'), (err) => {
+      assert.ok(err instanceof errors.HttpError);
+      assert.strictEqual(err.statusCode, 401);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const path = require('path');
+const outcome = require('../lib/outcome.js');
+const errors = require('../lib/errors.js');
+
+describe('outcome', () => {
+  describe('getJobsOutcome', () => {
+    it('puts ERROR before the other outcomes', () => {
+      assert.strictEqual(outcome.getJobsOutcome([{ status: 'EXPORT_FAILED' }, { status: 'ERROR' }]), 'ERROR');
+      assert.strictEqual(outcome.getJobsOutcome([{ status: 'EXPORT_SUCCEEDED' }, { status: 'EXPORT_FAILED' }]), 'EXPORT_FAILED');
+      assert.strictEqual(outcome.getJobsOutcome([{ status: 'IN_PROGRESS' }, { status: 'NO_DATA' }]), 'TIMED_OUT');
+    });
+
+    it('is NO_DATA only if no job exported data', () => {
+      assert.strictEqual(outcome.getJobsOutcome([{ status: 'NO_DATA' }, { status: 'NO_DATA' }]), 'NO_DATA');
+      assert.strictEqual(outcome.getJobsOutcome([{ status: 'NO_DATA' }, { status: 'UP_TO_DATE' }]), 'SUCCESS');
+    });
+  });
+
+  describe('combineOutcomes', () => {
+    it('keeps the first outcome that applies', () => {
+      assert.strictEqual(outcome.combineOutcomes(['SUCCESS', 'AUTH_ERROR', 'ERROR']), 'AUTH_ERROR');
+      assert.strictEqual(outcome.combineOutcomes(['TIMED_OUT', 'EXPORT_FAILED']), 'EXPORT_FAILED');
+      assert.strictEqual(outcome.combineOutcomes(['NO_DATA', 'SUCCESS']), 'SUCCESS');
+      assert.strictEqual(outcome.combineOutcomes(['NO_DATA', 'NO_DATA']), 'NO_DATA');
+    });
+  });
+
+  describe('createResult', () => {
+    it('gets the exit code from the error', () => {
+      const result = outcome.createResult('export', new Date().toISOString(), undefined, new errors.AuthError('rejected'));
+      assert.strictEqual(result.outcome, 'AUTH_ERROR');
+      assert.strictEqual(result.exitCode, 6);
+      assert.strictEqual(result.error.message, 'rejected');
+    });
+  });
+
+  describe('the script', () => {
+    /*
+     * Runs index.js with the arguments. Returns its exit code.
+     */
+    function runScript (args) {
+      return childProcess.spawnSync(process.execPath, [path.join(__dirname, '..', 'index.js')].concat(args),
+        { encoding: 'utf8', timeout: 20000 }).status;
+    }
+
+    it('exits with INVALID_ARGUMENTS for an option that isn\'t supported', () => {
+      assert.strictEqual(runScript(['--bogus=1']), outcome.EXIT_CODES.INVALID_ARGUMENTS);
+      assert.strictEqual(runScript(['batch', 'manifest.yaml', '--since=yesterday']), outcome.EXIT_CODES.INVALID_ARGUMENTS);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const report = require('../lib/report.js');
+const mockServer = require('../lib/mockServer.js');
+const helpers = require('./helpers.js');
+
+describe('report', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = helpers.makeTempDir();
+  });
+
+  afterEach(() => {
+    helpers.removeDir(dir);
+  });
+
+  /*
+   * Writes a ZIP file with CSV files in the temporary directory. Returns its path.
+   *
+   * @param name - the ZIP file name
+   * @param entries - { <CSV file name>: [<line>, ...] }
+   */
+  function writeZip (name, entries) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, mockServer.createZip(Object.keys(entries).map((entryName) => ({
+      name: entryName,
+      data: Buffer.from(`${entries[entryName].join('\n')}\n`)
+    }))));
+    return file;
+  }
+
+  /*
+   * Writes the fixture: c1 is completed and then escalated, c2's earliest day is in
+   * the second file, c3 has no outcome, and the messages have outbound rows with intents.
+   */
+  function writeFixture () {
+    return [
+      writeZip('a.zip', {
+        'conversations.csv': [
+          'CONVERSATION_ID,CHANNEL,OUTCOME,CREATED_ON',
+          'c1,web,COMPLETED,2024-01-02T10:00:00Z',
+          'c2,slack,INCOMPLETE,2024-01-03T10:00:00Z',
+          'c3,web,,2024-01-03T11:00:00Z'
+        ]
+      }),
+      writeZip('b.zip', {
+        'conversations.csv': [
+          'CONVERSATION_ID,OUTCOME,CREATED_ON',
+          'c1,ESCALATED,2024-01-04T10:00:00Z',
+          'c2,,2024-01-01T09:00:00Z'
+        ],
+        'messages.csv': [
+          'CONVERSATION_ID,DIRECTION,TEXT,INTENT',
+          'c1,INBOUND,order a pizza,OrderPizza',
+          'c1,OUTBOUND,Which size?,OrderPizza',
+          'c2,INBOUND,pizza please,OrderPizza',
+          'c2,INBOUND,a|b <script>,unresolvedIntent',
+          'c3,INBOUND,check my balance,Balance'
+        ]
+      })
+    ];
+  }
+
+  describe('summarize', () => {
+    it('counts the conversations, outcomes, channels, days, and intents', async () => {
+      const summary = await report.summarize(writeFixture(), 10);
+      assert.strictEqual(summary.conversations, 3);
+      // c1's escalation overrides its completion
+      assert.deepStrictEqual(summary.outcomes, { completed: 0, incomplete: 1, escalated: 1, unknown: 1 });
+      assert.deepStrictEqual(summary.channels, [['web', 2], ['slack', 1]]);
+      // Each conversation is on its earliest day
+      assert.deepStrictEqual(summary.days, [
+        { day: '2024-01-01', conversations: 1, completed: 0, incomplete: 1, escalated: 0 },
+        { day: '2024-01-02', conversations: 1, completed: 0, incomplete: 0, escalated: 1 },
+        { day: '2024-01-03', conversations: 1, completed: 0, incomplete: 0, escalated: 0 }
+      ]);
+      // The outbound message's intent isn't counted
+      assert.deepStrictEqual(summary.intents, [['OrderPizza', 2], ['Balance', 1]]);
+      assert.deepStrictEqual(summary.unresolved, [['a|b <script>', 1]]);
+      assert.strictEqual(summary.unresolvedTotal, 1);
+      assert.deepStrictEqual(summary.tables, { conversations: 5, messages: 5 });
+      assert.deepStrictEqual(summary.columns.sort(), ['channel', 'conversation', 'direction', 'intent', 'outcome', 'time', 'utterance']);
+    });
+
+    it('keeps the top intents', async () => {
+      const summary = await report.summarize(writeFixture(), 1);
+      assert.deepStrictEqual(summary.intents, [['OrderPizza', 2]]);
+    });
+  });
+
+  describe('createReport', () => {
+    const options = { target: 'skill', targetId: 'skill1', beginDate: '2024-01-01', endDate: '2024-01-31', jobId: 'job1' };
+
+    it('writes the HTML and Markdown reports with the cells escaped', async () => {
+      const result = await report.createReport(writeFixture(), dir, options);
+      assert.strictEqual(result.html, path.join(dir, 'skill1_2024-01-01_2024-01-31_report.html'));
+      assert.strictEqual(result.markdown, path.join(dir, 'skill1_2024-01-01_2024-01-31_report.md'));
+      const markdown = fs.readFileSync(result.markdown, 'utf8');
+      const html = fs.readFileSync(result.html, 'utf8');
+      ['Conversations', 'Top intents', 'Top unresolved utterances', 'Channels', 'Conversations by day'].forEach((title) => {
+        assert.ok(markdown.includes(`\n## ${title}\n`), title);
+        assert.ok(html.includes(`<h2>${title}</h2>`), title);
+      });
+      assert.ok(markdown.includes('| Escalated | 1 | 33.3% |'));
+      assert.ok(markdown.includes('| a\\|b <script> | 1 |'));
+      assert.ok(html.includes('<td>a|b &lt;script&gt;</td>'));
+      assert.ok(!html.includes('<script>'));
+    });
+
+    it('leaves out the sections whose columns aren\'t in the data', async () => {
+      const zipFile = writeZip('c.zip', {
+        'messages.csv': [
+          'CONVERSATION_ID,TEXT,INTENT',
+          'c1,order a pizza,OrderPizza',
+          'c2,hello,'
+        ]
+      });
+      const result = await report.createReport([zipFile], dir, options);
+      const markdown = fs.readFileSync(result.markdown, 'utf8');
+      const html = fs.readFileSync(result.html, 'utf8');
+      assert.deepStrictEqual(markdown.split('\n').filter((line) => line.startsWith('## ')),
+        ['## Conversations', '## Top intents', '## Top unresolved utterances']);
+      assert.ok(markdown.includes('The exported data doesn\'t have the conversations\' outcomes.'));
+      assert.ok(!html.includes('<h2>Channels</h2>'));
+      assert.ok(!html.includes('<h2>Conversations by day</h2>'));
+    });
+  });
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const runProfile = require('../lib/runProfile.js');
+const helpers = require('./helpers.js');
+
+describe('runProfile', () => {
+  const definitions = [
+    { name: 'outpath', type: 'string' },
+    { name: 'rowsperfile', type: 'int' },
+    { name: 'incremental', type: 'boolean' },
+    { name: 'non-interactive', type: 'boolean' },
+    { name: 'id', type: 'csv' },
+    { name: 'taskname', type: 'string' }
+  ];
+
+  describe('resolveArguments', () => {
+    it('uses the command line over the environment over the run profile', () => {
+      const resolved = runProfile.resolveArguments(definitions,
+        { outpath: '/given' },
+        { ODAEXPORT_OUTPATH: '/env', ODAEXPORT_ROWSPERFILE: '500' },
+        { outpath: '/profile', rowsperfile: 1000, id: ['s1'] });
+      assert.strictEqual(resolved.outpath, '/given');
+      assert.strictEqual(resolved.rowsperfile, 500);
+      assert.deepStrictEqual(resolved.id, ['s1']);
+      // Arguments that aren't set anywhere are left for the defaults
+      assert.strictEqual(resolved.taskname, undefined);
+      assert.ok(!('taskname' in resolved));
+    });
+
+    it('fills in arguments given as null or undefined', () => {
+      const resolved = runProfile.resolveArguments(definitions, { outpath: null, taskname: undefined },
+        { ODAEXPORT_TASKNAME: 'nightly' }, { outpath: '/profile' });
+      assert.strictEqual(resolved.outpath, '/profile');
+      assert.strictEqual(resolved.taskname, 'nightly');
+    });
+
+    it('converts the ODAEXPORT_ environment variables to the argument types', () => {
+      const resolved = runProfile.resolveArguments(definitions, {}, {
+        ODAEXPORT_ROWSPERFILE: '1000',
+        ODAEXPORT_INCREMENTAL: '1',
+        ODAEXPORT_NON_INTERACTIVE: 'false',
+        ODAEXPORT_ID: 's1,s2'
+      });
+      assert.deepStrictEqual(resolved, { rowsperfile: 1000, incremental: true, 'non-interactive': false, id: ['s1', 's2'] });
+    });
+
+    it('converts the run profile values to the argument types', () => {
+      const resolved = runProfile.resolveArguments(definitions, {}, {},
+        { rowsperfile: '1000', incremental: 'true', 'non-interactive': true, id: 12345, taskname: 42 });
+      assert.deepStrictEqual(resolved, { rowsperfile: 1000, incremental: true, 'non-interactive': true, id: ['12345'], taskname: '42' });
+    });
+
+    it('copies the run profile\'s per-target settings', () => {
+      const targets = { s1: { maxwait: '4h' } };
+      const resolved = runProfile.resolveArguments(definitions, { targets: { s2: {} } }, {}, { targets });
+      assert.strictEqual(resolved.targets, targets);
+      assert.ok(!('targets' in runProfile.resolveArguments(definitions, {}, {}, { outpath: '/profile' })));
+    });
+  });
+
+  describe('checkNames', () => {
+    it('accepts the argument names and targets', () => {
+      runProfile.checkNames({ outpath: '/profile', targets: {} }, ['outpath'], 'profile.yaml');
+    });
+
+    it('rejects unknown names', () => {
+      assert.throws(() => runProfile.checkNames({ outpath: '/profile', outpth: '/x', ids: [] }, ['outpath', 'id'], 'profile.yaml'),
+        { message: 'The run profile profile.yaml has unknown arguments: outpth, ids.' });
+    });
+  });
+
+  describe('readRunProfile', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = helpers.makeTempDir();
+    });
+
+    afterEach(() => {
+      helpers.removeDir(dir);
+    });
+
+    it('reads YAML dates as text', () => {
+      const file = path.join(dir, 'profile.yaml');
+      fs.writeFileSync(file, 'begindate: 2024-01-31\nid: [s1, s2]\n');
+      assert.deepStrictEqual(runProfile.readRunProfile(file), { begindate: '2024-01-31', id: ['s1', 's2'] });
+    });
+
+    it('rejects a file that isn\'t an object', () => {
+      const file = path.join(dir, 'profile.json');
+      fs.writeFileSync(file, '["outpath"]');
+      assert.throws(() => runProfile.readRunProfile(file), /must contain argument names and values/);
+    });
+  });
+});
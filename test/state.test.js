@@ -0,0 +1,55 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const state = require('../lib/state.js');
+const helpers = require('./helpers.js');
+
+describe('state', () => {
+  let dir;
+  let statePath;
+
+  beforeEach(() => {
+    dir = helpers.makeTempDir();
+    statePath = path.join(dir, 'state.json');
+  });
+
+  afterEach(() => {
+    helpers.removeDir(dir);
+  });
+
+  it('starts the first export at the begin date and the next one after the last end date', () => {
+    assert.deepStrictEqual(state.getNextRange(statePath, 'oda1.example.com', 'skill', 's1', '2024-01-01', '2024-01-31'),
+      { beginDate: '2024-01-01', endDate: '2024-01-31', lastEndDate: undefined, upToDate: false });
+    state.advance(statePath, 'oda1.example.com', 'skill', 's1', '2024-01-31', 'job1');
+    assert.deepStrictEqual(state.getNextRange(statePath, 'oda1.example.com', 'skill', 's1', '2024-01-01', '2024-01-31'),
+      { beginDate: '2024-02-01', endDate: '2024-01-31', lastEndDate: '2024-01-31', upToDate: true });
+  });
+
+  it('never moves the high-water mark backwards', () => {
+    state.advance(statePath, 'oda1.example.com', 'instance', undefined, '2024-01-31', 'job1');
+    state.advance(statePath, 'oda1.example.com', 'instance', undefined, '2024-01-15', 'job2');
+    assert.strictEqual(state.getLastEndDate(statePath, 'oda1.example.com', 'instance'), '2024-01-31');
+  });
+
+  it('keeps the targets of each ODA instance apart', () => {
+    state.advance(statePath, 'oda1.example.com', 'skill', 's1', '2024-01-31', 'job1');
+    state.advance(statePath, 'oda1.example.com', 'instance', undefined, '2024-01-20', 'job2');
+    assert.strictEqual(state.getLastEndDate(statePath, 'oda2.example.com', 'skill', 's1'), undefined);
+    assert.strictEqual(state.getLastEndDate(statePath, 'oda2.example.com', 'instance'), undefined);
+    state.advance(statePath, 'oda2.example.com', 'skill', 's1', '2024-01-10', 'job3');
+    assert.strictEqual(state.getLastEndDate(statePath, 'oda1.example.com', 'skill', 's1'), '2024-01-31');
+    assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(statePath, 'utf8')).targets).sort(),
+      ['oda1.example.com/instance', 'oda1.example.com/skill:s1', 'oda2.example.com/skill:s1']);
+  });
+
+  it('uses an entry without the domain until the next export replaces it', () => {
+    fs.writeFileSync(statePath, JSON.stringify({ targets: { 'skill:s1': { lastEndDate: '2024-01-31', jobId: 'old' } } }));
+    assert.strictEqual(state.getLastEndDate(statePath, 'oda1.example.com', 'skill', 's1'), '2024-01-31');
+    state.advance(statePath, 'oda1.example.com', 'skill', 's1', '2024-02-29', 'job1');
+    const targets = JSON.parse(fs.readFileSync(statePath, 'utf8')).targets;
+    assert.deepStrictEqual(Object.keys(targets), ['oda1.example.com/skill:s1']);
+    assert.strictEqual(targets['oda1.example.com/skill:s1'].jobId, 'job1');
+  });
+});
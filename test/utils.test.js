@@ -0,0 +1,131 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const utils = require('../lib/utils.js');
+const errors = require('../lib/errors.js');
+const helpers = require('./helpers.js');
+
+describe('utils.splitDateRange', () => {
+  it('splits into days', () => {
+    assert.deepStrictEqual(utils.splitDateRange('2024-02-28', '2024-03-01', 'day'), [
+      { beginDate: '2024-02-28', endDate: '2024-02-28' },
+      { beginDate: '2024-02-29', endDate: '2024-02-29' },
+      { beginDate: '2024-03-01', endDate: '2024-03-01' }
+    ]);
+  });
+
+  it('splits into weeks that end on Sunday', () => {
+    // 2024-03-06 is a Wednesday
+    assert.deepStrictEqual(utils.splitDateRange('2024-03-06', '2024-03-20', 'week'), [
+      { beginDate: '2024-03-06', endDate: '2024-03-10' },
+      { beginDate: '2024-03-11', endDate: '2024-03-17' },
+      { beginDate: '2024-03-18', endDate: '2024-03-20' }
+    ]);
+  });
+
+  it('makes a one-day week of a Sunday', () => {
+    assert.deepStrictEqual(utils.splitDateRange('2024-03-10', '2024-03-11', 'week'), [
+      { beginDate: '2024-03-10', endDate: '2024-03-10' },
+      { beginDate: '2024-03-11', endDate: '2024-03-11' }
+    ]);
+  });
+
+  it('splits into calendar months across a year end', () => {
+    assert.deepStrictEqual(utils.splitDateRange('2023-11-15', '2024-02-10', 'month'), [
+      { beginDate: '2023-11-15', endDate: '2023-11-30' },
+      { beginDate: '2023-12-01', endDate: '2023-12-31' },
+      { beginDate: '2024-01-01', endDate: '2024-01-31' },
+      { beginDate: '2024-02-01', endDate: '2024-02-10' }
+    ]);
+  });
+
+  it('returns one window for a one-day range and none for an empty one', () => {
+    assert.deepStrictEqual(utils.splitDateRange('2024-03-01', '2024-03-01', 'month'), [
+      { beginDate: '2024-03-01', endDate: '2024-03-01' }
+    ]);
+    assert.deepStrictEqual(utils.splitDateRange('2024-03-02', '2024-03-01', 'day'), []);
+  });
+});
+
+describe('utils.parseDuration', () => {
+  it('parses durations', () => {
+    assert.strictEqual(utils.parseDuration('90'), 90000);
+    assert.strictEqual(utils.parseDuration('1.5s'), 1500);
+    assert.strictEqual(utils.parseDuration('15m'), 900000);
+    assert.strictEqual(utils.parseDuration('1h30m'), 5400000);
+    assert.strictEqual(utils.parseDuration('500ms'), 500);
+  });
+
+  it('rejects anything else', () => {
+    assert.throws(() => utils.parseDuration('2 days'), /isn't a duration/);
+  });
+});
+
+describe('utils.readConfig', () => {
+  let dir;
+  let keyFile;
+  let configCount;
+
+  beforeEach(() => {
+    dir = helpers.makeTempDir();
+    keyFile = path.join(dir, 'key.pem');
+    fs.writeFileSync(keyFile, helpers.getKeyPair().privateKey, { mode: 0o600 });
+    configCount = 0;
+  });
+
+  afterEach(() => {
+    helpers.removeDir(dir);
+  });
+
+  /*
+   * Writes an OCI CLI config file with a DEFAULT profile. Returns its path.
+   *
+   * @param entries - the profile's entries, which override the API key entries
+   */
+  function writeConfig (entries) {
+    const profile = Object.assign({
+      tenancy: helpers.KEY_ID.tenancyId,
+      user: helpers.KEY_ID.userId,
+      fingerprint: helpers.KEY_ID.fingerprint,
+      key_file: keyFile,
+      domain: 'oda.example.com'
+    }, entries);
+    const file = path.join(dir, `config${++configCount}`);
+    fs.writeFileSync(file, ['[DEFAULT]'].concat(Object.keys(profile).filter((key) => profile[key] !== undefined)
+      .map((key) => `${key}=${profile[key]}`)).join('\n'), { mode: 0o600 });
+    return file;
+  }
+
+  it('reads the API key profile', async () => {
+    const config = await utils.readConfig(writeConfig(), {});
+    assert.strictEqual(config.domain, 'oda.example.com');
+    assert.strictEqual(config.authType, 'api_key');
+    assert.ok(config.signer);
+  });
+
+  it('throws an InvalidArgumentsError for a config problem', async () => {
+    const cases = [
+      [path.join(dir, 'missing'), {}],
+      [writeConfig(), { profile: 'OTHER' }],
+      [writeConfig({ domain: undefined }), {}],
+      [writeConfig(), { auth: 'password' }]
+    ];
+    for (const [file, options] of cases) {
+      await assert.rejects(utils.readConfig(file, options), errors.InvalidArgumentsError);
+    }
+  });
+
+  it('throws an AuthError for a credential problem', async () => {
+    const cases = [
+      [writeConfig({ key_file: path.join(dir, 'missing.pem') }), {}],
+      [writeConfig({ fingerprint: undefined }), {}],
+      [writeConfig({ key_file: undefined, key_source: 'env:ODAEXPORT_TEST_MISSING_KEY' }), {}],
+      [writeConfig(), { auth: 'resource_principal' }]
+    ];
+    for (const [file, options] of cases) {
+      await assert.rejects(utils.readConfig(file, options), errors.AuthError);
+    }
+  });
+});